@@ -0,0 +1,216 @@
+// Accounting export (api/admin/export): confirmed donations and refund adjustments booked
+// in a date range, with subtotals per day and currency. Dates are calendar days in Warsaw.
+//
+// Donations are booked on paid_at, refunds on the refund_completed event (negative amounts),
+// so each day matches what P24 settles in its payouts.
+
+import { PAID_STATUSES } from './donations.js';
+import { fetchAllRows, nextDay, warsawDayKey, warsawMidnight } from './admin.js';
+
+// column -> value getter for one export row
+const COLUMNS = {
+  type: r => r.type,
+  date: r => r.date,
+  booked_at: r => r.booked_at,
+  paid_at: r => r.paid_at,
+  public_ref: r => r.public_ref,
+  p24_order_id: r => r.p24_order_id,
+  session_id: r => r.session_id,
+  refunds_uuid: r => r.refunds_uuid,
+  amount: r => r.amount,
+  amount_grosze: r => r.amount_grosze,
+  currency: r => r.currency,
+  email: r => r.email,
+  status: r => r.status,
+  campaign: r => r.campaign,
+  recurring: r => r.recurring,
+};
+
+const NUMERIC_COLUMNS = new Set(['amount', 'amount_grosze']);
+
+export const DEFAULT_EXPORT_COLUMNS = 'type,date,public_ref,p24_order_id,paid_at,amount,currency';
+
+/**
+ * Parses "public_ref:Numer,amount:Kwota,currency" into [{ key, label }].
+ * Unknown columns are rejected so a typo does not silently produce an empty column.
+ */
+export function parseColumns(spec) {
+  const cols = [];
+  for (const part of String(spec || '').split(',').map(s => s.trim()).filter(Boolean)) {
+    const [key, ...label] = part.split(':');
+    if (!COLUMNS[key.trim()]) return { error: `Unknown column: ${key.trim()}`, column: key.trim() };
+    cols.push({ key: key.trim(), label: label.join(':').trim() || key.trim() });
+  }
+  if (!cols.length) return { error: 'No columns' };
+  return { columns: cols };
+}
+
+export function listExportColumns() {
+  return Object.keys(COLUMNS);
+}
+
+function toMajor(grosze) {
+  return (Number(grosze) / 100).toFixed(2);
+}
+
+function donationRow(tx) {
+  return {
+    type: 'donation',
+    date: warsawDayKey(tx.paid_at),
+    booked_at: tx.paid_at,
+    paid_at: tx.paid_at,
+    public_ref: tx.public_ref,
+    p24_order_id: tx.p24_order_id || '',
+    session_id: tx.session_id,
+    refunds_uuid: '',
+    amount_grosze: Number(tx.amount_grosze || 0),
+    amount: toMajor(tx.amount_grosze || 0),
+    currency: String(tx.currency || 'PLN').toUpperCase(),
+    email: tx.email || '',
+    status: tx.status,
+    campaign: tx.campaign_slug || '',
+    recurring: tx.subscription_id ? 'yes' : 'no',
+  };
+}
+
+function refundRow(ev, tx) {
+  const amount = -Math.abs(Number(ev.payload_json?.amount || 0));
+  return {
+    type: 'refund',
+    date: warsawDayKey(ev.created_at),
+    booked_at: ev.created_at,
+    paid_at: tx?.paid_at || '',
+    public_ref: tx?.public_ref || '',
+    p24_order_id: ev.p24_order_id || tx?.p24_order_id || '',
+    session_id: ev.session_id,
+    refunds_uuid: ev.payload_json?.refunds_uuid || '',
+    amount_grosze: amount,
+    amount: toMajor(amount),
+    currency: String(tx?.currency || ev.payload_json?.notification?.currency || 'PLN').toUpperCase(),
+    email: tx?.email || '',
+    status: tx?.status || '',
+    campaign: tx?.campaign_slug || '',
+    recurring: tx?.subscription_id ? 'yes' : 'no',
+  };
+}
+
+/**
+ * Loads donation and refund rows booked between from and to (YYYY-MM-DD, inclusive).
+ */
+export async function loadAccountingRows(supabase, { from, to }) {
+  const start = warsawMidnight(from).toISOString();
+  const end = warsawMidnight(nextDay(to)).toISOString();
+  const txColumns = 'session_id, public_ref, p24_order_id, paid_at, amount_grosze, currency, email, status, campaign_slug, subscription_id';
+
+  const donations = await fetchAllRows(() => supabase
+    .from('p24_transactions')
+    .select(txColumns)
+    .in('status', PAID_STATUSES)
+    .gte('paid_at', start)
+    .lt('paid_at', end)
+    .order('paid_at', { ascending: true }));
+
+  const refundEvents = await fetchAllRows(() => supabase
+    .from('p24_events')
+    .select('session_id, p24_order_id, payload_json, created_at')
+    .eq('event_type', 'refund_completed')
+    .gte('created_at', start)
+    .lt('created_at', end)
+    .order('created_at', { ascending: true }));
+
+  // Refunded transactions may have been paid before the range
+  const bySession = new Map(donations.map(tx => [tx.session_id, tx]));
+  const missing = [...new Set(refundEvents.map(ev => ev.session_id).filter(id => id && !bySession.has(id)))];
+
+  for (let i = 0; i < missing.length; i += 200) {
+    const { data, error } = await supabase
+      .from('p24_transactions')
+      .select(txColumns)
+      .in('session_id', missing.slice(i, i + 200));
+    if (error) throw new Error('DB read (refunded transactions) failed: ' + error.message);
+    for (const tx of data || []) bySession.set(tx.session_id, tx);
+  }
+
+  return [
+    ...donations.map(donationRow),
+    ...refundEvents.map(ev => refundRow(ev, bySession.get(ev.session_id))),
+  ].sort((a, b) => (a.booked_at < b.booked_at ? -1 : a.booked_at > b.booked_at ? 1 : 0));
+}
+
+/**
+ * Subtotals per day and currency (donations, refunds, net) plus totals for the whole range.
+ */
+export function summarize(rows) {
+  const days = new Map();
+  const totals = new Map();
+
+  const add = (map, key, base, r) => {
+    const s = map.get(key) || { ...base, donations_count: 0, donations_grosze: 0, refunds_count: 0, refunds_grosze: 0, net_grosze: 0 };
+    if (r.type === 'refund') {
+      s.refunds_count++;
+      s.refunds_grosze += r.amount_grosze;
+    } else {
+      s.donations_count++;
+      s.donations_grosze += r.amount_grosze;
+    }
+    s.net_grosze += r.amount_grosze;
+    map.set(key, s);
+  };
+
+  for (const r of rows) {
+    add(days, `${r.date}|${r.currency}`, { date: r.date, currency: r.currency }, r);
+    add(totals, r.currency, { currency: r.currency }, r);
+  }
+
+  return { subtotals: [...days.values()], totals: [...totals.values()] };
+}
+
+function csvCell(value, { delimiter, decimal, numeric }) {
+  let s = value == null ? '' : String(value);
+  if (numeric) {
+    if (decimal !== ',') return s;
+    s = s.replace('.', ',');
+    return delimiter === ',' ? '"' + s + '"' : s;
+  }
+  // Spreadsheet formula injection (email, refs come from user input)
+  if (/^[=+\-@\t\r]/.test(s)) s = "'" + s;
+  if (s.includes(delimiter) || /["\r\n]/.test(s)) s = '"' + s.replace(/"/g, '""') + '"';
+  return s;
+}
+
+/**
+ * CSV with a subtotal line after each day (type=subtotal) when subtotals is true.
+ * Starts with a UTF-8 BOM so spreadsheets detect the encoding.
+ */
+export function toCsv(rows, { columns, delimiter = ';', decimal = ',', header = true, subtotals = true }) {
+  const opts = key => ({ delimiter, decimal, numeric: NUMERIC_COLUMNS.has(key) });
+  const line = r => columns.map(c => csvCell(COLUMNS[c.key](r), opts(c.key))).join(delimiter);
+  const lines = [];
+
+  if (header) lines.push(columns.map(c => csvCell(c.label, opts(''))).join(delimiter));
+
+  const subtotalRow = s => ({
+    type: 'subtotal',
+    date: s.date,
+    amount_grosze: s.net_grosze,
+    amount: toMajor(s.net_grosze),
+    currency: s.currency,
+  });
+
+  const { subtotals: daySums } = summarize(rows);
+  const sumsByDay = new Map();
+  for (const s of daySums) {
+    if (!sumsByDay.has(s.date)) sumsByDay.set(s.date, []);
+    sumsByDay.get(s.date).push(s);
+  }
+
+  rows.forEach((r, i) => {
+    lines.push(line(r));
+    const dayEnds = i === rows.length - 1 || rows[i + 1].date !== r.date;
+    if (subtotals && dayEnds) {
+      for (const s of sumsByDay.get(r.date) || []) lines.push(line(subtotalRow(s)));
+    }
+  });
+
+  return '\ufeff' + lines.join('\r\n') + '\r\n';
+}
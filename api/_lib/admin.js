@@ -0,0 +1,147 @@
+// Helpers for the admin dashboard API (api/admin): transaction filters and daily/monthly totals.
+// Dates from the dashboard are calendar days in Polish time (Europe/Warsaw).
+
+import { PAID_STATUSES } from './donations.js';
+
+const TIME_ZONE = 'Europe/Warsaw';
+
+const dayKeyFormat = new Intl.DateTimeFormat('en-CA', {
+  timeZone: TIME_ZONE,
+  year: 'numeric',
+  month: '2-digit',
+  day: '2-digit',
+});
+
+const partsFormat = new Intl.DateTimeFormat('en-US', {
+  timeZone: TIME_ZONE,
+  hourCycle: 'h23',
+  year: 'numeric',
+  month: 'numeric',
+  day: 'numeric',
+  hour: 'numeric',
+  minute: 'numeric',
+});
+
+export const ADMIN_LIST_COLUMNS =
+  'session_id, public_ref, status, amount_grosze, refunded_grosze, currency, email, created_at, paid_at, ' +
+  'meta_json, subscription_id, campaign_slug, p24_order_id, thankyou_email_sent_at, thankyou_email_error';
+
+export function isYmd(s) {
+  return /^\d{4}-\d{2}-\d{2}$/.test(String(s || '')) && !Number.isNaN(Date.parse(s + 'T00:00:00Z'));
+}
+
+/**
+ * Midnight of a YYYY-MM-DD day in Warsaw, as a Date (handles CET/CEST).
+ */
+export function warsawMidnight(ymd) {
+  const utc = Date.parse(ymd + 'T00:00:00Z');
+  const p = Object.fromEntries(partsFormat.formatToParts(new Date(utc)).map(x => [x.type, x.value]));
+  const asUtc = Date.UTC(Number(p.year), Number(p.month) - 1, Number(p.day), Number(p.hour), Number(p.minute));
+  return new Date(utc - (asUtc - utc));
+}
+
+export function warsawDayKey(iso) {
+  return dayKeyFormat.format(new Date(iso));
+}
+
+export function nextDay(ymd) {
+  return new Date(Date.parse(ymd + 'T00:00:00Z') + 24 * 3600 * 1000).toISOString().slice(0, 10);
+}
+
+function toInt(x) {
+  if (x === null || x === undefined || x === '') return null;
+  const n = Number(x);
+  return Number.isFinite(n) ? Math.trunc(n) : null;
+}
+
+function listParam(v) {
+  return String(v || '')
+    .split(',')
+    .map(s => s.trim())
+    .filter(Boolean);
+}
+
+/**
+ * Reads list filters from the query string:
+ *   status=paid,refunded  currency=PLN  from=YYYY-MM-DD  to=YYYY-MM-DD (inclusive)
+ *   minGrosze  maxGrosze  lang=pl|en (meta_json.page)  email (substring)  campaign
+ */
+export function parseTransactionFilters(searchParams) {
+  const from = searchParams.get('from');
+  const to = searchParams.get('to');
+  const lang = searchParams.get('lang');
+
+  return {
+    statuses: listParam(searchParams.get('status')),
+    currencies: listParam(searchParams.get('currency')).map(c => c.toUpperCase()),
+    from: isYmd(from) ? from : null,
+    to: isYmd(to) ? to : null,
+    minGrosze: toInt(searchParams.get('minGrosze')),
+    maxGrosze: toInt(searchParams.get('maxGrosze')),
+    lang: lang === 'pl' || lang === 'en' ? lang : null,
+    email: String(searchParams.get('email') || '').trim().toLowerCase() || null,
+    campaign: String(searchParams.get('campaign') || '').trim() || null,
+  };
+}
+
+/**
+ * Applies filters to a p24_transactions query. dateColumn: created_at (list) or paid_at (totals).
+ */
+export function applyTransactionFilters(query, f, dateColumn = 'created_at') {
+  let q = query;
+  if (f.statuses.length) q = q.in('status', f.statuses);
+  if (f.currencies.length) q = q.in('currency', f.currencies);
+  if (f.from) q = q.gte(dateColumn, warsawMidnight(f.from).toISOString());
+  if (f.to) q = q.lt(dateColumn, warsawMidnight(nextDay(f.to)).toISOString());
+  if (f.minGrosze !== null) q = q.gte('amount_grosze', f.minGrosze);
+  if (f.maxGrosze !== null) q = q.lte('amount_grosze', f.maxGrosze);
+  if (f.lang) q = q.like('meta_json->>page', `${f.lang}/%`);
+  if (f.email) q = q.ilike('email', `%${f.email.replace(/[\\%_]/g, m => '\\' + m)}%`);
+  if (f.campaign) q = q.eq('campaign_slug', f.campaign);
+  return q;
+}
+
+/**
+ * Reads all rows of a query in pages of 1000 (PostgREST default max rows).
+ * makeQuery() must return a fresh query builder each time.
+ */
+export async function fetchAllRows(makeQuery, pageSize = 1000) {
+  const out = [];
+  for (let offset = 0; ; offset += pageSize) {
+    const { data, error } = await makeQuery().range(offset, offset + pageSize - 1);
+    if (error) throw new Error('DB read failed: ' + error.message);
+    out.push(...(data || []));
+    if (!data || data.length < pageSize) return out;
+  }
+}
+
+/**
+ * Sums confirmed donations (net of refunds) per day or month and currency,
+ * with a running total per currency across the period.
+ */
+export function groupTotals(rows, granularity = 'day') {
+  const buckets = new Map();
+
+  for (const r of rows) {
+    if (!r.paid_at || !PAID_STATUSES.includes(r.status)) continue;
+    const day = warsawDayKey(r.paid_at);
+    const period = granularity === 'month' ? day.slice(0, 7) : day;
+    const currency = String(r.currency || 'PLN').toUpperCase();
+    const key = `${period}|${currency}`;
+
+    const b = buckets.get(key) || { period, currency, count: 0, gross_grosze: 0, refunded_grosze: 0 };
+    b.count++;
+    b.gross_grosze += Number(r.amount_grosze || 0);
+    b.refunded_grosze += Number(r.refunded_grosze || 0);
+    buckets.set(key, b);
+  }
+
+  const running = {};
+  return [...buckets.values()]
+    .sort((a, b) => (a.period === b.period ? a.currency.localeCompare(b.currency) : a.period.localeCompare(b.period)))
+    .map(b => {
+      const net = b.gross_grosze - b.refunded_grosze;
+      running[b.currency] = (running[b.currency] || 0) + net;
+      return { ...b, net_grosze: net, running_net_grosze: running[b.currency] };
+    });
+}
@@ -0,0 +1,172 @@
+// Abuse protection for /api/p24/create: honeypot field, proof-of-work challenge and
+// rate limits per IP and per email (Supabase function rate_limit_hit). Blocked attempts
+// are logged to p24_events as create_blocked (once per rate-limit window).
+//
+// Configuration (env):
+//   ANTIBOT_SECRET          signs challenges and hashes identifiers; without it the
+//                           proof-of-work is not required (honeypot and rate limits still apply)
+//                           and identifiers are keyed with SUPABASE_SERVICE_ROLE_KEY instead
+//   POW_DIFFICULTY          leading zero bits of sha256(challenge:nonce), default 15 (~1 s in a browser)
+//   RATE_LIMIT_CREATE_IP    "max/seconds,..." per IP, default "5/60,30/3600"
+//   RATE_LIMIT_CREATE_EMAIL "max/seconds,..." per email, default "10/3600"
+//
+// Challenge: "<expires>.<difficulty>.<random>.<hmac>", valid CHALLENGE_TTL_SECONDS, single use.
+
+import crypto from 'crypto';
+import { getEnv } from './config.js';
+import { log, recordEvent } from './log.js';
+
+const CHALLENGE_TTL_SECONDS = 10 * 60;
+export const HONEYPOT_FIELD = 'website';
+
+function secret() {
+  return getEnv('ANTIBOT_SECRET');
+}
+
+function hmac(value) {
+  return crypto.createHmac('sha256', secret()).update(value).digest('base64url');
+}
+
+// Identifiers are stored only as keyed hashes: a plain sha256 of an IPv4 address or an email
+// is easily reversed
+function hashIdentifier(value) {
+  const v = String(value || '').trim().toLowerCase();
+  const key = secret() || getEnv('SUPABASE_SERVICE_ROLE_KEY');
+  return crypto.createHmac('sha256', key).update('id|' + v).digest('base64url').slice(0, 32);
+}
+
+export function clientIp(req) {
+  const forwarded = String(req.headers['x-forwarded-for'] || '').split(',')[0].trim();
+  return forwarded || String(req.headers['x-real-ip'] || '') || req.socket?.remoteAddress || 'unknown';
+}
+
+export function getPowDifficulty() {
+  return getEnv('POW_DIFFICULTY');
+}
+
+export function isPowEnabled() {
+  return !!secret() && getPowDifficulty() > 0;
+}
+
+export function issueChallenge() {
+  const expires = Math.floor(Date.now() / 1000) + CHALLENGE_TTL_SECONDS;
+  const payload = `${expires}.${getPowDifficulty()}.${crypto.randomBytes(12).toString('base64url')}`;
+  return { challenge: `${payload}.${hmac(payload)}`, difficulty: getPowDifficulty(), expiresAt: new Date(expires * 1000).toISOString() };
+}
+
+function leadingZeroBits(buf) {
+  let bits = 0;
+  for (const byte of buf) {
+    if (byte === 0) {
+      bits += 8;
+      continue;
+    }
+    bits += Math.clz32(byte) - 24;
+    break;
+  }
+  return bits;
+}
+
+/**
+ * Checks signature, expiry and work of a solved challenge. Single use is enforced by the caller.
+ */
+export function verifyChallenge(pow) {
+  const challenge = String(pow?.challenge || '');
+  const nonce = String(pow?.nonce ?? '');
+  const parts = challenge.split('.');
+  if (parts.length !== 4 || !nonce || nonce.length > 32) return { ok: false, reason: 'malformed' };
+
+  const [expires, difficulty, , sig] = parts;
+  const payload = parts.slice(0, 3).join('.');
+  const expected = hmac(payload);
+  if (sig.length !== expected.length || !crypto.timingSafeEqual(Buffer.from(sig), Buffer.from(expected))) {
+    return { ok: false, reason: 'bad_signature' };
+  }
+  if (Number(expires) * 1000 < Date.now()) return { ok: false, reason: 'expired' };
+  if (Number(difficulty) < getPowDifficulty()) return { ok: false, reason: 'too_easy' };
+
+  const hash = crypto.createHash('sha256').update(`${challenge}:${nonce}`).digest();
+  if (leadingZeroBits(hash) < Number(difficulty)) return { ok: false, reason: 'insufficient_work' };
+
+  return { ok: true };
+}
+
+/**
+ * "5/60,30/3600" -> [{ max: 5, seconds: 60 }, { max: 30, seconds: 3600 }]
+ */
+export function parseLimits(spec, fallback) {
+  const rules = String(spec || fallback)
+    .split(',')
+    .map(s => s.trim().split('/').map(Number))
+    .filter(([max, seconds]) => Number.isInteger(max) && max > 0 && Number.isInteger(seconds) && seconds > 0)
+    .map(([max, seconds]) => ({ max, seconds }));
+  return rules.length ? rules : parseLimits(fallback, fallback);
+}
+
+// Returns the hit count in the current window, or null when the limiter is unavailable (fail open)
+async function hit(supabase, bucket, seconds) {
+  const { data, error } = await supabase.rpc('rate_limit_hit', { p_bucket: bucket, p_window_seconds: seconds });
+  if (error) {
+    log.error('[antibot] rate_limit_hit failed', { bucket, err: error });
+    return null;
+  }
+  return Number(data);
+}
+
+async function logBlocked(supabase, payload) {
+  await recordEvent(supabase, { event_type: 'create_blocked', payload_json: payload });
+}
+
+/**
+ * Runs all checks for a donation request. Returns null when it may proceed, otherwise
+ * { code, retryAfter? } (an error code of errors.js) to send back.
+ */
+export async function checkDonationRequest({ supabase, req, body, email }) {
+  const ipHash = hashIdentifier(clientIp(req));
+  const page = String(body?.meta?.page || '') || null;
+
+  // 1) Honeypot: a field people never see
+  if (String(body?.[HONEYPOT_FIELD] || '').trim()) {
+    await logBlocked(supabase, { reason: 'honeypot', ip_hash: ipHash, page });
+    return { code: 'verification_failed' };
+  }
+
+  // 2) Proof of work (only when ANTIBOT_SECRET is configured)
+  if (isPowEnabled()) {
+    const check = verifyChallenge(body?.pow);
+    let reason = check.ok ? null : check.reason;
+    if (!reason) {
+      const uses = await hit(supabase, 'pow:' + hashIdentifier(body.pow.challenge), CHALLENGE_TTL_SECONDS);
+      if (uses !== null && uses > 1) reason = 'reused';
+    }
+    if (reason) {
+      await logBlocked(supabase, { reason: 'pow', detail: reason, ip_hash: ipHash, page });
+      return { code: 'verification_failed' };
+    }
+  }
+
+  // 3) Rate limits per IP and per email
+  const buckets = [
+    ...parseLimits(getEnv('RATE_LIMIT_CREATE_IP'), '5/60,30/3600').map(r => ({ ...r, scope: 'ip', id: ipHash })),
+    ...(email
+      ? parseLimits(getEnv('RATE_LIMIT_CREATE_EMAIL'), '10/3600').map(r => ({ ...r, scope: 'email', id: hashIdentifier(email) }))
+      : []),
+  ];
+
+  for (const b of buckets) {
+    const count = await hit(supabase, `create:${b.scope}:${b.seconds}:${b.id}`, b.seconds);
+    if (count === null || count <= b.max) continue;
+
+    // Log the first blocked hit of a window only, so a flood does not flood p24_events too
+    if (count === b.max + 1) {
+      await logBlocked(supabase, { reason: 'rate_limit', scope: b.scope, limit: `${b.max}/${b.seconds}`, ip_hash: ipHash, page });
+    }
+    const windowEnd = (Math.floor(Date.now() / 1000 / b.seconds) + 1) * b.seconds;
+    return {
+      code: 'rate_limited',
+      retryAfter: Math.max(1, windowEnd - Math.floor(Date.now() / 1000)),
+    };
+  }
+
+  return null;
+}
@@ -0,0 +1,35 @@
+import crypto from 'crypto';
+import { getEnv, getSettings } from './config.js';
+
+export function safeEqual(a, b) {
+  const ba = Buffer.from(String(a ?? ''));
+  const bb = Buffer.from(String(b ?? ''));
+  if (ba.length !== bb.length) return false;
+  return crypto.timingSafeEqual(ba, bb);
+}
+
+/**
+ * Vercel Cron sends "Authorization: Bearer <CRON_SECRET>".
+ * Without CRON_SECRET configured, cron endpoints stay closed.
+ */
+export function isCronRequest(req) {
+  const secret = getEnv('CRON_SECRET');
+  if (!secret) return false;
+  return safeEqual(req.headers['authorization'] || '', `Bearer ${secret}`);
+}
+
+/**
+ * Admin endpoints use the same admin_secret (secret_config) as /api/fb-login.
+ * Accepted as "Authorization: Bearer <secret>" or ?s=<secret>.
+ */
+export async function isAdminRequest(req, supabase) {
+  const u = new URL(req.url, 'http://localhost');
+  const auth = String(req.headers['authorization'] || '');
+  const provided = auth.startsWith('Bearer ') ? auth.slice('Bearer '.length).trim() : u.searchParams.get('s');
+  if (!provided) return false;
+
+  const { admin_secret: secret } = await getSettings(supabase, ['admin_secret']);
+  if (!secret) return false;
+
+  return safeEqual(provided, secret);
+}
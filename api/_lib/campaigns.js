@@ -0,0 +1,85 @@
+// Fundraising campaigns (table campaigns, p24_transactions.campaign_slug).
+// Progress counts confirmed donations in the campaign currency, net of refunds.
+
+import { PAID_STATUSES } from './donations.js';
+import { formatAmount } from './currencies.js';
+import { fetchAllRows } from './admin.js';
+
+const CAMPAIGN_COLUMNS = 'slug, title_pl, title_en, goal_grosze, currency, starts_at, ends_at, is_active';
+
+export function isValidSlug(slug) {
+  return /^[a-z0-9]+(?:-[a-z0-9]+)*$/.test(String(slug || '')) && String(slug).length <= 80;
+}
+
+export async function getCampaign(supabase, slug) {
+  if (!isValidSlug(slug)) return null;
+
+  const { data, error } = await supabase
+    .from('campaigns')
+    .select(CAMPAIGN_COLUMNS)
+    .eq('slug', slug)
+    .maybeSingle();
+
+  if (error) throw new Error('DB read (campaign) failed: ' + error.message);
+  return data || null;
+}
+
+export async function listActiveCampaigns(supabase) {
+  const { data, error } = await supabase
+    .from('campaigns')
+    .select(CAMPAIGN_COLUMNS)
+    .eq('is_active', true)
+    .order('starts_at', { ascending: true });
+
+  if (error) throw new Error('DB read (campaigns) failed: ' + error.message);
+  return (data || []).filter(c => isCampaignOpen(c));
+}
+
+/**
+ * A campaign accepts donations when it is active and now is within [starts_at, ends_at].
+ */
+export function isCampaignOpen(campaign, now = Date.now()) {
+  if (!campaign || !campaign.is_active) return false;
+  if (campaign.starts_at && new Date(campaign.starts_at).getTime() > now) return false;
+  if (campaign.ends_at && new Date(campaign.ends_at).getTime() < now) return false;
+  return true;
+}
+
+export async function getCampaignProgress(supabase, campaign, lang = 'pl') {
+  // Paged: a single select stops at the PostgREST row limit (1000)
+  const rows = await fetchAllRows(() => supabase
+    .from('p24_transactions')
+    .select('amount_grosze, refunded_grosze, currency')
+    .eq('campaign_slug', campaign.slug)
+    .in('status', PAID_STATUSES)
+    .order('session_id', { ascending: true }));
+
+  const currency = String(campaign.currency || 'PLN').toUpperCase();
+  let raised = 0;
+  let count = 0;
+
+  for (const r of rows) {
+    // Donations in other currencies are not converted; they do not count towards the goal
+    if (String(r.currency || 'PLN').toUpperCase() !== currency) continue;
+    raised += Number(r.amount_grosze || 0) - Number(r.refunded_grosze || 0);
+    count++;
+  }
+
+  const goal = Number(campaign.goal_grosze || 0);
+
+  return {
+    slug: campaign.slug,
+    title: lang === 'en' ? (campaign.title_en || campaign.title_pl) : campaign.title_pl,
+    titles: { pl: campaign.title_pl, en: campaign.title_en || null },
+    currency,
+    goal_grosze: goal,
+    raised_grosze: raised,
+    donations_count: count,
+    percent: goal > 0 ? Math.min(100, Math.round((raised / goal) * 1000) / 10) : null,
+    goal_formatted: formatAmount(goal, currency, lang),
+    raised_formatted: formatAmount(raised, currency, lang),
+    starts_at: campaign.starts_at,
+    ends_at: campaign.ends_at,
+    is_open: isCampaignOpen(campaign),
+  };
+}
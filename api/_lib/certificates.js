@@ -0,0 +1,239 @@
+// Annual donation certificates (PIT deduction) for one donor email and one tax year.
+// The PDF is served only through a signed link: HMAC of email|year|exp with CERTIFICATE_SECRET.
+
+import crypto from 'crypto';
+import { safeEqual } from './auth.js';
+import { ConfigError, getEnv } from './config.js';
+import { emailIlikePattern, normalizeEmail } from './donors.js';
+import { formatAmount } from './currencies.js';
+import { buildPdf, PDF_PAGE } from './pdf.js';
+
+// Same details as on /pl/kontakt and /en/contact
+export const FOUNDATION = {
+  name: 'Fundacja Cappella Marialis',
+  address: 'Bodzanów 393, 32-020 Bodzanów',
+  nip: '6832140625',
+  krs: '0001126807',
+  regon: '529665365',
+};
+
+// Partially refunded donations are listed with the amount that was kept
+const CERTIFICATE_STATUSES = ['paid', 'partially_refunded'];
+
+const DEFAULT_TTL_DAYS = 30;
+const MAX_TTL_DAYS = 365;
+
+function getSecret() {
+  const secret = getEnv('CERTIFICATE_SECRET');
+  if (!secret) throw new ConfigError({ key: 'CERTIFICATE_SECRET', problem: 'is required' });
+  return secret;
+}
+
+export function isValidTaxYear(year, now = new Date()) {
+  const y = Number(year);
+  return Number.isInteger(y) && y >= 2020 && y <= now.getUTCFullYear();
+}
+
+function sign(email, year, exp) {
+  return crypto
+    .createHmac('sha256', getSecret())
+    .update(`${normalizeEmail(email)}|${Number(year)}|${Number(exp)}`)
+    .digest('base64url');
+}
+
+/**
+ * Builds the public download link. ttlDays is clamped to 1..365.
+ */
+export function buildCertificateLink({ baseUrl, email, year, ttlDays = DEFAULT_TTL_DAYS }) {
+  const days = Math.min(MAX_TTL_DAYS, Math.max(1, Math.floor(Number(ttlDays) || DEFAULT_TTL_DAYS)));
+  const exp = Math.floor(Date.now() / 1000) + days * 24 * 3600;
+
+  const u = new URL(baseUrl);
+  u.searchParams.set('email', normalizeEmail(email));
+  u.searchParams.set('year', String(Number(year)));
+  u.searchParams.set('exp', String(exp));
+  u.searchParams.set('sig', sign(email, year, exp));
+
+  return { url: u.toString(), expiresAt: new Date(exp * 1000).toISOString() };
+}
+
+/**
+ * Checks the link parameters. Returns { ok, reason }.
+ */
+export function verifyCertificateLink({ email, year, exp, sig }) {
+  if (!email || !year || !exp || !sig) return { ok: false, reason: 'missing_params' };
+  if (!isValidTaxYear(year)) return { ok: false, reason: 'invalid_year' };
+  if (!safeEqual(sign(email, year, exp), sig)) return { ok: false, reason: 'invalid_sign' };
+  if (Number(exp) * 1000 < Date.now()) return { ok: false, reason: 'expired' };
+  return { ok: true };
+}
+
+// Tax year boundaries in Polish time (January is always CET, UTC+1)
+function yearRange(year) {
+  return {
+    from: new Date(`${year}-01-01T00:00:00+01:00`).toISOString(),
+    to: new Date(`${Number(year) + 1}-01-01T00:00:00+01:00`).toISOString(),
+  };
+}
+
+export async function getDonationsForYear(supabase, email, year) {
+  const { from, to } = yearRange(year);
+  const { data, error } = await supabase
+    .from('p24_transactions')
+    .select('public_ref, amount_grosze, refunded_grosze, currency, paid_at')
+    .ilike('email', emailIlikePattern(email))
+    .in('status', CERTIFICATE_STATUSES)
+    .gte('paid_at', from)
+    .lt('paid_at', to)
+    .order('paid_at', { ascending: true });
+
+  if (error) throw new Error('DB read (certificate) failed: ' + error.message);
+
+  return (data || [])
+    .map(r => ({
+      public_ref: r.public_ref,
+      paid_at: r.paid_at,
+      currency: String(r.currency || 'PLN').toUpperCase(),
+      amount_grosze: Number(r.amount_grosze || 0) - Number(r.refunded_grosze || 0),
+    }))
+    .filter(r => r.amount_grosze > 0);
+}
+
+function formatDate(iso) {
+  return new Intl.DateTimeFormat('pl-PL', {
+    timeZone: 'Europe/Warsaw',
+    year: 'numeric',
+    month: '2-digit',
+    day: '2-digit',
+  }).format(new Date(iso));
+}
+
+const MARGIN = 56;
+
+// Foundation letterhead at the top of every page; returns the y where content starts
+function drawLetterhead(ops) {
+  let y = PDF_PAGE.height - 60;
+  ops.push({ type: 'text', x: MARGIN, y, text: FOUNDATION.name, size: 12, bold: true }); y -= 15;
+  ops.push({ type: 'text', x: MARGIN, y, text: FOUNDATION.address, size: 9 }); y -= 12;
+  ops.push({ type: 'text', x: MARGIN, y, text: `KRS: ${FOUNDATION.krs}   NIP: ${FOUNDATION.nip}   REGON: ${FOUNDATION.regon}`, size: 9 }); y -= 10;
+  ops.push({ type: 'line', x1: MARGIN, y1: y, x2: PDF_PAGE.width - MARGIN, y2: y });
+  return y - 30;
+}
+
+/**
+ * Renders the bilingual (PL/EN) certificate. Returns a PDF Buffer.
+ */
+export function renderCertificatePdf({ email, year, donations, issuedAt = new Date() }) {
+  const left = MARGIN;
+  const right = PDF_PAGE.width - MARGIN;
+  const bottom = 70;
+  const cols = { no: left, ref: left + 30, date: left + 200, amount: left + 310 };
+
+  const pages = [];
+  let ops;
+  let y;
+
+  const text = (x, str, opts = {}) => ops.push({ type: 'text', x, y, text: str, ...opts });
+  const rule = () => ops.push({ type: 'line', x1: left, y1: y, x2: right, y2: y });
+
+  const newPage = () => {
+    ops = [];
+    pages.push(ops);
+    y = drawLetterhead(ops);
+  };
+
+  const tableHeader = () => {
+    text(cols.no, 'Lp.', { size: 9, bold: true });
+    text(cols.ref, 'Numer wpłaty / Reference', { size: 9, bold: true });
+    text(cols.date, 'Data / Date', { size: 9, bold: true });
+    text(cols.amount, 'Kwota / Amount', { size: 9, bold: true });
+    y -= 6; rule(); y -= 14;
+  };
+
+  newPage();
+
+  text(left, `Zaświadczenie o darowiznach za rok ${year}`, { size: 16, bold: true }); y -= 20;
+  text(left, `Certificate of donations received in ${year}`, { size: 12 }); y -= 30;
+
+  text(left, `${FOUNDATION.name} potwierdza otrzymanie od darczyńcy (e-mail: ${email})`, { size: 10 }); y -= 13;
+  text(left, 'następujących darowizn pieniężnych na cele statutowe Fundacji.', { size: 10 }); y -= 17;
+  text(left, `${FOUNDATION.name} confirms receipt of the following monetary donations`, { size: 9 }); y -= 12;
+  text(left, `for its statutory purposes from the donor (e-mail: ${email}).`, { size: 9 }); y -= 28;
+
+  tableHeader();
+
+  if (!donations.length) {
+    text(left, 'Brak zaksięgowanych darowizn w tym roku. / No donations recorded in this year.', { size: 10 });
+    y -= 16;
+  }
+
+  const totals = new Map();
+  donations.forEach((d, i) => {
+    if (y < bottom + 20) {
+      newPage();
+      tableHeader();
+    }
+    text(cols.no, `${i + 1}.`, { size: 10 });
+    text(cols.ref, d.public_ref || '', { size: 10 });
+    text(cols.date, formatDate(d.paid_at), { size: 10 });
+    text(cols.amount, formatAmount(d.amount_grosze, d.currency, 'pl'), { size: 10 });
+    totals.set(d.currency, (totals.get(d.currency) || 0) + d.amount_grosze);
+    y -= 16;
+  });
+
+  if (y < bottom + 140) newPage();
+
+  y -= 4; rule(); y -= 16;
+  for (const [currency, sum] of totals) {
+    text(cols.ref, 'Razem / Total', { size: 10, bold: true });
+    text(cols.amount, formatAmount(sum, currency, 'pl'), { size: 10, bold: true });
+    y -= 16;
+  }
+  y -= 20;
+
+  text(left, 'Darowizny zostały przekazane drogą elektroniczną za pośrednictwem Przelewy24 na rachunek Fundacji.', { size: 9 }); y -= 12;
+  text(left, 'The donations were made electronically via Przelewy24 to the Foundation\'s account.', { size: 9 }); y -= 24;
+  text(left, `Data wystawienia / Date of issue: ${formatDate(issuedAt.toISOString())}`, { size: 9 }); y -= 12;
+  text(left, 'Dokument wygenerowany elektronicznie, nie wymaga podpisu.', { size: 8 }); y -= 11;
+  text(left, 'This document was generated electronically and does not require a signature.', { size: 8 });
+
+  return buildPdf(pages, { title: `Zaświadczenie o darowiznach ${year} – ${FOUNDATION.name}` });
+}
+
+/**
+ * Renders a bilingual (PL/EN) confirmation of a single donation. Returns a PDF Buffer.
+ */
+export function renderReceiptPdf({ tx, issuedAt = new Date() }) {
+  const ops = [];
+  let y = drawLetterhead(ops);
+  const text = (x, str, opts = {}) => ops.push({ type: 'text', x, y, text: str, ...opts });
+  const valueX = MARGIN + 190;
+
+  const refunded = Number(tx.refunded_grosze || 0);
+  const rows = [
+    ['Numer wpłaty / Reference', tx.public_ref || ''],
+    ['Data / Date', tx.paid_at ? formatDate(tx.paid_at) : ''],
+    ['Kwota / Amount', formatAmount(tx.amount_grosze, tx.currency, 'pl')],
+    refunded > 0 ? ['Zwrócono / Refunded', formatAmount(refunded, tx.currency, 'pl')] : null,
+    ['Darczyńca / Donor', tx.email || ''],
+    tx.p24_order_id ? ['Przelewy24 ID', String(tx.p24_order_id)] : null,
+  ].filter(Boolean);
+
+  text(MARGIN, 'Potwierdzenie darowizny', { size: 16, bold: true }); y -= 20;
+  text(MARGIN, 'Donation receipt', { size: 12 }); y -= 30;
+
+  for (const [label, value] of rows) {
+    text(MARGIN, label, { size: 10, bold: true });
+    text(valueX, value, { size: 10 });
+    y -= 16;
+  }
+  y -= 20;
+
+  text(MARGIN, `${FOUNDATION.name} dziękuje za darowiznę na cele statutowe Fundacji.`, { size: 9 }); y -= 12;
+  text(MARGIN, `${FOUNDATION.name} thanks you for your donation to its statutory purposes.`, { size: 9 }); y -= 24;
+  text(MARGIN, `Data wystawienia / Date of issue: ${formatDate(issuedAt.toISOString())}`, { size: 9 }); y -= 12;
+  text(MARGIN, 'Dokument wygenerowany elektronicznie, nie wymaga podpisu.', { size: 8 }); y -= 11;
+  text(MARGIN, 'This document was generated electronically and does not require a signature.', { size: 8 });
+
+  return buildPdf([ops], { title: `Potwierdzenie darowizny ${tx.public_ref || ''} – ${FOUNDATION.name}` });
+}
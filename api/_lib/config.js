@@ -0,0 +1,268 @@
+// Configuration: one place that knows every setting, its type and default.
+//
+//   getEnv('RECURRING_BATCH_SIZE')        typed environment variable (Vercel project settings)
+//   getSettings(supabase, ['admin_secret'])  values of the secret_config table (Supabase)
+//   validateConfig(['p24', 'email'])      list of problems, for diagnostics; never throws
+//
+// Invalid or missing required values raise ConfigError naming the key; secret values never
+// appear in error messages. Values are cached for the current request (see log.js context),
+// so a handler reads secret_config at most once per key and sees fresh values on the next call.
+
+import { getRequestContext } from './log.js';
+
+export class ConfigError extends Error {
+  constructor(problems) {
+    const list = [].concat(problems);
+    super('Invalid configuration: ' + list.map(p => `${p.key} ${p.problem}`).join('; '));
+    this.name = 'ConfigError';
+    this.problems = list;
+  }
+}
+
+export const EMAIL_TRANSPORTS = ['resend', 'smtp', 'file', 'none'];
+export const TRANSLATION_PROVIDERS = ['deepl', 'deepl_free', 'deepl_pro', 'libretranslate'];
+
+// Environment variables. {CUR} stands for a currency code (PLN, EUR, ...).
+//   type: string | int | number | bool | list | url | enum     required: must be set
+//   secret: never echoed back      min / max: numeric range     minLength: string length
+const ENV_SCHEMA = {
+  // Supabase
+  SUPABASE_URL: { group: 'supabase', type: 'url', required: true },
+  SUPABASE_SERVICE_ROLE_KEY: { group: 'supabase', type: 'string', required: true, secret: true },
+
+  // Przelewy24
+  P24_MERCHANT_ID: { group: 'p24', type: 'int', required: true, min: 1 },
+  P24_POS_ID: { group: 'p24', type: 'int', min: 1 },
+  P24_API_KEY: { group: 'p24', type: 'string', required: true, secret: true, minLength: 16 },
+  P24_CRC: { group: 'p24', type: 'string', required: true, secret: true },
+  P24_SANDBOX: { group: 'p24', type: 'bool', default: false },
+  P24_DESCRIPTION: { group: 'p24', type: 'string', default: 'Darowizna na cele statutowe' },
+  P24_RETURN_PATH: { group: 'p24', type: 'string', default: '/pl/dziekujemy' },
+  P24_STATUS_PATH: { group: 'p24', type: 'string', default: '/api/p24/status' },
+  P24_PROXY_BASE: { group: 'p24', type: 'url' },
+  P24_VERIFY_PROXY_URL: { group: 'p24', type: 'url' },
+  P24_REGISTER_PROXY_URL: { group: 'p24', type: 'url' },
+
+  // Donations
+  DONATION_CURRENCIES: { group: 'donations', type: 'list', default: ['PLN', 'EUR', 'USD'] },
+  'DONATION_MIN_{CUR}': { group: 'donations', type: 'int', min: 1 },
+  'DONATION_MAX_{CUR}': { group: 'donations', type: 'int', min: 1 },
+  'DONATION_PRESETS_{CUR}': { group: 'donations', type: 'list' },
+  DONATION_MIN_GROSZE: { group: 'donations', type: 'int', min: 1 },
+  DONATION_MAX_GROSZE: { group: 'donations', type: 'int', min: 1 },
+  REQUIRE_DONOR_EMAIL: { group: 'donations', type: 'bool', default: true },
+  CONSENTS_VERSION: { group: 'donations', type: 'string', default: '1' },
+
+  // Recurring donations and reconciliation (cron)
+  RECURRING_MAX_FAILED_ATTEMPTS: { group: 'recurring', type: 'int', default: 3, min: 1 },
+  RECURRING_RETRY_DAYS: { group: 'recurring', type: 'int', default: 3, min: 1 },
+  RECURRING_BATCH_SIZE: { group: 'recurring', type: 'int', default: 20, min: 1 },
+  RECONCILE_MIN_AGE_MINUTES: { group: 'reconcile', type: 'int', default: 30, min: 5 },
+  RECONCILE_EXPIRE_HOURS: { group: 'reconcile', type: 'int', default: 24, min: 1 },
+  RECONCILE_BATCH_SIZE: { group: 'reconcile', type: 'int', default: 50, min: 1 },
+
+  // Email
+  EMAIL_TRANSPORT: { group: 'email', type: 'enum', values: EMAIL_TRANSPORTS },
+  EMAIL_FROM: { group: 'email', type: 'string' },
+  EMAIL_SUBJECT: { group: 'email', type: 'string' },
+  EMAIL_OUTBOX_DIR: { group: 'email', type: 'string' },
+  EMAIL_MAX_ATTEMPTS: { group: 'email', type: 'int', default: 8, min: 1 },
+  EMAIL_OUTBOX_BATCH_SIZE: { group: 'email', type: 'int', default: 25, min: 1 },
+  EMAIL_LOGO_URL: { group: 'email', type: 'url' },
+  RESEND_API_KEY: { group: 'email', type: 'string', secret: true },
+  SMTP_HOST: { group: 'email', type: 'string' },
+  SMTP_PORT: { group: 'email', type: 'int', default: 587, min: 1, max: 65535 },
+  SMTP_SECURE: { group: 'email', type: 'bool' },
+  SMTP_REQUIRE_TLS: { group: 'email', type: 'bool', default: true },
+  SMTP_USER: { group: 'email', type: 'string', default: '' },
+  SMTP_PASS: { group: 'email', type: 'string', default: '', secret: true },
+
+  // Branding (emails, links)
+  SITE_URL: { group: 'branding', type: 'url', default: 'https://www.cappellamarialis.pl' },
+  ORG_NAME: { group: 'branding', type: 'string', default: 'Fundacja' },
+  SUPPORT_URL: { group: 'branding', type: 'string', default: '' },
+
+  // Staff notifications
+  STAFF_NOTIFY_EMAILS: { group: 'staff', type: 'list', default: [] },
+  STAFF_NOTIFY_THRESHOLD: { group: 'staff', type: 'string', default: '' },
+  STAFF_DIGEST: { group: 'staff', type: 'bool', default: true },
+  STAFF_DIGEST_TOP: { group: 'staff', type: 'int', default: 5, min: 1 },
+  ADMIN_EMAILS: { group: 'staff', type: 'list', default: [] },
+
+  // Facebook page token monitoring (facebook.js)
+  FB_TOKEN_WARN_DAYS: { group: 'facebook', type: 'int', default: 10, min: 1 },
+
+  // Secrets of individual features
+  CRON_SECRET: { group: 'security', type: 'string', secret: true },
+  CERTIFICATE_SECRET: { group: 'security', type: 'string', secret: true },
+  ANTIBOT_SECRET: { group: 'antibot', type: 'string', default: '', secret: true },
+  POW_DIFFICULTY: { group: 'antibot', type: 'int', default: 15, min: 0, max: 24 },
+  RATE_LIMIT_CREATE_IP: { group: 'antibot', type: 'string', default: '5/60,30/3600' },
+  RATE_LIMIT_CREATE_EMAIL: { group: 'antibot', type: 'string', default: '10/3600' },
+
+  // Accounting export
+  EXPORT_COLUMNS: { group: 'export', type: 'string' },
+  EXPORT_CSV_DELIMITER: { group: 'export', type: 'string' },
+  EXPORT_CSV_DECIMAL: { group: 'export', type: 'enum', values: [',', '.'] },
+
+  LOG_LEVEL: { group: 'logging', type: 'enum', values: ['debug', 'info', 'warn', 'error'], default: 'info' },
+};
+
+// secret_config table (key/value, edited in Supabase; page_access_token is written by /api/fb-callback)
+const SETTINGS_SCHEMA = {
+  admin_secret: { type: 'string', secret: true },
+  facebook_app_id: { type: 'string' },
+  facebook_app_secret: { type: 'string', secret: true },
+  facebook_page_id: { type: 'string' },
+  page_access_token: { type: 'string', secret: true },
+  posts_limit: { type: 'int', default: 3, min: 1, max: 100 },
+  cache_refresh_hours: { type: 'number', default: 0.25, min: 0 },
+  deepl_api_key: { type: 'string', secret: true },
+  news_languages: { type: 'list', default: ['en'] },
+  translation_provider: { type: 'enum', values: TRANSLATION_PROVIDERS, default: 'deepl' },
+  libretranslate_url: { type: 'url' },
+  libretranslate_api_key: { type: 'string', secret: true },
+};
+
+function schemaFor(name) {
+  if (ENV_SCHEMA[name]) return ENV_SCHEMA[name];
+  const m = /^(.+_)([A-Z]{3})$/.exec(name);
+  return m ? ENV_SCHEMA[`${m[1]}{CUR}`] || null : null;
+}
+
+/**
+ * Parses a raw value: { value } or { problem }. Empty strings count as "not set".
+ */
+function parseValue(raw, def) {
+  const s = raw == null ? '' : String(raw).trim();
+  if (s === '') {
+    return def.required ? { problem: 'is required' } : { value: def.default };
+  }
+
+  let value;
+  switch (def.type) {
+    case 'int':
+    case 'number': {
+      value = Number(s.replace(',', '.'));
+      if (!Number.isFinite(value) || (def.type === 'int' && !Number.isInteger(value))) {
+        return { problem: `must be ${def.type === 'int' ? 'an integer' : 'a number'}` };
+      }
+      if (def.min != null && value < def.min) return { problem: `must be at least ${def.min}` };
+      if (def.max != null && value > def.max) return { problem: `must be at most ${def.max}` };
+      return { value };
+    }
+    case 'bool': {
+      const v = s.toLowerCase();
+      if (['1', 'true', 'yes', 'on'].includes(v)) return { value: true };
+      if (['0', 'false', 'no', 'off'].includes(v)) return { value: false };
+      return { problem: 'must be true or false' };
+    }
+    case 'list':
+      return { value: s.split(',').map(x => x.trim()).filter(Boolean) };
+    case 'url':
+      try {
+        const u = new URL(s);
+        if (!/^https?:$/.test(u.protocol)) return { problem: 'must be an http(s) URL' };
+      } catch {
+        return { problem: 'must be an http(s) URL' };
+      }
+      return { value: s.replace(/\/+$/, '') };
+    case 'enum': {
+      const v = s.toLowerCase();
+      return def.values.includes(v) ? { value: v } : { problem: `must be one of: ${def.values.join(', ')}` };
+    }
+    default:
+      if (def.minLength && s.length < def.minLength) {
+        return { problem: `looks too short (${s.length} characters, expected at least ${def.minLength})` };
+      }
+      return { value: s };
+  }
+}
+
+function requestCache() {
+  const ctx = getRequestContext();
+  if (!ctx) return null;
+  if (!ctx.config) ctx.config = { env: new Map(), settings: new Map() };
+  return ctx.config;
+}
+
+/**
+ * Typed value of an environment variable from ENV_SCHEMA. Throws ConfigError when invalid.
+ */
+export function getEnv(name) {
+  const def = schemaFor(name);
+  if (!def) throw new Error(`Unknown config key: ${name}`);
+
+  const cache = requestCache();
+  if (cache?.env.has(name)) return cache.env.get(name);
+
+  const { value, problem } = parseValue(process.env[name], def);
+  if (problem) throw new ConfigError({ key: name, problem });
+
+  cache?.env.set(name, value);
+  return value;
+}
+
+/**
+ * Values of secret_config keys as an object. required: keys that must be present.
+ */
+export async function getSettings(supabase, keys, { required = [] } = {}) {
+  // Outside a request context values are read every time
+  const cache = requestCache()?.settings || new Map();
+  const missing = keys.filter(k => !cache.has(k));
+
+  if (missing.length) {
+    const { data, error } = await supabase
+      .from('secret_config')
+      .select('key, value')
+      .in('key', missing);
+
+    if (error) throw new Error('secret_config read failed: ' + error.message);
+
+    const rows = new Map((data || []).map(r => [r.key, r.value]));
+    for (const k of missing) cache.set(k, rows.get(k));
+  }
+
+  const out = {};
+  const problems = [];
+  for (const k of keys) {
+    const def = SETTINGS_SCHEMA[k] || { type: 'string' };
+    const { value, problem } = parseValue(cache.get(k), { ...def, required: required.includes(k) });
+    if (problem) problems.push({ key: `secret_config.${k}`, problem });
+    else out[k] = value;
+  }
+
+  if (problems.length) throw new ConfigError(problems);
+  return out;
+}
+
+/**
+ * Writes a secret_config value and updates the request cache.
+ */
+export async function saveSetting(supabase, key, value) {
+  const { error } = await supabase.from('secret_config').upsert({ key, value });
+  if (error) throw new Error('secret_config write failed: ' + error.message);
+  requestCache()?.settings.set(key, value);
+}
+
+/**
+ * Problems with the environment of the given groups (all when omitted), e.g.
+ * [{ key: 'P24_API_KEY', problem: 'is required' }]. Only fixed keys are checked.
+ */
+export function validateConfig(groups = null) {
+  const problems = [];
+  for (const [key, def] of Object.entries(ENV_SCHEMA)) {
+    if (key.includes('{') || (groups && !groups.includes(def.group))) continue;
+    const { problem } = parseValue(process.env[key], def);
+    if (problem) problems.push({ key, group: def.group, problem });
+  }
+  return problems;
+}
+
+/**
+ * Throws one ConfigError listing every problem of the given groups.
+ */
+export function assertConfig(groups) {
+  const problems = validateConfig(groups);
+  if (problems.length) throw new ConfigError(problems);
+}
@@ -0,0 +1,69 @@
+// Donation currencies: which ones are accepted, limits and preset amounts per currency.
+// All amounts are in minor units (grosze / cents) — the amount_grosze column holds minor units
+// of the row's currency, not necessarily PLN.
+//
+// Env overrides:
+//   DONATION_CURRENCIES=PLN,EUR,USD        allowed currencies (first = default)
+//   DONATION_MIN_EUR / DONATION_MAX_EUR    limits in minor units
+//   DONATION_PRESETS_EUR=5,10,25,50        preset buttons in major units
+//   DONATION_MIN_GROSZE / DONATION_MAX_GROSZE are still honoured for PLN
+
+import { getEnv } from './config.js';
+
+const DEFAULTS = {
+  PLN: { min: 100, max: 1_000_000, presets: [20, 50, 100, 200] },
+  EUR: { min: 100, max: 250_000, presets: [5, 10, 25, 50] },
+  USD: { min: 100, max: 250_000, presets: [5, 10, 25, 50] },
+};
+
+const LOCALES = { pl: 'pl-PL', en: 'en-GB' };
+
+function parsePresets(raw, fallback) {
+  const list = (raw || []).map(Number).filter(n => Number.isFinite(n) && n > 0);
+  return list.length ? list : fallback;
+}
+
+export function getAllowedCurrencies() {
+  const list = getEnv('DONATION_CURRENCIES').map(c => c.toUpperCase()).filter(c => DEFAULTS[c]);
+  return list.length ? [...new Set(list)] : ['PLN'];
+}
+
+/**
+ * Returns { code, min, max, presets } for an allowed currency, or null.
+ */
+export function getCurrencyConfig(code) {
+  const c = String(code || '').trim().toUpperCase();
+  if (!getAllowedCurrencies().includes(c)) return null;
+
+  const d = DEFAULTS[c];
+  const legacyMin = c === 'PLN' ? getEnv('DONATION_MIN_GROSZE') : undefined;
+  const legacyMax = c === 'PLN' ? getEnv('DONATION_MAX_GROSZE') : undefined;
+
+  return {
+    code: c,
+    min: getEnv(`DONATION_MIN_${c}`) ?? legacyMin ?? d.min,
+    max: getEnv(`DONATION_MAX_${c}`) ?? legacyMax ?? d.max,
+    presets: parsePresets(getEnv(`DONATION_PRESETS_${c}`), d.presets),
+  };
+}
+
+export function getDefaultCurrency() {
+  return getAllowedCurrencies()[0];
+}
+
+/**
+ * Formats minor units for display, e.g. (2500, 'EUR', 'en') -> "€25.00", (2500, 'PLN', 'pl') -> "25,00 zł".
+ */
+export function formatAmount(minor, currency, lang = 'pl') {
+  const n = Number(minor);
+  const code = String(currency || 'PLN').toUpperCase();
+  if (!Number.isFinite(n)) return '';
+  try {
+    return new Intl.NumberFormat(LOCALES[lang] || LOCALES.pl, {
+      style: 'currency',
+      currency: code,
+    }).format(n / 100);
+  } catch {
+    return `${(n / 100).toFixed(2)} ${code}`;
+  }
+}
@@ -0,0 +1,170 @@
+// Shared "payment confirmed" flow: P24 verify -> mark paid -> thank-you email (+ staff notification).
+// Used by the status webhook and by recurring charges, so every path ends the same way.
+
+import { getEnv } from './config.js';
+import { buildAbsoluteUrl, p24PostJson, p24VerifySign } from './p24.js';
+import { sendThankYouEmail } from './email.js';
+import { recordSubscriptionPayment } from './subscriptions.js';
+import { notifyStaffOfDonation } from './staff.js';
+import { log, recordEvent } from './log.js';
+
+// Statuses of a transaction whose payment has been confirmed (refunds only happen after that).
+// None of them may be overwritten by a repeated status notification.
+export const PAID_STATUSES = ['paid', 'partially_refunded', 'refunded'];
+
+function toInt(x) {
+  const n = Number(x);
+  return Number.isFinite(n) ? Math.trunc(n) : null;
+}
+
+/**
+ * Verifies a transaction in P24 and marks the row as paid.
+ * Returns the updated row, or null when another request already marked it paid.
+ */
+export async function verifyAndMarkPaid({ supabase, cfg, tx, orderId }) {
+  const sessionId = tx.session_id;
+  const amount = toInt(tx.amount_grosze);
+  const currency = String(tx.currency || 'PLN').toUpperCase();
+  if (!amount) throw new Error(`Invalid amount_grosze in DB: ${tx.amount_grosze}`);
+
+  // SIGN uses CRC but CRC is NOT sent in request body
+  const signPayload = {
+    sessionId,
+    orderId,
+    amount,
+    currency,
+    crc: cfg.crc,
+  };
+  const sign = p24VerifySign(signPayload);
+
+  // ✅ VERIFY body MUST include merchantId
+  const verifyBody = {
+    merchantId: cfg.merchantId,
+    posId: cfg.posId,
+    sessionId,
+    amount,
+    currency,
+    orderId,
+    sign,
+  };
+
+  const verifyUrl = `${cfg.baseUrl}/transaction/verify`;
+  log.debug('[P24 verify]', { sessionId, orderId, url: verifyUrl, proxy: !!getEnv('P24_PROXY_BASE') });
+
+  // ✅ REST API: verify is PUT
+  const verifyResp = await p24PostJson({
+    url: verifyUrl,
+    posId: cfg.posId,
+    apiKey: cfg.apiKey,
+    body: verifyBody,
+    method: 'PUT',
+  });
+
+  const paidAt = new Date().toISOString();
+
+  const { data: updatedRows, error: updErr } = await supabase
+    .from('p24_transactions')
+    .update({
+      status: 'paid',
+      paid_at: paidAt,
+      p24_order_id: String(orderId),
+      verify_payload: { request: verifyBody, response: verifyResp },
+    })
+    .eq('session_id', sessionId)
+    .not('status', 'in', `(${PAID_STATUSES.join(',')})`)
+    .select('*');
+
+  if (updErr) throw new Error(`DB update failed: ${updErr.message}`);
+
+  await recordEvent(supabase, {
+    event_type: 'verify',
+    session_id: sessionId,
+    p24_order_id: String(orderId),
+    payload_json: { request: verifyBody, response: verifyResp },
+  });
+
+  return updatedRows?.[0] || null;
+}
+
+/**
+ * Sends the thank-you email once per transaction and records the outcome on the row.
+ * force: send again even if it was already sent (donor portal "resend").
+ * Never throws: a failed email must not undo a confirmed payment. Returns { ok } or { skipped } / { error }.
+ */
+export async function sendThankYouForTransaction({ supabase, req, tx, subscription = null, force = false }) {
+  if (!tx?.email) return { skipped: true };
+  if (tx.thankyou_email_sent_at && !force) return { skipped: true };
+
+  const sessionId = tx.session_id;
+  const isEn = String(tx.meta_json?.page || '').startsWith('en/');
+
+  const cancelUrl = subscription && subscription.status !== 'cancelled'
+    ? buildAbsoluteUrl(
+      req,
+      `/api/p24/cancel?id=${encodeURIComponent(subscription.id)}` +
+        `&token=${encodeURIComponent(subscription.cancel_token)}${isEn ? '&lang=en' : ''}`
+    )
+    : null;
+
+  try {
+    const result = await sendThankYouEmail({
+      to: tx.email,
+      amountGrosze: tx.amount_grosze,
+      currency: tx.currency,
+      publicRef: tx.public_ref,
+      p24OrderId: tx.p24_order_id,
+      paidAtIso: tx.paid_at,
+      cancelUrl,
+      lang: isEn ? 'en' : 'pl',
+      sessionId,
+    });
+
+    await supabase
+      .from('p24_transactions')
+      .update({
+        thankyou_email_sent_at: new Date().toISOString(),
+        thankyou_email_error: null,
+      })
+      .eq('session_id', sessionId)
+      .is('thankyou_email_sent_at', null);
+
+    return result;
+  } catch (e) {
+    log.error('Thank-you email error', { sessionId, err: e });
+    await supabase
+      .from('p24_transactions')
+      .update({ thankyou_email_error: String(e?.message || e) })
+      .eq('session_id', sessionId);
+
+    return { error: String(e?.message || e) };
+  }
+}
+
+/**
+ * Full confirmation path for a transaction P24 reports as paid.
+ * Returns the updated row (null if it was already paid).
+ */
+export async function completeTransaction({ supabase, cfg, req, tx, orderId }) {
+  const updated = await verifyAndMarkPaid({ supabase, cfg, tx, orderId });
+  if (!updated) return null;
+
+  let subscription = null;
+  if (updated.subscription_id) {
+    try {
+      subscription = await recordSubscriptionPayment({ supabase, cfg, tx: updated });
+    } catch (e) {
+      log.error('Subscription update error', { sessionId: updated.session_id, err: e });
+      await recordEvent(supabase, {
+        event_type: 'subscription_error',
+        session_id: updated.session_id,
+        p24_order_id: updated.p24_order_id,
+        payload_json: { subscription_id: updated.subscription_id, message: String(e?.message || e) },
+      });
+    }
+  }
+
+  await sendThankYouForTransaction({ supabase, req, tx: updated, subscription });
+  await notifyStaffOfDonation(updated);
+
+  return updated;
+}
@@ -0,0 +1,236 @@
+// Donor portal: passwordless login (one-time email link) and cookie sessions.
+// Only SHA-256 hashes of tokens are stored (donor_login_tokens, donor_sessions).
+
+import crypto from 'crypto';
+import { recordEvent } from './log.js';
+
+export const DONOR_SESSION_COOKIE = 'donor_session';
+
+export const LOGIN_TOKEN_TTL_MINUTES = 30;
+const LOGIN_TOKENS_PER_HOUR = 5;
+const SESSION_TTL_HOURS = 24;
+
+// Consents the donor can change in the portal. privacy/terms are required for the donation itself.
+export const DONOR_CONSENT_KEYS = ['contact'];
+
+export function normalizeEmail(email) {
+  return String(email || '').trim().toLowerCase();
+}
+
+export function isValidEmail(email) {
+  return /^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(String(email || '')) && String(email).length <= 254;
+}
+
+/**
+ * p24_transactions.email is stored as typed by the donor.
+ * ilike without wildcards = case-insensitive equality.
+ */
+export function emailIlikePattern(email) {
+  return normalizeEmail(email).replace(/[\\%_]/g, m => '\\' + m);
+}
+
+function hashToken(token) {
+  return crypto.createHash('sha256').update(String(token)).digest('hex');
+}
+
+function randomToken() {
+  return crypto.randomBytes(32).toString('base64url');
+}
+
+function parseCookies(cookieHeader) {
+  const out = {};
+  if (!cookieHeader) return out;
+  const parts = cookieHeader.split(';');
+  for (const part of parts) {
+    const [name, ...rest] = part.trim().split('=');
+    out[name] = decodeURIComponent(rest.join('=') || '');
+  }
+  return out;
+}
+
+export async function hasDonations(supabase, email) {
+  const { data, error } = await supabase
+    .from('p24_transactions')
+    .select('session_id')
+    .ilike('email', emailIlikePattern(email))
+    .limit(1);
+
+  if (error) throw new Error('DB read (donor transactions) failed: ' + error.message);
+  return (data || []).length > 0;
+}
+
+/**
+ * Creates a one-time login token. Returns null when the email asked for too many links recently.
+ */
+export async function createLoginToken(supabase, email) {
+  const since = new Date(Date.now() - 3600 * 1000).toISOString();
+
+  const { data: recent, error: readErr } = await supabase
+    .from('donor_login_tokens')
+    .select('token_hash')
+    .eq('email', normalizeEmail(email))
+    .gte('created_at', since);
+
+  if (readErr) throw new Error('DB read (login tokens) failed: ' + readErr.message);
+  if ((recent || []).length >= LOGIN_TOKENS_PER_HOUR) return null;
+
+  const token = randomToken();
+  const { error } = await supabase.from('donor_login_tokens').insert({
+    token_hash: hashToken(token),
+    email: normalizeEmail(email),
+    expires_at: new Date(Date.now() + LOGIN_TOKEN_TTL_MINUTES * 60 * 1000).toISOString(),
+  });
+
+  if (error) throw new Error('DB insert (login token) failed: ' + error.message);
+  return token;
+}
+
+/**
+ * Marks the token as used (only once) and returns its email, or null.
+ */
+export async function consumeLoginToken(supabase, token) {
+  if (!token) return null;
+
+  const { data: rows, error } = await supabase
+    .from('donor_login_tokens')
+    .update({ used_at: new Date().toISOString() })
+    .eq('token_hash', hashToken(token))
+    .is('used_at', null)
+    .gt('expires_at', new Date().toISOString())
+    .select('email');
+
+  if (error) throw new Error('DB update (login token) failed: ' + error.message);
+  return rows?.[0]?.email || null;
+}
+
+export async function createSession(supabase, email) {
+  const token = randomToken();
+  const expiresAt = new Date(Date.now() + SESSION_TTL_HOURS * 3600 * 1000);
+
+  const { error } = await supabase.from('donor_sessions').insert({
+    token_hash: hashToken(token),
+    email: normalizeEmail(email),
+    expires_at: expiresAt.toISOString(),
+  });
+
+  if (error) throw new Error('DB insert (donor session) failed: ' + error.message);
+  return { token, expiresAt };
+}
+
+function getSessionToken(req) {
+  return parseCookies(req.headers['cookie'])[DONOR_SESSION_COOKIE] || null;
+}
+
+/**
+ * Returns { email } for a valid session cookie, or null.
+ */
+export async function getDonorSession(supabase, req) {
+  const token = getSessionToken(req);
+  if (!token) return null;
+
+  const { data, error } = await supabase
+    .from('donor_sessions')
+    .select('email, expires_at, revoked_at')
+    .eq('token_hash', hashToken(token))
+    .maybeSingle();
+
+  if (error) throw new Error('DB read (donor session) failed: ' + error.message);
+  if (!data || data.revoked_at) return null;
+  if (new Date(data.expires_at).getTime() < Date.now()) return null;
+
+  return { email: data.email };
+}
+
+export async function revokeSession(supabase, req) {
+  const token = getSessionToken(req);
+  if (!token) return;
+
+  await supabase
+    .from('donor_sessions')
+    .update({ revoked_at: new Date().toISOString() })
+    .eq('token_hash', hashToken(token));
+}
+
+export function sessionCookie(token, expiresAt) {
+  const maxAge = Math.max(0, Math.floor((expiresAt.getTime() - Date.now()) / 1000));
+  return `${DONOR_SESSION_COOKIE}=${encodeURIComponent(token)}; Path=/api/donor; Max-Age=${maxAge}; HttpOnly; Secure; SameSite=Lax`;
+}
+
+export function clearSessionCookie() {
+  return `${DONOR_SESSION_COOKIE}=; Path=/api/donor; Max-Age=0; HttpOnly; Secure; SameSite=Lax`;
+}
+
+export async function getDonorTransactions(supabase, email) {
+  const { data, error } = await supabase
+    .from('p24_transactions')
+    .select('session_id, public_ref, status, amount_grosze, refunded_grosze, currency, created_at, paid_at, subscription_id, campaign_slug, consents_json, consents_version, thankyou_email_sent_at')
+    .ilike('email', emailIlikePattern(email))
+    .order('created_at', { ascending: false });
+
+  if (error) throw new Error('DB read (donor transactions) failed: ' + error.message);
+  return data || [];
+}
+
+/**
+ * Loads one transaction only if it belongs to the donor.
+ */
+export async function getDonorTransaction(supabase, email, sessionId) {
+  if (!sessionId) return null;
+
+  const { data, error } = await supabase
+    .from('p24_transactions')
+    .select('*')
+    .eq('session_id', String(sessionId))
+    .maybeSingle();
+
+  if (error) throw new Error('DB read failed: ' + error.message);
+  if (!data || normalizeEmail(data.email) !== normalizeEmail(email)) return null;
+  return data;
+}
+
+export async function getDonorSubscriptions(supabase, email) {
+  const { data, error } = await supabase
+    .from('p24_subscriptions')
+    .select('id, status, amount_grosze, currency, next_charge_at, card_mask, created_at, cancelled_at, cancel_token')
+    .ilike('email', emailIlikePattern(email))
+    .order('created_at', { ascending: false });
+
+  if (error) throw new Error('DB read (donor subscriptions) failed: ' + error.message);
+  return data || [];
+}
+
+export async function getDonorConsents(supabase, email) {
+  const { data, error } = await supabase
+    .from('donors')
+    .select('consents_json, consents_updated_at')
+    .eq('email', normalizeEmail(email))
+    .maybeSingle();
+
+  if (error) throw new Error('DB read (donor) failed: ' + error.message);
+
+  const consents = {};
+  for (const key of DONOR_CONSENT_KEYS) consents[key] = data?.consents_json?.[key] === true;
+  return { consents, updatedAt: data?.consents_updated_at || null };
+}
+
+export async function updateDonorConsents(supabase, email, changes) {
+  const current = await getDonorConsents(supabase, email);
+  const consents = { ...current.consents };
+  for (const key of DONOR_CONSENT_KEYS) {
+    if (typeof changes?.[key] === 'boolean') consents[key] = changes[key];
+  }
+
+  const updatedAt = new Date().toISOString();
+  const { error } = await supabase
+    .from('donors')
+    .upsert({ email: normalizeEmail(email), consents_json: consents, consents_updated_at: updatedAt }, { onConflict: 'email' });
+
+  if (error) throw new Error('DB upsert (donor) failed: ' + error.message);
+
+  await recordEvent(supabase, {
+    event_type: 'donor_consents_updated',
+    payload_json: { email: normalizeEmail(email), previous: current.consents, consents },
+  });
+
+  return { consents, updatedAt };
+}
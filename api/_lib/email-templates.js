@@ -0,0 +1,306 @@
+// Default email templates (see templates.js for the syntax).
+// To change wording without a deploy, add a row to email_templates (key, lang, subject, text_body, html_body);
+// empty columns fall back to the values below. Preview: /api/admin/email-preview.
+
+import { getEnv } from './config.js';
+
+const P = 'margin:0 0 14px 0;';
+const BUTTON = 'display:inline-block;padding:12px 22px;border-radius:8px;background:#d4af37;color:#1a1a2e;text-decoration:none;font-weight:bold;';
+const TABLE = 'border-collapse:collapse;margin:0 0 18px 0;';
+const TH = 'padding:4px 16px 4px 0;text-align:left;color:#555;font-weight:normal;';
+const TD = 'padding:4px 0;font-weight:bold;';
+
+// Logo bar, content, footer; {{{content}}} is the rendered template body
+function layoutHtml(contactLabel) {
+  return `<!DOCTYPE html>
+<html lang="{{lang}}">
+<head><meta charset="UTF-8" /><meta name="viewport" content="width=device-width, initial-scale=1.0" /><title>{{subject}}</title></head>
+<body style="margin:0;padding:0;background:#f4f4f7;font-family:'Open Sans',Arial,sans-serif;color:#2c2c2c;">
+  <table role="presentation" width="100%" cellspacing="0" cellpadding="0" style="background:#f4f4f7;padding:24px 0;">
+    <tr><td align="center">
+      <table role="presentation" width="600" cellspacing="0" cellpadding="0" style="max-width:600px;width:100%;background:#ffffff;border-radius:12px;overflow:hidden;">
+        <tr><td style="background:{{primaryColor}};padding:20px 28px;border-bottom:4px solid {{accentColor}};">
+          <img src="{{logoUrl}}" alt="{{orgName}}" height="56" style="display:block;height:56px;border:0;" />
+        </td></tr>
+        <tr><td style="padding:28px;font-size:15px;line-height:1.6;">
+{{{content}}}
+        </td></tr>
+        <tr><td style="padding:18px 28px;background:#1a1a2e;color:#d4af37;font-size:12px;">
+          <strong>{{orgName}}</strong> · <a href="{{siteUrl}}" style="color:#d4af37;">{{siteUrl}}</a>
+          {{#supportUrl}}<br /><a href="{{supportUrl}}" style="color:#ffffff;">${contactLabel}</a>{{/supportUrl}}
+        </td></tr>
+      </table>
+    </td></tr>
+  </table>
+</body>
+</html>`;
+}
+
+export const DEFAULT_TEMPLATES = {
+  // Wraps every html body
+  layout: {
+    pl: { html: layoutHtml('Kontakt') },
+    en: { html: layoutHtml('Contact') },
+  },
+
+  thank_you: {
+    pl: {
+      // EMAIL_SUBJECT env is the historical way to change the Polish subject
+      get subject() {
+        return getEnv('EMAIL_SUBJECT') || 'Dziękujemy za wsparcie!';
+      },
+      text: `Dziękujemy za wsparcie {{orgName}}.
+
+Kwota: {{amount}}
+Data potwierdzenia: {{paidAt}}
+Numer wpłaty: {{publicRef}}
+{{#p24OrderId}}Id transakcji Przelewy24: {{p24OrderId}}
+{{/p24OrderId}}
+{{#cancelUrl}}To jest comiesięczna darowizna. Możesz z niej zrezygnować w dowolnym momencie:
+{{cancelUrl}}
+{{/cancelUrl}}
+{{#supportUrl}}Kontakt: {{supportUrl}}
+{{/supportUrl}}
+Pozdrawiamy,
+{{orgName}}`,
+      html: `<h1 style="margin:0 0 16px 0;font-size:22px;color:#0f3460;">Dziękujemy za wsparcie!</h1>
+<p style="${P}">Dziękujemy za darowiznę na rzecz {{orgName}}.{{#cancelUrl}} To jest comiesięczna darowizna – kolejne wpłaty będą pobierane automatycznie.{{/cancelUrl}}</p>
+<table role="presentation" style="${TABLE}">
+  <tr><th style="${TH}">Kwota</th><td style="${TD}">{{amount}}</td></tr>
+  <tr><th style="${TH}">Data potwierdzenia</th><td style="${TD}">{{paidAt}}</td></tr>
+  <tr><th style="${TH}">Numer wpłaty</th><td style="${TD}">{{publicRef}}</td></tr>
+  {{#p24OrderId}}<tr><th style="${TH}">Id transakcji Przelewy24</th><td style="${TD}">{{p24OrderId}}</td></tr>{{/p24OrderId}}
+</table>
+{{#cancelUrl}}<p style="${P}font-size:13px;color:#555;">Możesz zrezygnować z comiesięcznej darowizny w dowolnym momencie: <a href="{{cancelUrl}}" style="color:#0f3460;">zrezygnuj</a>.</p>{{/cancelUrl}}
+<p style="${P}">Pozdrawiamy,<br />{{orgName}}</p>`,
+    },
+    en: {
+      subject: 'Thank you for your support!',
+      text: `Thank you for supporting {{orgName}}.
+
+Amount: {{amount}}
+Confirmed on: {{paidAt}}
+Donation reference: {{publicRef}}
+{{#p24OrderId}}Przelewy24 transaction ID: {{p24OrderId}}
+{{/p24OrderId}}
+{{#cancelUrl}}This is a monthly donation. You can cancel it at any time:
+{{cancelUrl}}
+{{/cancelUrl}}
+{{#supportUrl}}Contact: {{supportUrl}}
+{{/supportUrl}}
+Kind regards,
+{{orgName}}`,
+      html: `<h1 style="margin:0 0 16px 0;font-size:22px;color:#0f3460;">Thank you for your support!</h1>
+<p style="${P}">Thank you for your donation to {{orgName}}.{{#cancelUrl}} This is a monthly donation – the next payments will be charged automatically.{{/cancelUrl}}</p>
+<table role="presentation" style="${TABLE}">
+  <tr><th style="${TH}">Amount</th><td style="${TD}">{{amount}}</td></tr>
+  <tr><th style="${TH}">Confirmed on</th><td style="${TD}">{{paidAt}}</td></tr>
+  <tr><th style="${TH}">Donation reference</th><td style="${TD}">{{publicRef}}</td></tr>
+  {{#p24OrderId}}<tr><th style="${TH}">Przelewy24 transaction ID</th><td style="${TD}">{{p24OrderId}}</td></tr>{{/p24OrderId}}
+</table>
+{{#cancelUrl}}<p style="${P}font-size:13px;color:#555;">You can cancel your monthly donation at any time: <a href="{{cancelUrl}}" style="color:#0f3460;">cancel</a>.</p>{{/cancelUrl}}
+<p style="${P}">Kind regards,<br />{{orgName}}</p>`,
+    },
+  },
+
+  certificate: {
+    pl: {
+      subject: 'Zaświadczenie o darowiznach za rok {{year}}',
+      text: `Zaświadczenie o darowiznach przekazanych na rzecz {{orgName}} w roku {{year}} jest dostępne pod adresem:
+{{url}}
+Link jest ważny do {{expires}}.
+
+{{#supportUrl}}Kontakt: {{supportUrl}}
+{{/supportUrl}}
+Pozdrawiamy,
+{{orgName}}`,
+      html: `<h1 style="margin:0 0 16px 0;font-size:22px;color:#0f3460;">Zaświadczenie o darowiznach za rok {{year}}</h1>
+<p style="${P}">Zaświadczenie o darowiznach przekazanych na rzecz {{orgName}} w roku {{year}} (np. do odliczenia w PIT) jest gotowe do pobrania.</p>
+<p style="${P}"><a href="{{url}}" style="${BUTTON}">Pobierz zaświadczenie (PDF)</a></p>
+<p style="${P}font-size:13px;color:#555;">Link jest ważny do {{expires}}.</p>
+<p style="${P}">Pozdrawiamy,<br />{{orgName}}</p>`,
+    },
+    en: {
+      subject: 'Your {{year}} donation certificate',
+      text: `Your certificate of donations to {{orgName}} for {{year}} is available at:
+{{url}}
+The link is valid until {{expires}}.
+
+{{#supportUrl}}Contact: {{supportUrl}}
+{{/supportUrl}}
+Kind regards,
+{{orgName}}`,
+      html: `<h1 style="margin:0 0 16px 0;font-size:22px;color:#0f3460;">Your {{year}} donation certificate</h1>
+<p style="${P}">Your certificate of donations to {{orgName}} for {{year}} is ready to download.</p>
+<p style="${P}"><a href="{{url}}" style="${BUTTON}">Download certificate (PDF)</a></p>
+<p style="${P}font-size:13px;color:#555;">The link is valid until {{expires}}.</p>
+<p style="${P}">Kind regards,<br />{{orgName}}</p>`,
+    },
+  },
+
+  donor_login: {
+    pl: {
+      subject: 'Link do logowania',
+      text: `Link do logowania do panelu darczyńcy {{orgName}}:
+{{url}}
+Link jest ważny przez 30 minut i można go użyć tylko raz.
+Jeśli to nie Ty prosiłeś(-aś) o link, zignoruj tę wiadomość.
+
+{{orgName}}`,
+      html: `<h1 style="margin:0 0 16px 0;font-size:22px;color:#0f3460;">Panel darczyńcy</h1>
+<p style="${P}">Kliknij, aby zalogować się do panelu darczyńcy {{orgName}}.</p>
+<p style="${P}"><a href="{{url}}" style="${BUTTON}">Zaloguj się</a></p>
+<p style="${P}font-size:13px;color:#555;">Link jest ważny przez 30 minut i można go użyć tylko raz. Jeśli to nie Ty prosiłeś(-aś) o link, zignoruj tę wiadomość.</p>`,
+    },
+    en: {
+      subject: 'Your sign-in link',
+      text: `Use this link to sign in to your {{orgName}} donor area:
+{{url}}
+The link is valid for 30 minutes and can be used once.
+If you did not request it, you can ignore this message.
+
+{{orgName}}`,
+      html: `<h1 style="margin:0 0 16px 0;font-size:22px;color:#0f3460;">Donor area</h1>
+<p style="${P}">Click to sign in to your {{orgName}} donor area.</p>
+<p style="${P}"><a href="{{url}}" style="${BUTTON}">Sign in</a></p>
+<p style="${P}font-size:13px;color:#555;">The link is valid for 30 minutes and can be used once. If you did not request it, you can ignore this message.</p>`,
+    },
+  },
+
+  // Staff notifications (staff.js), Polish only: English falls back to these
+  staff_donation: {
+    pl: {
+      subject: 'Nowa wpłata: {{amount}} ({{publicRef}})',
+      text: `Nowa wpłata została potwierdzona.
+
+Kwota: {{amount}}
+Numer wpłaty: {{publicRef}}
+Data: {{paidAt}}
+{{#email}}E-mail darczyńcy: {{email}}
+{{/email}}{{#campaign}}Kampania: {{campaign}}
+{{/campaign}}{{#recurring}}Darowizna cykliczna
+{{/recurring}}
+Panel: {{adminUrl}}`,
+      html: `<h1 style="margin:0 0 16px 0;font-size:22px;color:#0f3460;">Nowa wpłata: {{amount}}</h1>
+<table role="presentation" style="${TABLE}">
+  <tr><th style="${TH}">Kwota</th><td style="${TD}">{{amount}}</td></tr>
+  <tr><th style="${TH}">Numer wpłaty</th><td style="${TD}">{{publicRef}}</td></tr>
+  <tr><th style="${TH}">Data</th><td style="${TD}">{{paidAt}}</td></tr>
+  {{#email}}<tr><th style="${TH}">E-mail darczyńcy</th><td style="${TD}">{{email}}</td></tr>{{/email}}
+  {{#campaign}}<tr><th style="${TH}">Kampania</th><td style="${TD}">{{campaign}}</td></tr>{{/campaign}}
+  {{#recurring}}<tr><th style="${TH}">Rodzaj</th><td style="${TD}">cykliczna</td></tr>{{/recurring}}
+</table>
+<p style="${P}"><a href="{{adminUrl}}" style="${BUTTON}">Otwórz panel</a></p>`,
+    },
+  },
+
+  staff_digest: {
+    pl: {
+      subject: 'Podsumowanie wpłat {{date}}: {{count}} / {{total}}',
+      text: `Podsumowanie wpłat za {{date}}
+
+Liczba wpłat: {{count}}
+Suma: {{total}}
+{{#hasGifts}}
+Największe wpłaty:
+{{giftsText}}
+{{/hasGifts}}{{#failedCount}}
+Nieudane lub wygasłe ({{failedCount}}):
+{{failedText}}
+{{/failedCount}}{{#stuckCount}}
+Zawieszone przed płatnością ({{stuckCount}}):
+{{stuckText}}
+{{/stuckCount}}
+Panel: {{adminUrl}}`,
+      html: `<h1 style="margin:0 0 16px 0;font-size:22px;color:#0f3460;">Podsumowanie wpłat za {{date}}</h1>
+<table role="presentation" style="${TABLE}">
+  <tr><th style="${TH}">Liczba wpłat</th><td style="${TD}">{{count}}</td></tr>
+  <tr><th style="${TH}">Suma</th><td style="${TD}">{{total}}</td></tr>
+</table>
+{{#hasGifts}}<h2 style="margin:0 0 8px 0;font-size:17px;color:#0f3460;">Największe wpłaty</h2>
+{{{giftsHtml}}}{{/hasGifts}}
+{{#failedCount}}<h2 style="margin:0 0 8px 0;font-size:17px;color:#0f3460;">Nieudane lub wygasłe ({{failedCount}})</h2>
+{{{failedHtml}}}{{/failedCount}}
+{{#stuckCount}}<h2 style="margin:0 0 8px 0;font-size:17px;color:#0f3460;">Zawieszone przed płatnością ({{stuckCount}})</h2>
+{{{stuckHtml}}}{{/stuckCount}}
+<p style="${P}"><a href="{{adminUrl}}" style="${BUTTON}">Otwórz panel</a></p>`,
+    },
+  },
+
+  // Page token check (facebook.js)
+  fb_token_alert: {
+    pl: {
+      subject: 'Facebook: odnów token strony',
+      text: `{{problem}}
+{{#expires}}
+Token wygasa: {{expires}} (za {{daysLeft}} dni)
+{{/expires}}{{#error}}
+Odpowiedź Facebooka: {{error}}
+{{/error}}
+Aby odnowić token, otwórz link i zaloguj się kontem administratora strony na Facebooku:
+{{renewUrl}}
+
+Link jest ważny do {{linkExpires}}.`,
+      html: `<h1 style="margin:0 0 16px 0;font-size:22px;color:#0f3460;">Odnów token strony na Facebooku</h1>
+<p style="${P}">{{problem}}</p>
+<table role="presentation" style="${TABLE}">
+  {{#expires}}<tr><th style="${TH}">Token wygasa</th><td style="${TD}">{{expires}} (za {{daysLeft}} dni)</td></tr>{{/expires}}
+  {{#error}}<tr><th style="${TH}">Odpowiedź Facebooka</th><td style="${TD}">{{error}}</td></tr>{{/error}}
+</table>
+<p style="${P}">Otwórz link i zaloguj się kontem administratora strony na Facebooku.</p>
+<p style="${P}"><a href="{{renewUrl}}" style="${BUTTON}">Odnów token</a></p>
+<p style="${P}font-size:13px;color:#555;">Link jest ważny do {{linkExpires}}.</p>`,
+    },
+  },
+};
+
+// Sample values for the admin preview
+export const SAMPLE_VARS = {
+  thank_you: {
+    amount: '100,00 zł',
+    paidAt: '19.10.2026, 12:00',
+    publicRef: 'DON-0123456789AB',
+    p24OrderId: '123456789',
+    cancelUrl: 'https://www.cappellamarialis.pl/api/p24/cancel?id=sample&token=sample',
+  },
+  certificate: {
+    year: '2025',
+    url: 'https://www.cappellamarialis.pl/api/p24/certificate?sample=1',
+    expires: '2026-11-18',
+  },
+  donor_login: {
+    url: 'https://www.cappellamarialis.pl/api/donor/verify?token=sample',
+  },
+  staff_donation: {
+    amount: '1 000,00 zł',
+    publicRef: 'DON-0123456789AB',
+    email: 'darczynca@example.org',
+    paidAt: '19.10.2026, 12:00',
+    campaign: '',
+    recurring: false,
+    adminUrl: 'https://www.cappellamarialis.pl/admin',
+  },
+  staff_digest: {
+    date: '2026-10-18',
+    count: 3,
+    total: '1 150,00 zł',
+    hasGifts: true,
+    giftsText: '- 1 000,00 zł · DON-0123456789AB\n- 100,00 zł · DON-0123456789AC',
+    giftsHtml: '<ul style="margin:0 0 18px 0;padding-left:20px;"><li>1 000,00 zł · DON-0123456789AB</li><li>100,00 zł · DON-0123456789AC</li></ul>',
+    failedCount: 0,
+    failedText: '',
+    failedHtml: '',
+    stuckCount: 1,
+    stuckText: '- registered · 50,00 zł · DON-0123456789AD · 18.10.2026, 09:12',
+    stuckHtml: '<ul style="margin:0 0 18px 0;padding-left:20px;"><li>registered · 50,00 zł · DON-0123456789AD · 18.10.2026, 09:12</li></ul>',
+    adminUrl: 'https://www.cappellamarialis.pl/admin',
+  },
+  fb_token_alert: {
+    problem: 'Token strony wkrótce wygaśnie.',
+    expires: '2026-10-26',
+    daysLeft: 7,
+    error: '',
+    renewUrl: 'https://www.cappellamarialis.pl/api/fb-login?t=sample',
+    linkExpires: '2026-10-26',
+  },
+};
@@ -0,0 +1,170 @@
+// Email transports used by email.js. Chosen with EMAIL_TRANSPORT:
+//   resend  Resend HTTP API (RESEND_API_KEY)
+//   smtp    any SMTP server (SMTP_HOST, SMTP_PORT, SMTP_USER, SMTP_PASS, SMTP_SECURE, SMTP_REQUIRE_TLS)
+//   file    writes each message as an .eml file to EMAIL_OUTBOX_DIR (local development)
+//   none    sending is skipped
+// Without EMAIL_TRANSPORT: resend if RESEND_API_KEY is set, else smtp if SMTP_HOST is set, else none
+// (the historical behaviour). All transports need EMAIL_FROM, except file which has a default.
+//
+// A transport is { name, send({ from, to, subject, text, html }) } and resolves to { ok, id }
+// or throws an Error (with email_response when the provider returned details).
+
+import crypto from 'node:crypto';
+import os from 'node:os';
+import path from 'node:path';
+import { mkdir, writeFile } from 'node:fs/promises';
+import { addressOf, sendSmtp } from './smtp.js';
+import { EMAIL_TRANSPORTS, getEnv } from './config.js';
+import { log } from './log.js';
+
+export { EMAIL_TRANSPORTS };
+
+const resendTransport = {
+  name: 'resend',
+  async send({ from, to, subject, text, html }) {
+    const resp = await fetch('https://api.resend.com/emails', {
+      method: 'POST',
+      headers: {
+        'Authorization': `Bearer ${getEnv('RESEND_API_KEY')}`,
+        'Content-Type': 'application/json',
+        'Accept': 'application/json',
+      },
+      body: JSON.stringify({ from, to, subject, text, ...(html ? { html } : {}) }),
+    });
+
+    const json = await resp.json().catch(() => ({}));
+
+    if (!resp.ok) {
+      const err = new Error(json?.message || 'Email send failed');
+      err.email_response = json;
+      throw err;
+    }
+
+    return { ok: true, id: json?.id };
+  },
+};
+
+const smtpTransport = {
+  name: 'smtp',
+  async send(message) {
+    const port = getEnv('SMTP_PORT');
+    const { id, raw } = buildMimeMessage(message);
+
+    await sendSmtp({
+      host: getEnv('SMTP_HOST'),
+      port,
+      secure: getEnv('SMTP_SECURE') ?? port === 465,
+      requireTls: getEnv('SMTP_REQUIRE_TLS'),
+      user: getEnv('SMTP_USER'),
+      pass: getEnv('SMTP_PASS'),
+      from: message.from,
+      to: [].concat(message.to),
+      raw,
+    });
+
+    return { ok: true, id };
+  },
+};
+
+const fileTransport = {
+  name: 'file',
+  async send(message) {
+    const dir = getEnv('EMAIL_OUTBOX_DIR') || path.join(os.tmpdir(), 'email-outbox');
+    const { id, raw } = buildMimeMessage(message);
+    const stamp = new Date().toISOString().replace(/[:.]/g, '-');
+    const file = path.join(dir, `${stamp}-${id.slice(1, 9)}.eml`);
+
+    await mkdir(dir, { recursive: true });
+    await writeFile(file, raw, 'utf8');
+    log.info('[email] written to outbox file', { file, to: [].concat(message.to), subject: message.subject });
+
+    return { ok: true, id, path: file };
+  },
+};
+
+const TRANSPORTS = { resend: resendTransport, smtp: smtpTransport, file: fileTransport };
+
+/**
+ * Resolves the configured transport.
+ * Returns { transport, from } or { skipped: true, reason } when email is not configured.
+ */
+export function getEmailTransport() {
+  // ConfigError for an unknown EMAIL_TRANSPORT
+  const configured = getEnv('EMAIL_TRANSPORT');
+  let name = configured;
+
+  if (!name) {
+    if (getEnv('RESEND_API_KEY')) name = 'resend';
+    else if (getEnv('SMTP_HOST')) name = 'smtp';
+    else name = 'none';
+  }
+
+  if (name === 'none') {
+    return { skipped: true, reason: configured ? 'EMAIL_TRANSPORT=none' : 'No email transport configured' };
+  }
+  if (name === 'resend' && !getEnv('RESEND_API_KEY')) {
+    return { skipped: true, reason: 'Missing RESEND_API_KEY' };
+  }
+  if (name === 'smtp' && !getEnv('SMTP_HOST')) {
+    return { skipped: true, reason: 'Missing SMTP_HOST' };
+  }
+
+  const from = getEnv('EMAIL_FROM') || (name === 'file' ? 'Fundacja <no-reply@localhost>' : '');
+  if (!from) return { skipped: true, reason: 'Missing EMAIL_FROM' };
+
+  return { transport: TRANSPORTS[name], from };
+}
+
+// RFC 2047 encoded-word for non-ASCII header values
+function encodeHeader(value) {
+  const s = String(value ?? '').replace(/[\r\n]+/g, ' ');
+  if (/^[\x20-\x7e]*$/.test(s)) return s;
+  return '=?UTF-8?B?' + Buffer.from(s, 'utf8').toString('base64') + '?=';
+}
+
+function encodeMailbox(mailbox) {
+  const m = String(mailbox || '').match(/^\s*"?([^"<]*?)"?\s*<([^>]+)>\s*$/);
+  if (!m || !m[1]) return addressOf(mailbox);
+  return `${encodeHeader(m[1])} <${m[2].trim()}>`;
+}
+
+function base64Lines(s) {
+  return Buffer.from(String(s), 'utf8').toString('base64').replace(/.{1,76}/g, '$&\r\n');
+}
+
+/**
+ * Builds an RFC 5322 message (multipart/alternative when html is present).
+ * Returns { id: '<Message-ID>', raw }.
+ */
+export function buildMimeMessage({ from, to, subject, text, html }) {
+  const domain = addressOf(from).split('@')[1] || 'localhost';
+  const id = `<${crypto.randomUUID()}@${domain}>`;
+
+  const headers = [
+    `From: ${encodeMailbox(from)}`,
+    `To: ${[].concat(to).map(encodeMailbox).join(', ')}`,
+    `Subject: ${encodeHeader(subject)}`,
+    `Date: ${new Date().toUTCString().replace('GMT', '+0000')}`,
+    `Message-ID: ${id}`,
+    'MIME-Version: 1.0',
+  ];
+
+  const part = (type, body) =>
+    `Content-Type: ${type}; charset=utf-8\r\nContent-Transfer-Encoding: base64\r\n\r\n${base64Lines(body)}`;
+
+  let body;
+  if (html) {
+    const boundary = 'b_' + crypto.randomBytes(12).toString('hex');
+    headers.push(`Content-Type: multipart/alternative; boundary="${boundary}"`);
+    body =
+      `--${boundary}\r\n${part('text/plain', text || '')}` +
+      `--${boundary}\r\n${part('text/html', html)}` +
+      `--${boundary}--\r\n`;
+  } else {
+    const [contentType, ...rest] = part('text/plain', text || '').split('\r\n');
+    headers.push(contentType, rest[0]);
+    body = rest.slice(2).join('\r\n');
+  }
+
+  return { id, raw: headers.join('\r\n') + '\r\n\r\n' + body };
+}
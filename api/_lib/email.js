@@ -1,59 +1,60 @@
-// Email sending is optional. This implementation uses Resend (https://resend.com/).
-// If RESEND_API_KEY is not set, sending is skipped.
-
-export async function sendThankYouEmail({ to, amountGrosze, currency, publicRef, p24OrderId, paidAtIso }) {
-  const apiKey = process.env.RESEND_API_KEY;
-  const from = process.env.EMAIL_FROM;
-
-  if (!apiKey || !from) {
-    return { skipped: true, reason: 'Missing RESEND_API_KEY or EMAIL_FROM' };
-  }
-
-  const amountPln = (Number(amountGrosze) / 100).toFixed(2);
-  const subject = process.env.EMAIL_SUBJECT || 'Dziękujemy za wsparcie!';
-
-  const orgName = process.env.ORG_NAME || 'Fundacja';
-  const supportUrl = process.env.SUPPORT_URL || '';
-
-  const lines = [
-    `Dziękujemy za wsparcie ${orgName}.`,
-    '',
-    `Kwota: ${amountPln} ${currency}`,
-    `Data potwierdzenia: ${paidAtIso}`,
-    `Numer wpłaty: ${publicRef}`,
-    p24OrderId ? `Id transakcji Przelewy24: ${p24OrderId}` : null,
-    '',
-    supportUrl ? `Kontakt: ${supportUrl}` : null,
-    '',
-    'Pozdrawiamy,',
-    orgName,
-  ].filter(Boolean);
-
-  const payload = {
-    from,
-    to,
-    subject,
-    text: lines.join('\n'),
+// Email sending is optional. Messages go through the transport chosen by EMAIL_TRANSPORT
+// (Resend, SMTP or a local .eml outbox, see email-transports.js); without one, sending is skipped.
+// Every message is queued in email_outbox first and retried there when sending fails (outbox.js).
+// Content comes from templates (api/_lib/templates.js): text + HTML, Polish or English.
+
+import { formatAmount } from './currencies.js';
+import { renderEmail } from './templates.js';
+import { getSupabaseAdmin } from './supabase.js';
+import { queueAndSendEmail } from './outbox.js';
+
+// expiresAt: the message is useless after this moment (link inside expired), so it is not retried
+async function sendEmail({ kind, to, lang, sessionId = null, expiresAt = null }, { subject, text, html }) {
+  return await queueAndSendEmail(getSupabaseAdmin(), { kind, to, lang, sessionId, expiresAt, subject, text, html });
+}
+
+function formatDateTime(iso, lang) {
+  if (!iso) return '';
+  return new Intl.DateTimeFormat(lang === 'en' ? 'en-GB' : 'pl-PL', {
+    timeZone: 'Europe/Warsaw',
+    dateStyle: 'long',
+    timeStyle: 'short',
+  }).format(new Date(iso));
+}
+
+// Template variables of the thank-you email (also used by the admin preview)
+export function thankYouVars({ amountGrosze, currency, publicRef, p24OrderId, paidAtIso, cancelUrl, lang = 'pl' }) {
+  return {
+    amount: formatAmount(amountGrosze, currency, lang),
+    paidAt: formatDateTime(paidAtIso, lang),
+    publicRef,
+    p24OrderId,
+    cancelUrl,
   };
+}
 
-  const resp = await fetch('https://api.resend.com/emails', {
-    method: 'POST',
-    headers: {
-      'Authorization': `Bearer ${apiKey}`,
-      'Content-Type': 'application/json',
-      'Accept': 'application/json',
-    },
-    body: JSON.stringify(payload),
+export async function sendThankYouEmail({ to, lang = 'pl', sessionId = null, ...params }) {
+  const email = await renderEmail('thank_you', lang, thankYouVars({ ...params, lang }));
+  return await sendEmail({ kind: 'thank_you', to, lang, sessionId }, email);
+}
+
+export async function sendCertificateEmail({ to, year, url, expiresAtIso, lang = 'pl' }) {
+  const email = await renderEmail('certificate', lang, {
+    year,
+    url,
+    expires: String(expiresAtIso || '').slice(0, 10),
   });
 
-  const json = await resp.json().catch(() => ({}));
+  return await sendEmail({ kind: 'certificate', to, lang, expiresAt: expiresAtIso }, email);
+}
 
-  if (!resp.ok) {
-    const msg = json?.message || 'Email send failed';
-    const err = new Error(msg);
-    err.email_response = json;
-    throw err;
-  }
+export async function sendDonorLoginEmail({ to, url, lang = 'pl', expiresAtIso = null }) {
+  const email = await renderEmail('donor_login', lang, { url });
+  return await sendEmail({ kind: 'donor_login', to, lang, expiresAt: expiresAtIso }, email);
+}
 
-  return { ok: true, id: json?.id };
+// Internal emails for the foundation staff (staff.js); Polish only
+export async function sendStaffEmail(key, { to, sessionId = null, expiresAt = null }, vars) {
+  const email = await renderEmail(key, 'pl', vars);
+  return await sendEmail({ kind: key, to, lang: 'pl', sessionId, expiresAt }, email);
 }
@@ -0,0 +1,130 @@
+// API errors: every JSON error response is { error, code, ...extra }.
+//   code   stable, machine-readable identifier (snake_case) — front-ends and integrations branch on it
+//   error  human-readable message in the request's language (pl/en), safe to show to the user
+// Internal details (exception messages, provider responses) are logged and never sent to clients.
+
+import { log } from './log.js';
+
+export const ERROR_LANGS = ['pl', 'en'];
+
+// code -> { status, pl, en }; {name} placeholders are filled from params
+const ERRORS = {
+  // generic
+  method_not_allowed: { status: 405, pl: 'Niedozwolona metoda.', en: 'Method not allowed.' },
+  unsupported_media_type: { status: 415, pl: 'Wymagany nagłówek Content-Type: application/json.', en: 'Content-Type must be application/json.' },
+  unauthorized: { status: 401, pl: 'Brak uprawnień.', en: 'Unauthorized.' },
+  not_found: { status: 404, pl: 'Nie znaleziono.', en: 'Not found.' },
+  invalid_id: { status: 400, pl: 'Nieprawidłowy identyfikator.', en: 'Invalid id.' },
+  invalid_date: { status: 400, pl: 'Nieprawidłowa data (RRRR-MM-DD).', en: 'Invalid date (YYYY-MM-DD).' },
+  server_error: { status: 500, pl: 'Błąd serwera. Spróbuj ponownie później.', en: 'Server error. Please try again later.' },
+
+  // donation form (/api/p24/create, /api/p24/check)
+  unsupported_currency: { status: 400, pl: 'Nieobsługiwana waluta.', en: 'Unsupported currency.' },
+  invalid_amount: { status: 400, pl: 'Nieprawidłowa kwota.', en: 'Invalid amount.' },
+  amount_too_low: { status: 400, pl: 'Minimalna kwota to {amount}.', en: 'The minimum amount is {amount}.' },
+  amount_too_high: { status: 400, pl: 'Maksymalna kwota to {amount}.', en: 'The maximum amount is {amount}.' },
+  consents_required: { status: 400, pl: 'Wymagane zgody: prywatność i regulamin.', en: 'Please accept the privacy policy and the terms.' },
+  recurring_consent_required: { status: 400, pl: 'Wymagana zgoda na comiesięczne obciążanie karty.', en: 'Please agree to the monthly card charge.' },
+  email_required: { status: 400, pl: 'Podaj e-mail (wyślemy potwierdzenie i podziękowanie).', en: 'Please enter your email (we will send a confirmation and a thank-you).' },
+  campaign_unavailable: { status: 400, pl: 'Nieznana lub zakończona zbiórka.', en: 'Unknown or finished campaign.' },
+  invalid_idempotency_key: { status: 400, pl: 'Nieprawidłowy nagłówek Idempotency-Key.', en: 'Invalid Idempotency-Key header.' },
+  idempotency_key_reused: { status: 422, pl: 'Ten klucz Idempotency-Key został już użyty dla innej wpłaty.', en: 'This Idempotency-Key has already been used for a different donation.' },
+  payment_in_progress: { status: 409, pl: 'Płatność jest już rozpoczynana. Spróbuj ponownie za chwilę.', en: 'The payment is already being started. Please try again in a moment.' },
+  verification_failed: { status: 400, pl: 'Nie udało się zweryfikować formularza. Odśwież stronę i spróbuj ponownie.', en: 'We could not verify the form. Please refresh the page and try again.' },
+  rate_limited: { status: 429, pl: 'Zbyt wiele prób. Spróbuj ponownie za kilka minut.', en: 'Too many attempts. Please try again in a few minutes.' },
+  payment_provider_error: { status: 502, pl: 'Operator płatności jest chwilowo niedostępny. Spróbuj ponownie później.', en: 'The payment provider is temporarily unavailable. Please try again later.' },
+  missing_session_id: { status: 400, pl: 'Brak identyfikatora płatności.', en: 'Missing sessionId.' },
+
+  // P24 notifications
+  invalid_sign: { status: 400, pl: 'Nieprawidłowy podpis powiadomienia.', en: 'Invalid notification sign.' },
+
+  // donor portal
+  session_expired: { status: 401, pl: 'Zaloguj się ponownie.', en: 'Please sign in again.' },
+  invalid_email: { status: 400, pl: 'Podaj poprawny adres e-mail.', en: 'Please enter a valid email address.' },
+  invalid_year: { status: 400, pl: 'Nieprawidłowy rok.', en: 'Invalid year.' },
+  donation_not_found: { status: 404, pl: 'Nie znaleziono opłaconej wpłaty.', en: 'Paid donation not found.' },
+  email_send_failed: { status: 502, pl: 'Nie udało się wysłać wiadomości. Spróbuj ponownie później.', en: 'We could not send the message. Please try again later.' },
+
+  // certificates, campaigns
+  link_expired: { status: 410, pl: 'Link wygasł. Poproś Fundację o nowy.', en: 'The link has expired. Please ask the Foundation for a new one.' },
+  invalid_link: { status: 403, pl: 'Nieprawidłowy link.', en: 'Invalid link.' },
+  no_donations: { status: 409, pl: 'Brak wpłat dla tego adresu w tym roku.', en: 'No donations for this email and year.' },
+  campaign_not_found: { status: 404, pl: 'Nie znaleziono zbiórki.', en: 'Campaign not found.' },
+
+  // admin
+  transaction_not_found: { status: 404, pl: 'Nie znaleziono transakcji.', en: 'Transaction not found.' },
+  refund_not_allowed: { status: 409, pl: 'Tej transakcji nie można zwrócić (status: {status}).', en: 'This transaction cannot be refunded (status: {status}).' },
+  invalid_refund_amount: { status: 400, pl: 'Nieprawidłowa kwota zwrotu.', en: 'Invalid refund amount.' },
+  refund_exceeds_refundable: { status: 400, pl: 'Kwota zwrotu przekracza kwotę możliwą do zwrotu ({amount}).', en: 'The refund exceeds the refundable amount ({amount}).' },
+  invalid_month: { status: 400, pl: 'Nieprawidłowy miesiąc (RRRR-MM).', en: 'Invalid month (YYYY-MM).' },
+  invalid_range: { status: 400, pl: 'Nieprawidłowy zakres dat (from i to w formacie RRRR-MM-DD, from nie później niż to).', en: 'Invalid date range (from and to as YYYY-MM-DD, from not after to).' },
+  unknown_column: { status: 400, pl: 'Nieznana kolumna: {column}.', en: 'Unknown column: {column}.' },
+  unknown_template: { status: 400, pl: 'Nieznany szablon.', en: 'Unknown template.' },
+  email_not_resendable: { status: 409, pl: 'Wiadomość nie istnieje albo nie czeka na ponowną wysyłkę.', en: 'The message does not exist or is not waiting to be resent.' },
+  email_expired: { status: 409, pl: 'Link w wiadomości już wygasł.', en: 'The link in the message has already expired.' },
+  email_in_progress: { status: 409, pl: 'Wiadomość jest właśnie wysyłana.', en: 'The message is being sent right now.' },
+  email_not_configured: { status: 409, pl: 'Wysyłka e-maili nie jest skonfigurowana.', en: 'Email sending is not configured.' },
+  no_columns: { status: 400, pl: 'Nie wybrano żadnych kolumn.', en: 'No columns selected.' },
+
+  // news
+  news_unavailable: { status: 500, pl: 'Błąd pobierania danych z Facebooka.', en: 'Could not load posts from Facebook.' },
+  unsupported_language: { status: 400, pl: 'Nieobsługiwany język: {lang}.', en: 'Unsupported language: {lang}.' },
+  translation_pending: { status: 503, pl: 'Tłumaczenie aktualności nie jest jeszcze gotowe. Spróbuj ponownie za chwilę.', en: 'The news translation is not ready yet. Please try again shortly.' },
+  invalid_glossary_term: { status: 400, pl: 'Podaj termin (do 200 znaków) i ewentualnie jego tłumaczenie.', en: 'Provide a term (up to 200 characters) and optionally its translation.' },
+  invalid_translation_override: { status: 400, pl: 'Podaj przetłumaczony tytuł lub treść (tytuł do 300, treść do 20000 znaków).', en: 'Provide a translated title or body (title up to 300, body up to 20000 characters).' },
+  invalid_cursor: { status: 400, pl: 'Nieprawidłowy parametr cursor.', en: 'Invalid cursor.' },
+};
+
+export function isErrorCode(code) {
+  return Object.prototype.hasOwnProperty.call(ERRORS, code);
+}
+
+/**
+ * Language of the response: ?lang=, body.lang, an EN page in body.meta.page, then Accept-Language.
+ * Polish unless something points to English; browsers preferring neither get English.
+ */
+export function requestLang(req, body = null) {
+  const q = new URL(req?.url || '/', 'http://localhost').searchParams.get('lang');
+  if (ERROR_LANGS.includes(q)) return q;
+
+  if (body && typeof body === 'object') {
+    if (ERROR_LANGS.includes(body.lang)) return body.lang;
+    if (/^\/?en\//.test(String(body.meta?.page || ''))) return 'en';
+  }
+
+  const header = String(req?.headers?.['accept-language'] || '').trim();
+  if (!header) return 'pl';
+  for (const part of header.split(',')) {
+    const tag = part.split(';')[0].trim().toLowerCase();
+    if (tag.startsWith('pl')) return 'pl';
+    if (tag.startsWith('en')) return 'en';
+  }
+  return 'en';
+}
+
+export function errorMessage(code, lang = 'pl', params = {}) {
+  const def = ERRORS[code] || ERRORS.server_error;
+  const text = def[lang] || def.pl;
+  return text.replace(/\{(\w+)\}/g, (m, k) => (params[k] != null ? String(params[k]) : m));
+}
+
+/**
+ * Sends a JSON error. opts: { lang, body, params, extra, status, headers }
+ *   lang    overrides the detected language; body is passed to requestLang otherwise
+ *   extra   additional fields of the response (e.g. { available }); never put internals here
+ */
+export function sendError(res, req, code, { lang, body = null, params = {}, extra = {}, status, headers = {} } = {}) {
+  if (!isErrorCode(code)) {
+    log.error('[errors] unknown error code', { code });
+    code = 'server_error';
+  }
+
+  res.statusCode = status || ERRORS[code].status;
+  res.setHeader('Content-Type', 'application/json; charset=utf-8');
+  for (const [k, v] of Object.entries(headers)) res.setHeader(k, v);
+  res.end(JSON.stringify({
+    error: errorMessage(code, lang || requestLang(req, body), params),
+    code,
+    ...extra,
+  }));
+}
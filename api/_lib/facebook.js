@@ -0,0 +1,285 @@
+// Facebook Graph API helpers: page access token inspection, its recorded state
+// (facebook_token_status) and the daily token check with a renewal email (/api/fb-token-check).
+//
+// The token check:
+//   missing   no page_access_token in secret_config
+//   invalid   Graph API rejects the token (expired, revoked, password changed, missing permission)
+//   expiring  expires (or loses data access) within FB_TOKEN_WARN_DAYS
+//   error     Graph API unreachable or rate limited; recorded, no email
+//   ok
+// For missing / invalid / expiring the admins (ADMIN_EMAILS, else STAFF_NOTIFY_EMAILS) get an email
+// with a renewal link to /api/fb-login. The link carries a signed token instead of the admin secret
+// and is valid for RENEW_LINK_DAYS. The same problem is re-sent after ALERT_REPEAT_HOURS.
+
+import crypto from 'crypto';
+import { safeEqual } from './auth.js';
+import { getEnv, getSettings } from './config.js';
+import { sendStaffEmail } from './email.js';
+import { getStaffRecipients } from './staff.js';
+import { getBranding } from './templates.js';
+import { log } from './log.js';
+
+export const GRAPH_URL = 'https://graph.facebook.com/v24.0';
+
+const RENEW_LINK_DAYS = 7;
+const ALERT_REPEAT_HOURS = 72;
+const ALERT_STATES = ['missing', 'invalid', 'expiring'];
+
+// 190 invalid/expired token, 102 session, 10 and 200-299 missing permission
+const AUTH_ERROR_CODES = [102, 190, 10];
+
+function toDate(unixSeconds) {
+  const n = Number(unixSeconds);
+  return Number.isFinite(n) && n > 0 ? new Date(n * 1000) : null;
+}
+
+function iso(date) {
+  return date ? date.toISOString() : null;
+}
+
+export function isGraphAuthError(error) {
+  const code = Number(error?.code);
+  return AUTH_ERROR_CODES.includes(code) || (code >= 200 && code < 300) || (!code && error?.type === 'OAuthException');
+}
+
+export function graphErrorText(error) {
+  if (!error) return '';
+  const code = [error.code, error.error_subcode].filter(x => x != null).join('/');
+  return `${code ? `#${code} ` : ''}${String(error.message || 'Graph API error').slice(0, 300)}`;
+}
+
+/**
+ * Inspects an access token with /debug_token (needs the app id and secret).
+ * Returns { valid, type, expiresAt, dataAccessExpiresAt, scopes, error } — expiresAt is null
+ * for tokens that never expire (long-lived page tokens). Throws on network/HTTP errors.
+ */
+export async function debugFacebookToken({ token, appId, appSecret }) {
+  const params = new URLSearchParams({
+    input_token: token,
+    access_token: `${appId}|${appSecret}`,
+  });
+
+  const resp = await fetch(`${GRAPH_URL}/debug_token?${params.toString()}`);
+  const json = await resp.json().catch(() => ({}));
+
+  if (!resp.ok || json?.error) {
+    const err = new Error(`Graph API HTTP ${resp.status}: ${json?.error?.message || 'debug_token failed'}`);
+    err.fb_code = json?.error?.code;
+    throw err;
+  }
+
+  const data = json?.data || {};
+  return {
+    valid: data.is_valid === true,
+    type: data.type || null,
+    expiresAt: toDate(data.expires_at),
+    dataAccessExpiresAt: toDate(data.data_access_expires_at),
+    scopes: Array.isArray(data.scopes) ? data.scopes : [],
+    error: data.error ? { code: data.error.code, subcode: data.error.subcode, message: data.error.message } : null,
+  };
+}
+
+/**
+ * The earlier of expiresAt / dataAccessExpiresAt (either may be null = never).
+ */
+export function tokenDeadline({ expiresAt, dataAccessExpiresAt }) {
+  return [expiresAt, dataAccessExpiresAt].filter(Boolean).sort((a, b) => a - b)[0] || null;
+}
+
+export function daysUntil(date, now = Date.now()) {
+  return date ? Math.floor((new Date(date).getTime() - now) / 86400000) : null;
+}
+
+// ---- facebook_token_status ----
+
+export async function getFacebookStatus(supabase) {
+  const { data, error } = await supabase
+    .from('facebook_token_status')
+    .select('*')
+    .eq('id', 1)
+    .maybeSingle();
+
+  if (error) throw new Error('DB read (facebook_token_status) failed: ' + error.message);
+  return data || null;
+}
+
+/**
+ * Merges fields into the status row. Never throws: callers are on the news / OAuth paths.
+ */
+export async function updateFacebookStatus(supabase, patch) {
+  try {
+    const { error } = await supabase
+      .from('facebook_token_status')
+      .upsert({ id: 1, ...patch, updated_at: new Date().toISOString() });
+    if (error) throw new Error(error.message);
+  } catch (err) {
+    log.error('[facebook] status update failed', { err });
+  }
+}
+
+/**
+ * Records a freshly saved page token (from /api/fb-callback) with its expiry and scopes.
+ * info: result of debugFacebookToken, or null when it could not be inspected.
+ */
+export async function recordSavedToken(supabase, info) {
+  await updateFacebookStatus(supabase, {
+    token_saved_at: new Date().toISOString(),
+    token_type: info?.type || null,
+    expires_at: iso(info?.expiresAt),
+    data_access_expires_at: iso(info?.dataAccessExpiresAt),
+    scopes: info?.scopes || [],
+    last_check_status: info ? (info.valid ? 'ok' : 'invalid') : null,
+    last_check_error: null,
+    last_error: null,
+    last_alert_reason: null,
+  });
+}
+
+// ---- renewal link ----
+
+function renewSignature(adminSecret, expires) {
+  return crypto.createHmac('sha256', adminSecret).update(`fb-login|${expires}`).digest('base64url');
+}
+
+/**
+ * "<expires>.<hmac>" accepted by /api/fb-login as ?t= instead of the admin secret.
+ */
+export function signRenewToken(adminSecret, days = RENEW_LINK_DAYS) {
+  const expires = Math.floor(Date.now() / 1000) + days * 86400;
+  return `${expires}.${renewSignature(adminSecret, expires)}`;
+}
+
+export function verifyRenewToken(adminSecret, token) {
+  const [expires, sig] = String(token || '').split('.');
+  if (!adminSecret || !/^\d+$/.test(expires || '') || !sig) return false;
+  if (Number(expires) < Date.now() / 1000) return false;
+  return safeEqual(sig, renewSignature(adminSecret, Number(expires)));
+}
+
+// ---- daily check ----
+
+// GET /{page-id}?fields=id with the page token: the cheapest call that fails like /posts would
+async function probePage(pageId, token) {
+  const params = new URLSearchParams({ fields: 'id', access_token: token });
+  const resp = await fetch(`${GRAPH_URL}/${encodeURIComponent(pageId)}?${params.toString()}`);
+  const json = await resp.json().catch(() => ({}));
+  if (resp.ok && !json?.error) return { ok: true };
+  return { ok: false, error: json?.error || { message: `HTTP ${resp.status}` } };
+}
+
+const STATE_TEXT = {
+  missing: 'Brak tokena strony (page_access_token) w konfiguracji.',
+  invalid: 'Facebook odrzuca token strony — aktualności na stronie nie są odświeżane.',
+  expiring: 'Token strony wkrótce wygaśnie.',
+};
+
+async function sendAlert(supabase, { state, deadline, daysLeft, error }) {
+  const recipients = getEnv('ADMIN_EMAILS').filter(s => s.includes('@'));
+  const to = recipients.length ? recipients : getStaffRecipients();
+  if (!to.length) {
+    log.warn('[facebook] token alert not sent: no ADMIN_EMAILS / STAFF_NOTIFY_EMAILS', { state });
+    return { sent: false, reason: 'No ADMIN_EMAILS' };
+  }
+
+  const { admin_secret: adminSecret } = await getSettings(supabase, ['admin_secret']);
+  const { siteUrl } = getBranding();
+  const renewUrl = `${siteUrl}/api/fb-login` + (adminSecret ? `?t=${signRenewToken(adminSecret)}` : '');
+  const linkExpires = new Date(Date.now() + RENEW_LINK_DAYS * 86400000);
+
+  await sendStaffEmail('fb_token_alert', { to, expiresAt: linkExpires.toISOString() }, {
+    problem: STATE_TEXT[state],
+    expires: deadline ? deadline.toISOString().slice(0, 10) : '',
+    daysLeft: daysLeft ?? '',
+    error: error || '',
+    renewUrl,
+    linkExpires: linkExpires.toISOString().slice(0, 10),
+  });
+
+  await updateFacebookStatus(supabase, { last_alert_at: new Date().toISOString(), last_alert_reason: state });
+  return { sent: true, to: to.length };
+}
+
+/**
+ * Checks the page token, records the result and emails the admins when it needs renewal.
+ * notify: false only reports. Returns { state, expires_at, days_left, scopes, error, alert }.
+ */
+export async function checkFacebookToken(supabase, { notify = true } = {}) {
+  const cfg = await getSettings(supabase, [
+    'facebook_page_id',
+    'page_access_token',
+    'facebook_app_id',
+    'facebook_app_secret',
+  ]);
+  const previous = await getFacebookStatus(supabase);
+
+  let state = 'ok';
+  let error = null;
+  let info = null;
+
+  if (!cfg.page_access_token) {
+    state = 'missing';
+  } else {
+    if (cfg.facebook_app_id && cfg.facebook_app_secret) {
+      try {
+        info = await debugFacebookToken({
+          token: cfg.page_access_token,
+          appId: cfg.facebook_app_id,
+          appSecret: cfg.facebook_app_secret,
+        });
+        if (!info.valid) {
+          state = 'invalid';
+          error = info.error ? graphErrorText(info.error) : 'Token is not valid';
+        }
+      } catch (err) {
+        log.warn('[facebook] debug_token failed', { err });
+      }
+    }
+
+    if (state === 'ok' && cfg.facebook_page_id) {
+      const probe = await probePage(cfg.facebook_page_id, cfg.page_access_token);
+      if (!probe.ok) {
+        state = isGraphAuthError(probe.error) ? 'invalid' : 'error';
+        error = graphErrorText(probe.error);
+      }
+    }
+  }
+
+  const deadline = info ? tokenDeadline(info) : tokenDeadline({
+    expiresAt: previous?.expires_at ? new Date(previous.expires_at) : null,
+    dataAccessExpiresAt: previous?.data_access_expires_at ? new Date(previous.data_access_expires_at) : null,
+  });
+  const daysLeft = daysUntil(deadline);
+  if (state === 'ok' && daysLeft != null && daysLeft < getEnv('FB_TOKEN_WARN_DAYS')) state = 'expiring';
+
+  await updateFacebookStatus(supabase, {
+    last_check_at: new Date().toISOString(),
+    last_check_status: state,
+    last_check_error: error,
+    ...(info ? {
+      token_type: info.type,
+      expires_at: iso(info.expiresAt),
+      data_access_expires_at: iso(info.dataAccessExpiresAt),
+      scopes: info.scopes,
+    } : {}),
+  });
+
+  let alert = null;
+  if (notify && ALERT_STATES.includes(state)) {
+    const lastAlert = previous?.last_alert_at ? Date.parse(previous.last_alert_at) : 0;
+    const repeatDue = Date.now() - lastAlert >= ALERT_REPEAT_HOURS * 3600 * 1000;
+    alert = previous?.last_alert_reason !== state || repeatDue
+      ? await sendAlert(supabase, { state, deadline, daysLeft, error })
+      : { sent: false, reason: 'Already notified' };
+  }
+
+  if (state !== 'ok') log.warn('[facebook] page token needs attention', { state, days_left: daysLeft, error });
+
+  return {
+    state,
+    expires_at: iso(deadline),
+    days_left: daysLeft,
+    scopes: info?.scopes ?? previous?.scopes ?? [],
+    error,
+    alert,
+  };
+}
@@ -0,0 +1,200 @@
+// Integration checks for /api/health: configuration, Supabase, Przelewy24, the Facebook page
+// token and the translation provider (DeepL quota / LibreTranslate languages). Every check resolves to { status, ... } and never throws:
+//   ok       works
+//   warn     works, but needs attention soon (token about to expire, quota almost used up)
+//   fail     broken
+//   skipped  not configured / not applicable
+// Results contain no secrets: only key names, flags, dates, counters and provider error messages.
+
+import { getEnv, getSettings, validateConfig } from './config.js';
+import { daysUntil, debugFacebookToken, getFacebookStatus, GRAPH_URL, tokenDeadline } from './facebook.js';
+import { getP24Config, p24PostJson } from './p24.js';
+import { getTranslationConfig } from './translate.js';
+import { redact } from './log.js';
+
+export const HEALTH_CHECKS = ['config', 'database', 'p24', 'facebook', 'translation'];
+
+const CHECK_TIMEOUT_MS = 8000;
+const DEEPL_WARN_RATIO = 0.9;
+
+// Without these groups no donation can be made
+const CRITICAL_GROUPS = ['supabase', 'p24'];
+
+function errorInfo(err) {
+  return redact(String(err?.message || err)).slice(0, 300);
+}
+
+function withTimeout(promise, ms) {
+  let timer;
+  const timeout = new Promise((_, reject) => {
+    timer = setTimeout(() => reject(new Error(`Timed out after ${ms} ms`)), ms);
+  });
+  return Promise.race([promise, timeout]).finally(() => clearTimeout(timer));
+}
+
+function checkConfig() {
+  const problems = validateConfig();
+  if (!problems.length) return { status: 'ok' };
+
+  const critical = problems.some(p => CRITICAL_GROUPS.includes(p.group));
+  return { status: critical ? 'fail' : 'warn', problems };
+}
+
+async function checkDatabase(supabase) {
+  const { error } = await supabase.from('secret_config').select('key').limit(1);
+  if (error) return { status: 'fail', error: errorInfo(error) };
+  return { status: 'ok' };
+}
+
+// GET /testAccess answers { data: true } when the POS id and API key are accepted
+async function checkP24() {
+  const cfg = getP24Config();
+  const resp = await p24PostJson({
+    url: `${cfg.baseUrl}/testAccess`,
+    posId: cfg.posId,
+    apiKey: cfg.apiKey,
+    method: 'GET',
+  });
+
+  return {
+    status: resp?.data === true ? 'ok' : 'fail',
+    sandbox: cfg.isSandbox,
+    ...(resp?.data === true ? {} : { error: 'Unexpected testAccess response' }),
+  };
+}
+
+async function checkFacebook(supabase) {
+  const cfg = await getSettings(supabase, [
+    'facebook_page_id',
+    'page_access_token',
+    'facebook_app_id',
+    'facebook_app_secret',
+  ]);
+
+  if (!cfg.page_access_token) return { status: 'fail', error: 'page_access_token is not set' };
+
+  // Without the app credentials only validity can be checked, not the expiry
+  if (!cfg.facebook_app_id || !cfg.facebook_app_secret) {
+    if (!cfg.facebook_page_id) return { status: 'fail', error: 'facebook_page_id is not set' };
+
+    const params = new URLSearchParams({ fields: 'id', access_token: cfg.page_access_token });
+    const resp = await fetch(`${GRAPH_URL}/${encodeURIComponent(cfg.facebook_page_id)}?${params.toString()}`);
+    const json = await resp.json().catch(() => ({}));
+    if (!resp.ok || json?.error) {
+      return { status: 'fail', valid: false, error: errorInfo(json?.error?.message || `HTTP ${resp.status}`) };
+    }
+    return { status: 'ok', valid: true, expires_at: null, note: 'Expiry unknown (facebook_app_id / facebook_app_secret not set)' };
+  }
+
+  const info = await debugFacebookToken({
+    token: cfg.page_access_token,
+    appId: cfg.facebook_app_id,
+    appSecret: cfg.facebook_app_secret,
+  });
+
+  const daysLeft = daysUntil(tokenDeadline(info));
+  const recorded = await getFacebookStatus(supabase).catch(() => null);
+
+  let status = 'ok';
+  if (!info.valid) status = 'fail';
+  else if (daysLeft != null && daysLeft < getEnv('FB_TOKEN_WARN_DAYS')) status = 'warn';
+
+  return {
+    status,
+    valid: info.valid,
+    type: info.type,
+    expires_at: info.expiresAt ? info.expiresAt.toISOString() : null,
+    data_access_expires_at: info.dataAccessExpiresAt ? info.dataAccessExpiresAt.toISOString() : null,
+    days_left: daysLeft,
+    scopes: info.scopes,
+    token_saved_at: recorded?.token_saved_at || null,
+    last_success_at: recorded?.last_success_at || null,
+    ...(info.error ? { error: errorInfo(info.error.message) } : {}),
+  };
+}
+
+async function checkDeepL({ provider, baseUrl, apiKey }) {
+  const resp = await fetch(`${baseUrl}/v2/usage`, {
+    headers: { Authorization: `DeepL-Auth-Key ${apiKey}` },
+  });
+
+  if (!resp.ok) return { status: 'fail', provider, error: `DeepL HTTP ${resp.status}` };
+
+  const json = await resp.json().catch(() => ({}));
+  const used = Number(json?.character_count) || 0;
+  const limit = Number(json?.character_limit) || 0;
+  const ratio = limit ? used / limit : 0;
+
+  return {
+    status: limit && used >= limit ? 'fail' : ratio >= DEEPL_WARN_RATIO ? 'warn' : 'ok',
+    provider,
+    character_count: used,
+    character_limit: limit,
+    used_percent: Math.round(ratio * 1000) / 10,
+  };
+}
+
+// GET /languages: the server answers and can translate from Polish into every news language
+async function checkLibreTranslate({ provider, baseUrl }, languages) {
+  const resp = await fetch(`${baseUrl}/languages`);
+  if (!resp.ok) return { status: 'fail', provider, error: `LibreTranslate HTTP ${resp.status}` };
+
+  const json = await resp.json().catch(() => null);
+  const polish = Array.isArray(json) ? json.find(l => l?.code === 'pl') : null;
+  const targets = Array.isArray(polish?.targets) ? polish.targets : [];
+  const unsupported = languages.filter(l => !targets.includes(l));
+
+  return {
+    status: unsupported.length ? 'warn' : 'ok',
+    provider,
+    ...(unsupported.length ? { unsupported_languages: unsupported } : {}),
+  };
+}
+
+async function checkTranslation(supabase) {
+  const { news_languages: languages } = await getSettings(supabase, ['news_languages']);
+  if (!languages.length) return { status: 'skipped', error: 'news_languages is empty' };
+
+  let config;
+  try {
+    config = await getTranslationConfig(supabase);
+  } catch (err) {
+    if (err.name !== 'ConfigError') throw err;
+    return { status: 'skipped', error: err.problems.map(p => `${p.key} ${p.problem}`).join('; ') };
+  }
+
+  return config.provider === 'libretranslate'
+    ? checkLibreTranslate(config, languages)
+    : checkDeepL(config);
+}
+
+const RUNNERS = {
+  config: () => checkConfig(),
+  database: supabase => checkDatabase(supabase),
+  p24: () => checkP24(),
+  facebook: supabase => checkFacebook(supabase),
+  translation: supabase => checkTranslation(supabase),
+};
+
+/**
+ * Runs the given checks in parallel. Returns { status, checks } where status is the worst
+ * check status (skipped counts as ok).
+ */
+export async function runHealthChecks(supabase, names = HEALTH_CHECKS) {
+  const results = await Promise.all(names.map(async name => {
+    const started = Date.now();
+    let result;
+    try {
+      result = await withTimeout(Promise.resolve(RUNNERS[name](supabase)), CHECK_TIMEOUT_MS);
+    } catch (err) {
+      result = { status: 'fail', error: errorInfo(err) };
+    }
+    return [name, { ...result, duration_ms: Date.now() - started }];
+  }));
+
+  const checks = Object.fromEntries(results);
+  const statuses = results.map(([, r]) => r.status);
+  const status = statuses.includes('fail') ? 'fail' : statuses.includes('warn') ? 'warn' : 'ok';
+
+  return { status, checks };
+}
@@ -0,0 +1,67 @@
+// Idempotent donation creation (/api/p24/create).
+// The donation form sends "Idempotency-Key: <uuid>"; the key is stored on the transaction, so a
+// repeated POST (double click, retry after a lost response) gets the original sessionId/redirectUrl
+// instead of a second P24 registration. Keys are honoured for IDEMPOTENCY_TTL_HOURS.
+// Failed or expired attempts release their key (partial unique index), so the donor can try again.
+
+import { PAID_STATUSES } from './donations.js';
+
+const IDEMPOTENCY_TTL_HOURS = 24;
+const KEY_RE = /^[A-Za-z0-9_-]{16,100}$/;
+
+// Statuses that no longer hold the key
+const RELEASED_STATUSES = ['failed', 'expired'];
+
+/**
+ * Key from the Idempotency-Key header: undefined when absent, null when malformed.
+ */
+export function readIdempotencyKey(req) {
+  const raw = req.headers['idempotency-key'];
+  if (raw === undefined || raw === '') return undefined;
+  const key = String(raw).trim();
+  return KEY_RE.test(key) ? key : null;
+}
+
+/**
+ * The live transaction created with this key, or null.
+ */
+export async function findByIdempotencyKey(supabase, key) {
+  const since = new Date(Date.now() - IDEMPOTENCY_TTL_HOURS * 3600 * 1000).toISOString();
+
+  const { data, error } = await supabase
+    .from('p24_transactions')
+    .select('session_id, public_ref, status, amount_grosze, currency, email, campaign_slug, subscription_id, redirect_url, meta_json, created_at')
+    .eq('idempotency_key', key)
+    .gte('created_at', since)
+    .order('created_at', { ascending: false })
+    .limit(5);
+
+  if (error) throw new Error('DB read (idempotency) failed: ' + error.message);
+  return (data || []).find(tx => !RELEASED_STATUSES.includes(tx.status)) || null;
+}
+
+/**
+ * A key may only be replayed with the same donation; anything else is a client bug.
+ */
+export function matchesRequest(tx, { amountGrosze, currency, email, campaignSlug, isRecurring }) {
+  return Number(tx.amount_grosze) === amountGrosze &&
+    String(tx.currency).toUpperCase() === currency &&
+    String(tx.email || '').toLowerCase() === String(email || '').toLowerCase() &&
+    (tx.campaign_slug || null) === (campaignSlug || null) &&
+    !!tx.subscription_id === isRecurring;
+}
+
+/**
+ * What to answer for a replayed request:
+ *   { redirectUrl }  registered -> the original P24 payment page; already paid -> thank-you page
+ *   { pending }      the first request is still registering the payment
+ */
+export function replayOutcome(tx, thankYouUrl) {
+  if (PAID_STATUSES.includes(tx.status)) return { redirectUrl: thankYouUrl };
+  if (tx.status === 'registered' && tx.redirect_url) return { redirectUrl: tx.redirect_url };
+  return { pending: true };
+}
+
+export function isUniqueViolation(error) {
+  return error?.code === '23505';
+}
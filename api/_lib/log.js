@@ -0,0 +1,187 @@
+// Structured logging for /api handlers: one JSON object per line on stdout/stderr (Vercel logs).
+//
+//   startRequest(req, res, 'p24/create')   first line of a handler: assigns the correlation ID
+//   log.info('message', { fields })         debug / info / warn / error; pass errors as { err }
+//   recordEvent(supabase, row)              p24_events insert carrying the correlation ID
+//
+// Correlation ID: generated for every request, echoed in the X-Correlation-Id response header
+// and stored on p24_transactions, email_outbox and p24_events. An incoming X-Correlation-Id /
+// X-Request-Id header is only logged (clientRequestId): a client-chosen ID stored with a donation
+// would pull another donation's events into its admin timeline. The P24 webhook, reconciliation and the outbox worker continue the ID of the
+// donation they work on (useCorrelationId / withCorrelationId), so one donation can be followed
+// from create through the notification to the thank-you email.
+//
+// Redaction: values under secret-looking keys (crc, sign, token, password, api key, ...), any
+// occurrence of a secret env value and email addresses (j***@example.com) never reach the logs.
+// LOG_LEVEL: debug | info (default) | warn | error
+
+import crypto from 'crypto';
+import { AsyncLocalStorage } from 'node:async_hooks';
+
+const LEVELS = { debug: 10, info: 20, warn: 30, error: 40 };
+const ID_RE = /^[A-Za-z0-9._:-]{8,128}$/;
+
+const SECRET_KEY_RE = /(secret|passw|token|crc|api_?key|authorization|cookie|^sign|sign$|signature)/i;
+const SECRET_ENV_RE = /(SECRET|PASS|API_KEY|CRC|TOKEN|SERVICE_ROLE)/;
+const EMAIL_RE = /([A-Za-z0-9._%+-])[A-Za-z0-9._%+-]*@([A-Za-z0-9.-]+\.[A-Za-z]{2,})/g;
+
+const MAX_DEPTH = 6;
+const MAX_STRING = 4000;
+
+const context = new AsyncLocalStorage();
+
+function currentContext() {
+  return context.getStore() || null;
+}
+
+export function newCorrelationId() {
+  return crypto.randomUUID();
+}
+
+/**
+ * The per-request context object (null outside a handler); other modules may keep
+ * request-scoped caches on it.
+ */
+export function getRequestContext() {
+  return currentContext();
+}
+
+export function getCorrelationId() {
+  return currentContext()?.correlationId || null;
+}
+
+/**
+ * Starts the request context. Call once at the top of a handler, before the first await.
+ */
+export function startRequest(req, res, route) {
+  const incoming = String(req.headers?.['x-correlation-id'] || req.headers?.['x-request-id'] || '').trim();
+  const requestId = newCorrelationId();
+
+  context.enterWith({
+    correlationId: requestId,
+    requestId,
+    clientRequestId: ID_RE.test(incoming) ? incoming : null,
+    route,
+    method: req.method,
+  });
+  res.setHeader('X-Correlation-Id', requestId);
+  return requestId;
+}
+
+/**
+ * Continues an existing trace (e.g. the correlation ID stored on a transaction) for the rest
+ * of this request. The request's own ID stays in the log lines as requestId.
+ */
+export function useCorrelationId(id) {
+  const ctx = currentContext();
+  if (ctx && id && ID_RE.test(String(id))) ctx.correlationId = String(id);
+}
+
+/**
+ * Runs fn with another correlation ID (one row of a batch job); the outer context is untouched.
+ */
+export function withCorrelationId(id, fn) {
+  const ctx = currentContext() || {};
+  const correlationId = id && ID_RE.test(String(id)) ? String(id) : ctx.correlationId || newCorrelationId();
+  return context.run({ ...ctx, requestId: ctx.requestId || correlationId, correlationId }, fn);
+}
+
+let secretValues = null;
+
+function getSecretValues() {
+  if (!secretValues) {
+    secretValues = Object.entries(process.env)
+      .filter(([k, v]) => SECRET_ENV_RE.test(k) && String(v || '').trim().length >= 6)
+      .map(([, v]) => String(v).trim())
+      .sort((a, b) => b.length - a.length);
+  }
+  return secretValues;
+}
+
+function redactString(s) {
+  let out = String(s);
+  for (const v of getSecretValues()) {
+    if (out.includes(v)) out = out.split(v).join('[redacted]');
+  }
+  out = out.replace(EMAIL_RE, '$1***@$2');
+  return out.length > MAX_STRING ? out.slice(0, MAX_STRING) + '…' : out;
+}
+
+/**
+ * Copy of value that is safe to log.
+ */
+export function redact(value, depth = 0) {
+  if (value == null || typeof value === 'number' || typeof value === 'boolean') return value;
+  if (typeof value === 'string') return redactString(value);
+  if (typeof value === 'bigint') return String(value);
+  if (typeof value === 'function' || typeof value === 'symbol') return undefined;
+  if (depth >= MAX_DEPTH) return '[truncated]';
+
+  if (value instanceof Error) {
+    const out = { name: value.name, message: redactString(value.message) };
+    for (const k of ['code', 'p24_code', 'p24_raw_start', 'outboxId']) {
+      if (value[k] != null) out[k] = redact(value[k], depth + 1);
+    }
+    if (value.stack) out.stack = redactString(value.stack.split('\n').slice(0, 8).join('\n'));
+    return out;
+  }
+  if (value instanceof Date) return value.toISOString();
+  if (Buffer.isBuffer(value)) return `[${value.length} bytes]`;
+  if (Array.isArray(value)) return value.slice(0, 50).map(v => redact(v, depth + 1));
+
+  const out = {};
+  for (const [k, v] of Object.entries(value)) {
+    out[k] = SECRET_KEY_RE.test(k) && v != null && v !== '' ? '[redacted]' : redact(v, depth + 1);
+  }
+  return out;
+}
+
+function minLevel() {
+  return LEVELS[String(process.env.LOG_LEVEL || '').toLowerCase()] || LEVELS.info;
+}
+
+function write(level, msg, fields) {
+  if (LEVELS[level] < minLevel()) return;
+
+  const ctx = currentContext();
+  const entry = {
+    level,
+    time: new Date().toISOString(),
+    msg: redactString(msg),
+    ...(ctx ? {
+      correlationId: ctx.correlationId,
+      ...(ctx.requestId !== ctx.correlationId ? { requestId: ctx.requestId } : {}),
+      ...(ctx.clientRequestId ? { clientRequestId: ctx.clientRequestId } : {}),
+      route: ctx.route,
+    } : {}),
+    ...(fields instanceof Error ? { err: redact(fields) } : redact(fields || {})),
+  };
+
+  let line;
+  try {
+    line = JSON.stringify(entry);
+  } catch {
+    line = JSON.stringify({ level, time: entry.time, msg: entry.msg, correlationId: entry.correlationId });
+  }
+
+  if (level === 'error') console.error(line);
+  else if (level === 'warn') console.warn(line);
+  else console.log(line);
+}
+
+export const log = {
+  debug: (msg, fields) => write('debug', msg, fields),
+  info: (msg, fields) => write('info', msg, fields),
+  warn: (msg, fields) => write('warn', msg, fields),
+  error: (msg, fields) => write('error', msg, fields),
+};
+
+/**
+ * Inserts a p24_events row tagged with the current correlation ID. Returns the insert result.
+ */
+export async function recordEvent(supabase, row) {
+  return await supabase.from('p24_events').insert({
+    ...row,
+    correlation_id: row.correlation_id || getCorrelationId(),
+  });
+}
@@ -0,0 +1,335 @@
+// Persistent news archive. Every post fetched from the Facebook page is kept in news_posts (one row
+// per Graph post id) and its machine translations in news_post_translations, so posts older than
+// posts_limit stay available: /api/news-archive pages through them, pl/archiwum.html and
+// en/archive.html show them.
+//
+// Rows are written by every news refresh (/api/facebook-news) and by the backfill
+// (/api/admin/news-backfill), which follows the Graph API paging cursors of the page's posts back
+// to the first one. A translation row remembers the content_hash of the Polish text it was made
+// from and the translator version (provider + glossary); when either changes the post is
+// translated again by the next backfill run. Manual translations (news_translation_overrides) are
+// applied on top when the archive is served.
+
+import crypto from 'crypto';
+import { getSettings } from './config.js';
+import { GRAPH_URL, graphErrorText } from './facebook.js';
+import { getTranslator } from './translate.js';
+import { withOverrides } from './translation-overrides.js';
+import { log } from './log.js';
+
+export const NEWS_FIELDS = ['id', 'message', 'story', 'created_time', 'permalink_url', 'full_picture'].join(',');
+
+const DEFAULT_IMAGE = 'images/mariacki_short_id2.jpg';
+const MAX_TITLE = 60;
+
+const BACKFILL_KEY = 'news_archive_backfill';
+const BACKFILL_PAGE_SIZE = 25;
+
+const POST_ID_RE = /^[0-9_]{1,64}$/;
+
+function normalizeText(s) {
+  return String(s || '')
+    .replace(/\s+/g, ' ')
+    .trim();
+}
+
+/**
+ * Hash of the post's Polish text only (normalized title + body): a changed date, link or image
+ * does not cause a new translation, and neither does whitespace.
+ */
+export function postContentHash(p) {
+  const payload = {
+    title: normalizeText(p?.title),
+    body: normalizeText(p?.body)
+  };
+  return crypto.createHash('sha256').update(JSON.stringify(payload)).digest('hex');
+}
+
+/**
+ * News post from a Graph API post, or null for posts without text.
+ * The title is the first sentence (up to . ! ?), else the first line, at most MAX_TITLE characters.
+ */
+export function postFromGraph(item) {
+  const message = item?.message || item?.story || '';
+  if (!message) return null;
+
+  let title = message.trim();
+  const stopIndex = title.search(/[.!?]/);
+  if (stopIndex !== -1) {
+    title = title.slice(0, stopIndex + 1).trim();
+  } else {
+    const newlineIndex = title.indexOf('\n');
+    if (newlineIndex !== -1) title = title.slice(0, newlineIndex).trim();
+  }
+  if (title.length > MAX_TITLE) title = title.slice(0, MAX_TITLE - 1) + '…';
+
+  const post = {
+    id: item.id || null,
+    title,
+    body: message,
+    date: item.created_time || null,
+    image: item.full_picture || DEFAULT_IMAGE,
+    link: item.permalink_url || null
+  };
+  post.content_hash = postContentHash(post);
+  return post;
+}
+
+// ---- writing ----
+
+/**
+ * Inserts or updates the archive rows of the given posts (posts without a Graph id are skipped).
+ */
+export async function saveArchivePosts(supabase, posts) {
+  const now = new Date().toISOString();
+  const rows = (posts || [])
+    .filter(p => p?.id && p.date)
+    .map(p => ({
+      id: p.id,
+      content_hash: p.content_hash || postContentHash(p),
+      title: p.title || '',
+      body: p.body || '',
+      published_at: p.date,
+      link: p.link || null,
+      image: p.image || null,
+      updated_at: now,
+    }));
+  if (!rows.length) return 0;
+
+  const { error } = await supabase.from('news_posts').upsert(rows, { onConflict: 'id' });
+  if (error) throw new Error('DB write (news_posts) failed: ' + error.message);
+  return rows.length;
+}
+
+/**
+ * Stores machine translations: posts with id, content_hash and the translated title/body.
+ * version: translator.version(lang).
+ */
+export async function saveArchiveTranslations(supabase, lang, posts, version) {
+  const now = new Date().toISOString();
+  const rows = (posts || [])
+    .filter(p => p?.id && p.content_hash && (p.title != null || p.body != null))
+    .map(p => ({
+      post_id: p.id,
+      lang,
+      title: p.title || '',
+      body: p.body || '',
+      content_hash: p.content_hash,
+      translator: version || null,
+      translated_at: now,
+    }));
+  if (!rows.length) return 0;
+
+  const { error } = await supabase.from('news_post_translations').upsert(rows, { onConflict: 'post_id,lang' });
+  if (error) throw new Error('DB write (news_post_translations) failed: ' + error.message);
+  return rows.length;
+}
+
+async function readTranslations(supabase, lang, ids) {
+  if (!ids.length) return new Map();
+
+  const { data, error } = await supabase
+    .from('news_post_translations')
+    .select('post_id, title, body, content_hash, translator')
+    .eq('lang', lang)
+    .in('post_id', ids);
+
+  if (error) throw new Error('DB read (news_post_translations) failed: ' + error.message);
+  return new Map((data || []).map(r => [r.post_id, r]));
+}
+
+/**
+ * Translates the posts that have no current translation in lang (other Polish text or another
+ * translator version) and stores them. Returns the number of posts translated.
+ */
+export async function translateArchivePosts(supabase, translator, lang, posts) {
+  const version = translator.version(lang);
+  const existing = await readTranslations(supabase, lang, posts.map(p => p.id));
+  const todo = posts.filter(p => {
+    const t = existing.get(p.id);
+    return !t || t.content_hash !== p.content_hash || t.translator !== version;
+  });
+  if (!todo.length) return 0;
+
+  const texts = todo.flatMap(p => [p.title || '', p.body || '']);
+  const translated = await translator.translateMany(texts, lang);
+
+  await saveArchiveTranslations(supabase, lang, todo.map((p, i) => ({
+    id: p.id,
+    content_hash: p.content_hash,
+    title: translated[2 * i] || '',
+    body: translated[2 * i + 1] || '',
+  })), version);
+  return todo.length;
+}
+
+// ---- reading ----
+
+/**
+ * Opaque paging cursor: the last post's publication time and id.
+ */
+export function encodeCursor(post) {
+  return Buffer.from(JSON.stringify([post.published_at, post.id])).toString('base64url');
+}
+
+/**
+ * { publishedAt, id } or null when the cursor is malformed.
+ */
+export function decodeCursor(cursor) {
+  try {
+    const [publishedAt, id] = JSON.parse(Buffer.from(String(cursor), 'base64url').toString('utf8'));
+    if (!POST_ID_RE.test(String(id)) || Number.isNaN(Date.parse(publishedAt))) return null;
+    return { publishedAt: new Date(publishedAt).toISOString(), id: String(id) };
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * One page of the archive, newest first: { posts, next_cursor } (next_cursor null on the last page).
+ * For a translation language each post carries lang: the language, or 'pl' when it has no current
+ * translation yet.
+ */
+export async function listArchive(supabase, { lang = 'pl', cursor = null, limit = 12 } = {}) {
+  let query = supabase
+    .from('news_posts')
+    .select('id, content_hash, title, body, published_at, link, image')
+    .order('published_at', { ascending: false })
+    .order('id', { ascending: false })
+    .limit(limit + 1);
+
+  // Keyset paging: strictly after the cursor in (published_at desc, id desc) order
+  if (cursor) {
+    query = query.or(
+      `published_at.lt."${cursor.publishedAt}",and(published_at.eq."${cursor.publishedAt}",id.lt."${cursor.id}")`
+    );
+  }
+
+  const { data, error } = await query;
+  if (error) throw new Error('DB read (news_posts) failed: ' + error.message);
+
+  const rows = (data || []).slice(0, limit);
+  const nextCursor = (data || []).length > limit ? encodeCursor(rows[rows.length - 1]) : null;
+
+  let posts = rows.map(r => ({
+    id: r.id,
+    title: r.title,
+    body: r.body,
+    date: r.published_at,
+    image: r.image || DEFAULT_IMAGE,
+    link: r.link,
+    content_hash: r.content_hash,
+    lang: 'pl',
+  }));
+
+  if (lang !== 'pl' && posts.length) {
+    const translations = await readTranslations(supabase, lang, posts.map(p => p.id));
+    posts = posts.map(p => {
+      const t = translations.get(p.id);
+      // A translation of an older Polish text is not shown
+      return t && t.content_hash === p.content_hash ? { ...p, title: t.title, body: t.body, lang } : p;
+    });
+
+    const translated = posts.filter(p => p.lang === lang);
+    const overridden = new Map((await withOverrides(supabase, lang, translated)).map(p => [p.id, p]));
+    posts = posts.map(p => overridden.get(p.id) || p);
+  }
+
+  return { posts, next_cursor: nextCursor };
+}
+
+// ---- backfill ----
+
+async function readBackfillState(supabase) {
+  const { data, error } = await supabase
+    .from('facebook_cache')
+    .select('data')
+    .eq('cache_key', BACKFILL_KEY)
+    .maybeSingle();
+
+  if (error) throw new Error('DB read (facebook_cache backfill) failed: ' + error.message);
+  return data?.data || null;
+}
+
+async function writeBackfillState(supabase, state) {
+  const { error } = await supabase
+    .from('facebook_cache')
+    .upsert({ cache_key: BACKFILL_KEY, data: state, cached_at: new Date().toISOString() });
+  if (error) throw new Error('DB write (facebook_cache backfill) failed: ' + error.message);
+}
+
+/**
+ * Imports up to `pages` pages of older posts from the Graph API, continuing where the previous run
+ * stopped (restart: from the newest post again), and translates them into every news language
+ * unless translate is false. Returns { pages, imported, translated, done, started_at, updated_at }.
+ * Throws on Graph API errors; the progress up to that page is kept.
+ */
+export async function backfillArchive(supabase, { pages = 3, restart = false, translate = true } = {}) {
+  const cfg = await getSettings(supabase, ['facebook_page_id', 'page_access_token', 'news_languages'], {
+    required: ['facebook_page_id', 'page_access_token'],
+  });
+
+  const previous = restart ? null : await readBackfillState(supabase);
+  const state = previous?.done ? previous : {
+    after: previous?.after || null,
+    done: false,
+    pages: previous?.pages || 0,
+    imported: previous?.imported || 0,
+    started_at: previous?.started_at || new Date().toISOString(),
+  };
+
+  const languages = [...new Set(cfg.news_languages.map(l => l.toLowerCase()))]
+    .filter(l => /^[a-z]{2}$/.test(l) && l !== 'pl');
+
+  let translator = null;
+  if (translate && languages.length) {
+    try {
+      translator = await getTranslator(supabase);
+    } catch (err) {
+      if (err.name !== 'ConfigError') throw err;
+      log.warn('[news-archive] backfill without translations', { err });
+    }
+  }
+
+  let translatedCount = 0;
+  let run = 0;
+
+  while (!state.done && run < pages) {
+    const params = new URLSearchParams({
+      fields: NEWS_FIELDS,
+      limit: String(BACKFILL_PAGE_SIZE),
+      access_token: cfg.page_access_token,
+    });
+    if (state.after) params.set('after', state.after);
+
+    const resp = await fetch(`${GRAPH_URL}/${encodeURIComponent(cfg.facebook_page_id)}/posts?${params.toString()}`);
+    const json = await resp.json().catch(() => ({}));
+    if (!resp.ok || json?.error) {
+      const err = new Error(`Graph API HTTP ${resp.status}: ${graphErrorText(json?.error) || 'posts request failed'}`);
+      err.fb_code = json?.error?.code ?? null;
+      throw err;
+    }
+
+    const posts = (Array.isArray(json?.data) ? json.data : []).map(postFromGraph).filter(Boolean);
+    state.imported += await saveArchivePosts(supabase, posts);
+
+    if (translator) {
+      for (const lang of languages) {
+        translatedCount += await translateArchivePosts(supabase, translator, lang, posts.filter(p => p.id));
+      }
+    }
+
+    // No "next" link: this was the oldest page
+    const after = json?.paging?.cursors?.after || null;
+    state.done = !json?.paging?.next || !after;
+    state.after = state.done ? null : after;
+    state.pages += 1;
+    state.updated_at = new Date().toISOString();
+    run += 1;
+
+    await writeBackfillState(supabase, state);
+  }
+
+  log.info('[news-archive] backfill', { pages: run, imported: state.imported, translated: translatedCount, done: state.done });
+  return { ...state, translated: translatedCount };
+}
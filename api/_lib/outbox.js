@@ -0,0 +1,242 @@
+// Durable email outbox (table email_outbox). Every transactional email is stored rendered,
+// sent right away and, when the transport fails, retried by /api/email/outbox (Vercel Cron)
+// with exponential backoff. After EMAIL_MAX_ATTEMPTS failures the message becomes "dead"
+// (dead letter) and waits for an admin to resend it from the dashboard.
+//
+// Statuses: pending -> sending -> sent
+//                             \-> failed (retry at next_attempt_at) -> ... -> dead
+// A "sending" row is leased until next_attempt_at, so a send cut off by a timeout
+// is picked up again by the worker.
+
+import { getEnv } from './config.js';
+import { getEmailTransport } from './email-transports.js';
+import { getCorrelationId, log, recordEvent, withCorrelationId } from './log.js';
+
+const LEASE_MS = 10 * 60 * 1000;
+const BASE_DELAY_MS = 5 * 60 * 1000;
+const MAX_DELAY_MS = 12 * 3600 * 1000;
+
+export const OUTBOX_STATUSES = ['pending', 'sending', 'sent', 'failed', 'dead'];
+
+export const OUTBOX_LIST_COLUMNS =
+  'id, kind, to_email, lang, subject, status, attempts, next_attempt_at, last_error, ' +
+  'transport, provider_id, session_id, expires_at, created_at, sent_at';
+
+export function getMaxAttempts() {
+  return getEnv('EMAIL_MAX_ATTEMPTS');
+}
+
+// 5 min, 10 min, 20 min, ... capped at 12 h
+export function retryDelayMs(attempts) {
+  return Math.min(MAX_DELAY_MS, BASE_DELAY_MS * 2 ** Math.max(0, attempts - 1));
+}
+
+function errorText(err) {
+  const details = err?.email_response ? ' ' + JSON.stringify(err.email_response) : '';
+  return (String(err?.message || err) + details).slice(0, 2000);
+}
+
+// The thank-you flag on the transaction follows the message, also when a retry succeeds later
+async function afterSent(supabase, row) {
+  if (row.kind !== 'thank_you' || !row.session_id) return;
+  await supabase
+    .from('p24_transactions')
+    .update({ thankyou_email_sent_at: new Date().toISOString(), thankyou_email_error: null })
+    .eq('session_id', row.session_id)
+    .is('thankyou_email_sent_at', null);
+}
+
+async function markDead(supabase, row, lastError) {
+  await supabase
+    .from('email_outbox')
+    .update({ status: 'dead', last_error: lastError })
+    .eq('id', row.id);
+
+  await recordEvent(supabase, {
+    event_type: 'email_dead_letter',
+    session_id: row.session_id || null,
+    payload_json: { outbox_id: row.id, kind: row.kind, to: row.to_email, attempts: row.attempts, error: lastError },
+  });
+}
+
+/**
+ * Stores a rendered message. message: { kind, to, lang, subject, text, html, sessionId, expiresAt }
+ */
+export async function enqueueEmail(supabase, { kind, to, lang, subject, text, html, sessionId = null, expiresAt = null }) {
+  const { data, error } = await supabase
+    .from('email_outbox')
+    .insert({
+      kind,
+      to_email: to,
+      lang: lang || null,
+      subject,
+      text_body: text,
+      html_body: html || null,
+      session_id: sessionId,
+      expires_at: expiresAt,
+      correlation_id: getCorrelationId(),
+      status: 'pending',
+      attempts: 0,
+      next_attempt_at: new Date().toISOString(),
+    })
+    .select('*')
+    .single();
+
+  if (error) throw new Error('Outbox insert failed: ' + error.message);
+  return data;
+}
+
+/**
+ * One delivery attempt. The row is claimed first (attempts as an optimistic lock),
+ * so the worker and an immediate send never deliver the same message twice.
+ * Returns { ok, id } / { skipped, reason }; throws the transport error after recording it.
+ */
+export async function deliverEmail(supabase, row) {
+  const maxAttempts = getMaxAttempts();
+
+  if (row.attempts >= maxAttempts) {
+    await markDead(supabase, row, row.last_error || 'Interrupted during the last attempt');
+    return { skipped: true, reason: 'dead' };
+  }
+  if (row.expires_at && new Date(row.expires_at).getTime() <= Date.now()) {
+    await markDead(supabase, row, 'Expired before delivery' + (row.last_error ? ': ' + row.last_error : ''));
+    return { skipped: true, reason: 'dead' };
+  }
+
+  const { transport, from, skipped, reason } = getEmailTransport();
+  if (skipped) return { skipped: true, reason };
+
+  const now = new Date();
+  const { data: claimed, error: claimError } = await supabase
+    .from('email_outbox')
+    .update({
+      status: 'sending',
+      attempts: row.attempts + 1,
+      next_attempt_at: new Date(now.getTime() + LEASE_MS).toISOString(),
+    })
+    .eq('id', row.id)
+    .eq('attempts', row.attempts)
+    .in('status', ['pending', 'failed', 'sending'])
+    .lte('next_attempt_at', now.toISOString())
+    .select('*');
+
+  if (claimError) throw new Error('Outbox claim failed: ' + claimError.message);
+  const msg = claimed?.[0];
+  if (!msg) return { skipped: true, reason: 'claimed' };
+
+  try {
+    const result = await transport.send({
+      from,
+      to: msg.to_email,
+      subject: msg.subject,
+      text: msg.text_body,
+      html: msg.html_body,
+    });
+
+    await supabase
+      .from('email_outbox')
+      .update({
+        status: 'sent',
+        sent_at: new Date().toISOString(),
+        transport: transport.name,
+        provider_id: result?.id ? String(result.id) : null,
+        last_error: null,
+      })
+      .eq('id', msg.id);
+
+    await afterSent(supabase, msg);
+    return { ok: true, id: result?.id, transport: transport.name, outboxId: msg.id };
+  } catch (err) {
+    const lastError = errorText(err);
+
+    if (msg.attempts >= maxAttempts) {
+      await markDead(supabase, msg, lastError);
+    } else {
+      await supabase
+        .from('email_outbox')
+        .update({
+          status: 'failed',
+          transport: transport.name,
+          last_error: lastError,
+          next_attempt_at: new Date(Date.now() + retryDelayMs(msg.attempts)).toISOString(),
+        })
+        .eq('id', msg.id);
+    }
+
+    err.outboxId = msg.id;
+    throw err;
+  }
+}
+
+/**
+ * Queues a message and tries to send it immediately.
+ * Without a configured transport nothing is queued (same as before the outbox).
+ * If the outbox itself is unavailable the message is sent directly, without retries.
+ */
+export async function queueAndSendEmail(supabase, message) {
+  const { transport, from, skipped, reason } = getEmailTransport();
+  if (skipped) return { skipped: true, reason };
+
+  let row;
+  try {
+    row = await enqueueEmail(supabase, message);
+  } catch (err) {
+    log.error('[outbox] queueing failed, sending directly', { err });
+    const result = await transport.send({ from, to: message.to, subject: message.subject, text: message.text, html: message.html });
+    return { ...result, transport: transport.name };
+  }
+
+  return await deliverEmail(supabase, row);
+}
+
+/**
+ * Worker: sends due messages (pending, failed past next_attempt_at, expired "sending" leases).
+ */
+export async function processOutbox(supabase, { batchSize = 25 } = {}) {
+  const { data: rows, error } = await supabase
+    .from('email_outbox')
+    .select('*')
+    .in('status', ['pending', 'failed', 'sending'])
+    .lte('next_attempt_at', new Date().toISOString())
+    .order('next_attempt_at', { ascending: true })
+    .limit(batchSize);
+
+  if (error) throw new Error('DB read failed: ' + error.message);
+
+  const summary = { due: 0, sent: 0, failed: 0, dead: 0, skipped: 0 };
+
+  for (const row of rows || []) {
+    summary.due++;
+    try {
+      // A retry belongs to the trace of the request that queued the message
+      const result = await withCorrelationId(row.correlation_id, () => deliverEmail(supabase, row));
+      if (result.ok) summary.sent++;
+      else if (result.reason === 'dead') summary.dead++;
+      else summary.skipped++;
+    } catch (err) {
+      log.error('[outbox] send failed', { outboxId: row.id, err });
+      if (row.attempts + 1 >= getMaxAttempts()) summary.dead++;
+      else summary.failed++;
+    }
+  }
+
+  return summary;
+}
+
+/**
+ * Admin resend of a failed or dead message: attempts start again from zero.
+ */
+export async function resendOutboxEmail(supabase, id) {
+  const { data: rows, error } = await supabase
+    .from('email_outbox')
+    .update({ status: 'pending', attempts: 0, next_attempt_at: new Date().toISOString() })
+    .eq('id', id)
+    .in('status', ['failed', 'dead'])
+    .select('*');
+
+  if (error) throw new Error('Outbox update failed: ' + error.message);
+  const row = rows?.[0];
+  if (!row) return null;
+
+  return await withCorrelationId(row.correlation_id, () => deliverEmail(supabase, row));
+}
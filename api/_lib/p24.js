@@ -1,13 +1,15 @@
 import crypto from 'crypto';
+import { assertConfig, getEnv } from './config.js';
 
 export function getP24Config() {
-  const merchantIdRaw = String(process.env.P24_MERCHANT_ID || '').trim();
-  const posIdRaw = String(process.env.P24_POS_ID || merchantIdRaw).trim();
-  const apiKey = String(process.env.P24_API_KEY || '').trim();
-  const crc = String(process.env.P24_CRC || '').trim();
+  // All P24 problems at once (missing keys, short API key, bad proxy URL)
+  assertConfig(['p24']);
 
-  const sandboxFlag = String(process.env.P24_SANDBOX || '').toLowerCase();
-  const isSandbox = sandboxFlag === '1' || sandboxFlag === 'true' || sandboxFlag === 'yes';
+  const merchantId = getEnv('P24_MERCHANT_ID');
+  const posId = getEnv('P24_POS_ID') ?? merchantId;
+  const apiKey = getEnv('P24_API_KEY');
+  const crc = getEnv('P24_CRC');
+  const isSandbox = getEnv('P24_SANDBOX');
 
   // REST API base
   const baseUrl = isSandbox
@@ -19,25 +21,14 @@ export function getP24Config() {
     ? 'https://sandbox.przelewy24.pl'
     : 'https://secure.przelewy24.pl';
 
-  const description = process.env.P24_DESCRIPTION || 'Darowizna na cele statutowe';
-  const returnPath = process.env.P24_RETURN_PATH || '/pl/dziekujemy';
-  const statusPath = process.env.P24_STATUS_PATH || '/api/p24/status';
-
-  if (!merchantIdRaw || !posIdRaw || !apiKey || !crc) {
-    throw new Error('Missing P24 env vars: P24_MERCHANT_ID/P24_POS_ID/P24_API_KEY/P24_CRC');
-  }
-
-  // Guard: common misconfig
-  if (apiKey.length < 16) {
-    throw new Error(
-      `P24_API_KEY looks too short (len=${apiKey.length}). Use "Klucz API" from P24 panel.`
-    );
-  }
+  const description = getEnv('P24_DESCRIPTION');
+  const returnPath = getEnv('P24_RETURN_PATH');
+  const statusPath = getEnv('P24_STATUS_PATH');
 
   return {
     isSandbox,
-    merchantId: Number(merchantIdRaw),
-    posId: Number(posIdRaw),
+    merchantId,
+    posId,
     apiKey,
     crc,
     baseUrl,
@@ -68,6 +59,67 @@ export function p24VerifySign({ sessionId, orderId, amount, currency, crc }) {
   return sha384Hex(JSON.stringify(payload));
 }
 
+/**
+ * Sign of the transaction status notification (urlStatus):
+ * sha384(JSON({merchantId, posId, sessionId, amount, originAmount, currency, orderId, methodId, statement, crc}))
+ */
+export function p24NotificationSign({
+  merchantId, posId, sessionId, amount, originAmount, currency, orderId, methodId, statement, crc,
+}) {
+  const payload = { merchantId, posId, sessionId, amount, originAmount, currency, orderId, methodId, statement, crc };
+  return sha384Hex(JSON.stringify(payload));
+}
+
+/**
+ * Checks a parsed status notification against our config.
+ * Accepts REST field names (sessionId, ...) and legacy p24_* names; numbers may arrive as strings.
+ * Returns { ok: true, notification } or { ok: false, reason }.
+ */
+export function p24CheckNotification(payload, cfg) {
+  const pick = (name, legacy) => payload?.[name] ?? payload?.[legacy];
+
+  const notification = {
+    merchantId: Number(pick('merchantId', 'p24_merchant_id')),
+    posId: Number(pick('posId', 'p24_pos_id')),
+    sessionId: String(pick('sessionId', 'p24_session_id') ?? ''),
+    amount: Number(pick('amount', 'p24_amount')),
+    originAmount: Number(pick('originAmount', 'p24_origin_amount') ?? pick('amount', 'p24_amount')),
+    currency: String(pick('currency', 'p24_currency') ?? ''),
+    orderId: Number(pick('orderId', 'p24_order_id')),
+    methodId: Number(pick('methodId', 'p24_method')),
+    statement: String(pick('statement', 'p24_statement') ?? ''),
+  };
+  const sign = String(pick('sign', 'p24_sign') ?? '');
+
+  if (!sign) return { ok: false, reason: 'missing_sign', notification };
+  if (notification.merchantId !== cfg.merchantId || notification.posId !== cfg.posId) {
+    return { ok: false, reason: 'merchant_mismatch', notification };
+  }
+
+  const expected = p24NotificationSign({ ...notification, crc: cfg.crc });
+  const a = Buffer.from(expected);
+  const b = Buffer.from(sign);
+  if (a.length !== b.length || !crypto.timingSafeEqual(a, b)) {
+    return { ok: false, reason: 'invalid_sign', notification };
+  }
+
+  return { ok: true, notification };
+}
+
+/**
+ * Sign of the refund status notification:
+ * sha384(JSON({orderId, sessionId, refundsUuid, merchantId, amount, currency, status, crc}))
+ */
+export function p24RefundNotificationSign({ orderId, sessionId, refundsUuid, merchantId, amount, currency, status, crc }) {
+  const payload = { orderId, sessionId, refundsUuid, merchantId, amount, currency, status, crc };
+  return sha384Hex(JSON.stringify(payload));
+}
+
+export function makePublicRef(sessionId) {
+  // Human-friendly reference derived from UUID (no PII)
+  return 'DON-' + sessionId.replace(/-/g, '').slice(0, 12).toUpperCase();
+}
+
 export function basicAuthHeader(login, password) {
   const token = Buffer.from(`${login}:${password}`).toString('base64');
   return `Basic ${token}`;
@@ -93,16 +145,18 @@ function normalizeMethod(method) {
 export async function p24PostJson({ url, posId, apiKey, body, method = 'POST' }) {
   const m = normalizeMethod(method);
 
-  const proxyBase = String(process.env.P24_PROXY_BASE || '').trim().replace(/\/$/, '');
+  const proxyBase = getEnv('P24_PROXY_BASE');
 
   // Backward-compat (older envs). Prefer P24_PROXY_BASE.
-  const legacyVerifyProxy = String(process.env.P24_VERIFY_PROXY_URL || '').trim();
-  const legacyRegisterProxy = String(process.env.P24_REGISTER_PROXY_URL || '').trim();
+  const legacyVerifyProxy = getEnv('P24_VERIFY_PROXY_URL');
+  const legacyRegisterProxy = getEnv('P24_REGISTER_PROXY_URL');
 
-  // Decide action name from URL (register / verify / etc.)
+  // Decide action name from URL:
+  // - /transaction/register -> register, /transaction/verify -> verify (unchanged for existing proxies)
+  // - anything else keeps its path below /api/v1, e.g. card/info/123, card/chargeWithout3ds
   const u = new URL(url);
-  const parts = u.pathname.split('/').filter(Boolean);
-  const action = parts[parts.length - 1];
+  const rel = u.pathname.replace(/^.*\/api\/v1\//, '').replace(/\/$/, '');
+  const action = rel.startsWith('transaction/') ? rel.slice('transaction/'.length) : rel;
   if (!action) throw new Error(`Cannot derive P24 action from url: ${url}`);
 
   const proxyUrl =
@@ -0,0 +1,111 @@
+// Minimal PDF writer (no dependencies) for simple text documents such as donation certificates.
+// Uses the standard Helvetica fonts, so nothing is embedded. Polish letters are mapped
+// into the font encoding via /Differences; other characters outside WinAnsi become "?".
+
+const PAGE_WIDTH = 595;  // A4 in points
+const PAGE_HEIGHT = 842;
+
+// Polish letters take over codes 0xA1–0xB0 (unused symbols in these documents)
+const POLISH_GLYPHS = [
+  ['ą', 'aogonek'], ['Ą', 'Aogonek'], ['ć', 'cacute'], ['Ć', 'Cacute'],
+  ['ę', 'eogonek'], ['Ę', 'Eogonek'], ['ł', 'lslash'], ['Ł', 'Lslash'],
+  ['ń', 'nacute'], ['Ń', 'Nacute'], ['ś', 'sacute'], ['Ś', 'Sacute'],
+  ['ź', 'zacute'], ['Ź', 'Zacute'], ['ż', 'zdotaccent'], ['Ż', 'Zdotaccent'],
+];
+const POLISH_FIRST_CODE = 0xA1;
+
+// WinAnsi codes for characters outside Latin-1 that are used in amounts and typography
+const WIN_ANSI_EXTRA = {
+  '€': 0x80, '„': 0x84, '…': 0x85, '–': 0x96, '—': 0x97,
+  '‘': 0x91, '’': 0x92, '“': 0x93, '”': 0x94,
+  '\u00a0': 0x20, '\u202f': 0x20, // (narrow) no-break space from Intl formatting
+};
+
+const CHAR_CODES = new Map(POLISH_GLYPHS.map(([ch], i) => [ch, POLISH_FIRST_CODE + i]));
+
+function encodeText(str) {
+  let out = '';
+  for (const ch of String(str ?? '')) {
+    let code = CHAR_CODES.get(ch) ?? WIN_ANSI_EXTRA[ch];
+    if (code == null) {
+      const cp = ch.codePointAt(0);
+      const isPrintableLatin1 = (cp >= 0x20 && cp <= 0x7e) || (cp > 0xb0 && cp <= 0xff);
+      code = isPrintableLatin1 ? cp : 0x3f;
+    }
+    if (code === 0x28 || code === 0x29 || code === 0x5c) out += '\\';
+    out += String.fromCharCode(code);
+  }
+  return out;
+}
+
+// Document info strings are not font-encoded: write them as UTF-16BE hex
+function infoString(str) {
+  return '<FEFF' + Buffer.from(String(str ?? ''), 'utf16le').swap16().toString('hex').toUpperCase() + '>';
+}
+
+function num(n) {
+  return Number(n).toFixed(2).replace(/\.?0+$/, '');
+}
+
+function renderOps(ops) {
+  const parts = [];
+  for (const op of ops) {
+    if (op.type === 'text') {
+      const font = op.bold ? 'F2' : 'F1';
+      parts.push(`BT /${font} ${num(op.size || 10)} Tf ${num(op.x)} ${num(op.y)} Td (${encodeText(op.text)}) Tj ET`);
+    } else if (op.type === 'line') {
+      parts.push(`${num(op.width || 0.5)} w ${num(op.x1)} ${num(op.y1)} m ${num(op.x2)} ${num(op.y2)} l S`);
+    }
+  }
+  return parts.join('\n');
+}
+
+/**
+ * Builds a PDF from pages of drawing operations:
+ *   { type: 'text', x, y, text, size?, bold? } | { type: 'line', x1, y1, x2, y2, width? }
+ * Coordinates are in points from the bottom-left corner of an A4 page.
+ * Returns a Buffer.
+ */
+export function buildPdf(pages, { title } = {}) {
+  const objects = [];
+  const add = (body) => { objects.push(body); return objects.length; };
+
+  const catalogId = add(null);
+  const pagesId = add(null);
+  const encodingId = add(
+    `<< /Type /Encoding /BaseEncoding /WinAnsiEncoding /Differences [${POLISH_FIRST_CODE} ${POLISH_GLYPHS.map(([, g]) => '/' + g).join(' ')}] >>`
+  );
+  const regularId = add(`<< /Type /Font /Subtype /Type1 /BaseFont /Helvetica /Encoding ${encodingId} 0 R >>`);
+  const boldId = add(`<< /Type /Font /Subtype /Type1 /BaseFont /Helvetica-Bold /Encoding ${encodingId} 0 R >>`);
+  const infoId = add(`<< /Title ${infoString(title)} /Producer (Cappella Marialis) >>`);
+
+  const pageIds = [];
+  for (const ops of pages.length ? pages : [[]]) {
+    const content = renderOps(ops);
+    const contentId = add(`<< /Length ${content.length} >>\nstream\n${content}\nendstream`);
+    pageIds.push(add(
+      `<< /Type /Page /Parent ${pagesId} 0 R /MediaBox [0 0 ${PAGE_WIDTH} ${PAGE_HEIGHT}] ` +
+      `/Resources << /Font << /F1 ${regularId} 0 R /F2 ${boldId} 0 R >> >> /Contents ${contentId} 0 R >>`
+    ));
+  }
+
+  objects[catalogId - 1] = `<< /Type /Catalog /Pages ${pagesId} 0 R >>`;
+  objects[pagesId - 1] = `<< /Type /Pages /Kids [${pageIds.map(id => `${id} 0 R`).join(' ')}] /Count ${pageIds.length} >>`;
+
+  // Everything above is single-byte (latin1), so string length equals byte offset
+  let out = '%PDF-1.4\n%\xe2\xe3\xcf\xd3\n';
+  const offsets = [];
+  objects.forEach((body, i) => {
+    offsets.push(out.length);
+    out += `${i + 1} 0 obj\n${body}\nendobj\n`;
+  });
+
+  const xrefOffset = out.length;
+  out += `xref\n0 ${objects.length + 1}\n0000000000 65535 f \n`;
+  for (const off of offsets) out += `${String(off).padStart(10, '0')} 00000 n \n`;
+  out += `trailer\n<< /Size ${objects.length + 1} /Root ${catalogId} 0 R /Info ${infoId} 0 R >>\nstartxref\n${xrefOffset}\n%%EOF\n`;
+
+  return Buffer.from(out, 'latin1');
+}
+
+export const PDF_PAGE = { width: PAGE_WIDTH, height: PAGE_HEIGHT };
@@ -0,0 +1,154 @@
+// Refunds through the P24 REST API (transaction/refund) and their status notifications.
+//
+// A refund is recorded in p24_events (refund_requested -> refund_completed / refund_rejected,
+// keyed by refunds_uuid) and, once P24 confirms it, on the transaction row itself:
+// refunded_grosze grows and status becomes partially_refunded or refunded. The confirmation is
+// applied by the p24_apply_refund database function, atomically and once per refunds_uuid.
+
+import crypto from 'crypto';
+import { p24PostJson, p24RefundNotificationSign } from './p24.js';
+import { safeEqual } from './auth.js';
+import { getCorrelationId, recordEvent } from './log.js';
+
+export const REFUNDABLE_STATUSES = ['paid', 'partially_refunded'];
+
+/**
+ * Sums refunds of a transaction from p24_events.
+ * pendingGrosze = requested but not yet confirmed/rejected by P24.
+ */
+export async function getRefundSummary(supabase, sessionId) {
+  const { data: events, error } = await supabase
+    .from('p24_events')
+    .select('event_type, payload_json')
+    .eq('session_id', sessionId)
+    .in('event_type', ['refund_requested', 'refund_completed', 'refund_rejected']);
+
+  if (error) throw new Error('DB read (refund events) failed: ' + error.message);
+
+  const requested = new Map();
+  const settled = new Set();
+  let completedGrosze = 0;
+
+  for (const ev of events || []) {
+    const uuid = ev.payload_json?.refunds_uuid;
+    if (!uuid) continue;
+    if (ev.event_type === 'refund_requested') {
+      requested.set(uuid, Number(ev.payload_json.amount) || 0);
+    } else {
+      settled.add(uuid);
+      if (ev.event_type === 'refund_completed') completedGrosze += Number(ev.payload_json.amount) || 0;
+    }
+  }
+
+  let pendingGrosze = 0;
+  for (const [uuid, amount] of requested) {
+    if (!settled.has(uuid)) pendingGrosze += amount;
+  }
+
+  return { completedGrosze, pendingGrosze, settledUuids: settled };
+}
+
+/**
+ * Asks P24 to refund (part of) a paid transaction. The result arrives later as a notification.
+ */
+export async function requestRefund({ supabase, cfg, tx, amountGrosze, description, urlStatus }) {
+  const { pendingGrosze } = await getRefundSummary(supabase, tx.session_id);
+  const refundable = Number(tx.amount_grosze) - Number(tx.refunded_grosze || 0) - pendingGrosze;
+
+  const amount = amountGrosze == null ? refundable : Math.trunc(Number(amountGrosze));
+  if (!Number.isFinite(amount) || amount <= 0) {
+    return { ok: false, code: 'invalid_refund_amount', refundable };
+  }
+  if (amount > refundable) {
+    return { ok: false, code: 'refund_exceeds_refundable', refundable };
+  }
+
+  const requestId = crypto.randomUUID();
+  const refundsUuid = crypto.randomUUID();
+
+  const refundBody = {
+    requestId,
+    refundsUuid,
+    urlStatus,
+    refunds: [
+      {
+        orderId: Number(tx.p24_order_id),
+        sessionId: tx.session_id,
+        amount,
+        description: String(description || `Zwrot ${tx.public_ref}`).slice(0, 35),
+      },
+    ],
+  };
+
+  const refundResp = await p24PostJson({
+    url: `${cfg.baseUrl}/transaction/refund`,
+    posId: cfg.posId,
+    apiKey: cfg.apiKey,
+    body: refundBody,
+  });
+
+  await recordEvent(supabase, {
+    event_type: 'refund_requested',
+    session_id: tx.session_id,
+    p24_order_id: tx.p24_order_id,
+    payload_json: {
+      refunds_uuid: refundsUuid,
+      request_id: requestId,
+      amount,
+      request: refundBody,
+      response: refundResp,
+    },
+  });
+
+  return { ok: true, refundsUuid, requestId, amount };
+}
+
+export function isRefundNotification(payload) {
+  return !!(payload && payload.refundsUuid && payload.sign && payload.sessionId);
+}
+
+/**
+ * Applies the P24 refund status notification (status 0 = refunded, anything else = rejected).
+ * Idempotent per refundsUuid (unique settlement event, see p24_apply_refund).
+ */
+export async function applyRefundNotification({ supabase, cfg, payload }) {
+  const expected = p24RefundNotificationSign({
+    orderId: Number(payload.orderId),
+    sessionId: String(payload.sessionId),
+    refundsUuid: String(payload.refundsUuid),
+    merchantId: Number(payload.merchantId),
+    amount: Number(payload.amount),
+    currency: String(payload.currency),
+    status: Number(payload.status),
+    crc: cfg.crc,
+  });
+
+  if (!safeEqual(expected, payload.sign)) {
+    await recordEvent(supabase, {
+      event_type: 'refund_invalid_sign',
+      session_id: String(payload.sessionId || '') || null,
+      payload_json: payload,
+    });
+    return { ok: false, error: 'Invalid sign' };
+  }
+
+  // Settlement event and transaction update in one database transaction (migration
+  // 20261019220000_p24_refund_apply.sql): a retried or concurrent notification is a duplicate
+  // only once the refund has really been applied
+  const { data, error } = await supabase.rpc('p24_apply_refund', {
+    p_session_id: String(payload.sessionId),
+    p_order_id: payload.orderId != null ? String(payload.orderId) : null,
+    p_refunds_uuid: String(payload.refundsUuid),
+    p_amount: Math.trunc(Number(payload.amount)),
+    p_completed: Number(payload.status) === 0,
+    p_payload: payload,
+    p_correlation_id: getCorrelationId(),
+  });
+
+  if (error) throw new Error(`DB refund update failed: ${error.message}`);
+  if (!data?.found) return { ok: false, error: 'Transaction not found' };
+  if (data.duplicate) return { ok: true, duplicate: true };
+  if (data.rejected) return { ok: true, rejected: true };
+
+  return { ok: true, refundedGrosze: Number(data.refunded_grosze) };
+}
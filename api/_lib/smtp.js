@@ -0,0 +1,160 @@
+// Minimal SMTP client (RFC 5321) for the "smtp" email transport: implicit TLS (port 465)
+// or STARTTLS, AUTH PLAIN/LOGIN, one message per connection. No dependencies.
+
+import net from 'node:net';
+import tls from 'node:tls';
+import os from 'node:os';
+
+const DEFAULT_TIMEOUT_MS = 15000;
+
+class SmtpError extends Error {
+  constructor(message, reply) {
+    super(message);
+    this.name = 'SmtpError';
+    this.email_response = reply ? { code: reply.code, message: reply.lines.join('\n') } : null;
+  }
+}
+
+// Reads SMTP replies ("250-..." continuation lines, "250 ..." last line) from a socket
+function replyReader(socket) {
+  let buffer = '';
+  let lines = [];
+  const replies = [];
+  const waiting = [];
+  let failure = null;
+
+  const flush = () => {
+    while (replies.length && waiting.length) waiting.shift().resolve(replies.shift());
+    if (failure) while (waiting.length) waiting.shift().reject(failure);
+  };
+
+  const onData = chunk => {
+    buffer += chunk.toString('utf8');
+    let i;
+    while ((i = buffer.indexOf('\r\n')) >= 0) {
+      const line = buffer.slice(0, i);
+      buffer = buffer.slice(i + 2);
+      lines.push(line.slice(4));
+      if (line[3] !== '-') {
+        replies.push({ code: Number(line.slice(0, 3)), lines });
+        lines = [];
+      }
+    }
+    flush();
+  };
+
+  const onError = err => {
+    failure = failure || err;
+    flush();
+  };
+
+  const attach = s => {
+    s.on('data', onData);
+    s.on('error', onError);
+    s.on('close', () => onError(new SmtpError('SMTP connection closed')));
+  };
+
+  attach(socket);
+
+  return {
+    next() {
+      return new Promise((resolve, reject) => {
+        waiting.push({ resolve, reject });
+        flush();
+      });
+    },
+    // After STARTTLS the plain socket is wrapped; replies then come from the TLS socket
+    switchTo(s) {
+      socket.removeListener('data', onData);
+      attach(s);
+    },
+  };
+}
+
+function connect({ host, port, secure, timeoutMs }) {
+  return new Promise((resolve, reject) => {
+    const socket = secure
+      ? tls.connect({ host, port, servername: host })
+      : net.connect({ host, port });
+    socket.setTimeout(timeoutMs, () => socket.destroy(new SmtpError(`SMTP timeout (${host}:${port})`)));
+    socket.once(secure ? 'secureConnect' : 'connect', () => resolve(socket));
+    socket.once('error', reject);
+  });
+}
+
+function upgrade(socket, host, timeoutMs) {
+  return new Promise((resolve, reject) => {
+    const s = tls.connect({ socket, servername: host }, () => resolve(s));
+    s.setTimeout(timeoutMs, () => s.destroy(new SmtpError(`SMTP timeout (${host})`)));
+    s.once('error', reject);
+  });
+}
+
+// Extracts the bare address from "Name <addr@example.org>"
+export function addressOf(mailbox) {
+  const m = String(mailbox || '').match(/<([^>]+)>/);
+  return (m ? m[1] : String(mailbox || '')).trim();
+}
+
+/**
+ * Sends a prepared RFC 5322 message (raw, CRLF line endings).
+ * opts: { host, port, secure, requireTls, user, pass, from, to: [addresses], raw, timeoutMs }
+ * secure: implicit TLS (default for port 465); otherwise STARTTLS is used when offered and
+ * required unless requireTls is false (local catchers such as Mailpit speak plain SMTP).
+ * Throws SmtpError with email_response { code, message } on a rejected command.
+ */
+export async function sendSmtp({ host, port = 587, secure = port === 465, requireTls = true, user, pass, from, to, raw, timeoutMs = DEFAULT_TIMEOUT_MS }) {
+  let socket = await connect({ host, port, secure, timeoutMs });
+  const replies = replyReader(socket);
+
+  // label: what the error message shows instead of the line (credentials, message body)
+  const command = async (line, expect, label = line) => {
+    if (line !== null) socket.write(line + '\r\n');
+    const reply = await replies.next();
+    if (!expect.includes(reply.code)) {
+      throw new SmtpError(`SMTP ${label || 'greeting'} failed: ${reply.code} ${reply.lines.join(' ')}`, reply);
+    }
+    return reply;
+  };
+
+  try {
+    await command(null, [220]);
+    let ehlo = await command(`EHLO ${os.hostname() || 'localhost'}`, [250]);
+
+    const startTls = ehlo.lines.some(l => /^STARTTLS\b/i.test(l));
+    if (!secure && !startTls && requireTls) {
+      throw new SmtpError('SMTP server does not offer STARTTLS');
+    }
+    if (!secure && startTls) {
+      await command('STARTTLS', [220]);
+      const plain = socket;
+      socket = await upgrade(plain, host, timeoutMs);
+      replies.switchTo(socket);
+      ehlo = await command(`EHLO ${os.hostname() || 'localhost'}`, [250]);
+    }
+
+    if (user) {
+      const auth = ehlo.lines.find(l => /^AUTH\b/i.test(l)) || '';
+      if (/\bPLAIN\b/i.test(auth) || !/\bLOGIN\b/i.test(auth)) {
+        await command('AUTH PLAIN ' + Buffer.from(`\0${user}\0${pass || ''}`).toString('base64'), [235], 'AUTH PLAIN');
+      } else {
+        await command('AUTH LOGIN', [334]);
+        await command(Buffer.from(user).toString('base64'), [334], 'AUTH LOGIN user');
+        await command(Buffer.from(pass || '').toString('base64'), [235], 'AUTH LOGIN password');
+      }
+    }
+
+    await command(`MAIL FROM:<${addressOf(from)}>`, [250]);
+    for (const rcpt of to) await command(`RCPT TO:<${addressOf(rcpt)}>`, [250, 251]);
+    await command('DATA', [354]);
+
+    // Dot-stuffing: a line starting with "." gets an extra one
+    const body = raw.replace(/\r?\n/g, '\r\n').replace(/^\./gm, '..');
+    const done = await command(body + '\r\n.', [250], 'message data');
+
+    socket.write('QUIT\r\n');
+    return { reply: done.lines.join(' ') };
+  } finally {
+    socket.end();
+  }
+}
@@ -0,0 +1,193 @@
+// Staff notifications: an email for every paid donation above a threshold and a daily digest
+// (/api/email/digest, Vercel Cron). Both go through the email outbox.
+//
+// Configuration (env):
+//   STAFF_NOTIFY_EMAILS     comma-separated recipients; empty = no staff emails at all
+//   STAFF_NOTIFY_THRESHOLD  "500" (any currency) or "PLN:500,EUR:99.50" (major units, dot as decimal point);
+//                           empty = no per-donation emails
+//   STAFF_DIGEST            "off" disables the daily digest
+//   STAFF_DIGEST_TOP        number of largest gifts in the digest (default 5)
+
+import { getEnv } from './config.js';
+import { formatAmount } from './currencies.js';
+import { PAID_STATUSES } from './donations.js';
+import { sendStaffEmail } from './email.js';
+import { escapeHtml, getBranding } from './templates.js';
+import { fetchAllRows, nextDay, warsawMidnight } from './admin.js';
+import { log } from './log.js';
+
+// initiated/registered rows older than this are reported as stuck
+const STUCK_AFTER_MS = 2 * 3600 * 1000;
+const STUCK_LOOKBACK_DAYS = 7;
+
+export function getStaffRecipients() {
+  return getEnv('STAFF_NOTIFY_EMAILS').filter(s => s.includes('@'));
+}
+
+/**
+ * "500" -> { '*': 50000 }, "PLN:500,EUR:100" -> { PLN: 50000, EUR: 10000 } (minor units).
+ */
+export function parseThresholds(spec) {
+  const out = {};
+  for (const part of String(spec || '').split(',').map(s => s.trim()).filter(Boolean)) {
+    const [a, b] = part.includes(':') ? part.split(':') : ['*', part];
+    const n = Number(String(b).replace(',', '.'));
+    if (Number.isFinite(n) && n >= 0) out[a.trim().toUpperCase()] = Math.round(n * 100);
+  }
+  return out;
+}
+
+export function isAboveThreshold(tx, thresholds) {
+  const currency = String(tx.currency || 'PLN').toUpperCase();
+  const min = thresholds[currency] ?? thresholds['*'];
+  return min !== undefined && Number(tx.amount_grosze) >= min;
+}
+
+function adminUrl() {
+  return `${getBranding().siteUrl}/admin`;
+}
+
+function formatDateTime(iso) {
+  if (!iso) return '';
+  return new Intl.DateTimeFormat('pl-PL', {
+    timeZone: 'Europe/Warsaw',
+    dateStyle: 'short',
+    timeStyle: 'short',
+  }).format(new Date(iso));
+}
+
+/**
+ * Emails staff about a freshly paid donation when it reaches the threshold.
+ * Never throws: called from the payment confirmation path.
+ */
+export async function notifyStaffOfDonation(tx) {
+  try {
+    const recipients = getStaffRecipients();
+    if (!recipients.length || !isAboveThreshold(tx, parseThresholds(getEnv('STAFF_NOTIFY_THRESHOLD')))) {
+      return { skipped: true };
+    }
+
+    const vars = {
+      amount: formatAmount(tx.amount_grosze, tx.currency, 'pl'),
+      publicRef: tx.public_ref,
+      email: tx.email || '',
+      paidAt: formatDateTime(tx.paid_at),
+      campaign: tx.campaign_slug || '',
+      recurring: !!tx.subscription_id,
+      adminUrl: adminUrl(),
+    };
+
+    for (const to of recipients) {
+      await sendStaffEmail('staff_donation', { to, sessionId: tx.session_id }, vars);
+    }
+    return { ok: true };
+  } catch (e) {
+    log.error('[staff] donation notification failed', { sessionId: tx.session_id, err: e });
+    return { error: String(e?.message || e) };
+  }
+}
+
+function sumByCurrency(rows) {
+  const sums = new Map();
+  for (const r of rows) {
+    const c = String(r.currency || 'PLN').toUpperCase();
+    sums.set(c, (sums.get(c) || 0) + Number(r.amount_grosze || 0));
+  }
+  return [...sums.entries()].map(([currency, grosze]) => ({ currency, grosze }));
+}
+
+/**
+ * Digest data for one Warsaw calendar day (YYYY-MM-DD): paid donations, the largest gifts,
+ * transactions that failed or expired that day and ones still stuck before payment.
+ */
+export async function buildDailyDigest(supabase, day, { top = 5 } = {}) {
+  const start = warsawMidnight(day).toISOString();
+  const end = warsawMidnight(nextDay(day)).toISOString();
+  const columns = 'session_id, public_ref, status, amount_grosze, currency, email, created_at, paid_at, campaign_slug, subscription_id';
+
+  const paid = await fetchAllRows(() => supabase
+    .from('p24_transactions')
+    .select(columns)
+    .in('status', PAID_STATUSES)
+    .gte('paid_at', start)
+    .lt('paid_at', end)
+    .order('paid_at', { ascending: true }));
+
+  const failed = await fetchAllRows(() => supabase
+    .from('p24_transactions')
+    .select(columns)
+    .in('status', ['failed', 'expired'])
+    .gte('created_at', start)
+    .lt('created_at', end)
+    .order('created_at', { ascending: true }));
+
+  const now = Date.now();
+  const stuck = await fetchAllRows(() => supabase
+    .from('p24_transactions')
+    .select(columns)
+    .in('status', ['initiated', 'registered'])
+    .gte('created_at', new Date(now - STUCK_LOOKBACK_DAYS * 24 * 3600 * 1000).toISOString())
+    .lt('created_at', new Date(now - STUCK_AFTER_MS).toISOString())
+    .order('created_at', { ascending: true }));
+
+  const largest = [...paid]
+    .sort((a, b) => Number(b.amount_grosze) - Number(a.amount_grosze))
+    .slice(0, top);
+
+  return {
+    day,
+    count: paid.length,
+    totals: sumByCurrency(paid),
+    largest,
+    failed,
+    stuck,
+  };
+}
+
+function listText(rows, line) {
+  return rows.map(r => '- ' + line(r)).join('\n');
+}
+
+function listHtml(rows, line) {
+  if (!rows.length) return '';
+  return '<ul style="margin:0 0 18px 0;padding-left:20px;">' +
+    rows.map(r => `<li>${escapeHtml(line(r))}</li>`).join('') +
+    '</ul>';
+}
+
+export function digestVars(digest) {
+  const gift = r => `${formatAmount(r.amount_grosze, r.currency, 'pl')} · ${r.public_ref}` +
+    (r.campaign_slug ? ` · ${r.campaign_slug}` : '') + (r.subscription_id ? ' · cykliczna' : '');
+  const problem = r => `${r.status} · ${formatAmount(r.amount_grosze, r.currency, 'pl')} · ${r.public_ref} · ${formatDateTime(r.created_at)}`;
+
+  return {
+    date: digest.day,
+    count: digest.count,
+    total: digest.totals.map(t => formatAmount(t.grosze, t.currency, 'pl')).join(', ') || formatAmount(0, 'PLN', 'pl'),
+    hasGifts: digest.largest.length > 0,
+    giftsText: listText(digest.largest, gift),
+    giftsHtml: listHtml(digest.largest, gift),
+    failedCount: digest.failed.length,
+    failedText: listText(digest.failed, problem),
+    failedHtml: listHtml(digest.failed, problem),
+    stuckCount: digest.stuck.length,
+    stuckText: listText(digest.stuck, problem),
+    stuckHtml: listHtml(digest.stuck, problem),
+    adminUrl: adminUrl(),
+  };
+}
+
+export async function sendDailyDigest(digest) {
+  const vars = digestVars(digest);
+  const results = [];
+  for (const to of getStaffRecipients()) {
+    // One failing recipient does not stop the others; the outbox retries the failed message
+    try {
+      results.push(await sendStaffEmail('staff_digest', { to }, vars));
+    } catch (e) {
+      log.error('[staff] digest email failed', { day: digest.day, err: e });
+      results.push({ error: String(e?.message || e) });
+    }
+  }
+  return results;
+}
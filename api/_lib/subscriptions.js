@@ -0,0 +1,314 @@
+// Recurring (monthly) donations charged with a saved P24 card reference (refId).
+//
+// Lifecycle of a p24_subscriptions row:
+//   pending   -> first payment registered, waiting for the donor to pay by card
+//   active    -> card refId saved, charged every interval_months by /api/p24/recurring
+//   past_due  -> last charge failed, will be retried after RECURRING_RETRY_DAYS
+//   failed    -> too many failed charges in a row, no more attempts
+//   cancelled -> cancelled by the donor (link in the thank-you email)
+
+import crypto from 'crypto';
+import { getEnv } from './config.js';
+import { makePublicRef, p24PostJson, p24RegisterSign } from './p24.js';
+import { getCorrelationId, log, recordEvent } from './log.js';
+
+export function getRecurringSettings() {
+  return {
+    maxFailedAttempts: getEnv('RECURRING_MAX_FAILED_ATTEMPTS'),
+    retryDays: getEnv('RECURRING_RETRY_DAYS'),
+    batchSize: getEnv('RECURRING_BATCH_SIZE'),
+  };
+}
+
+/**
+ * Adds calendar months, clamping to the last day of the target month (31 Jan + 1 -> 28/29 Feb).
+ */
+export function addMonths(date, months) {
+  const d = new Date(date);
+  const day = d.getUTCDate();
+  d.setUTCDate(1);
+  d.setUTCMonth(d.getUTCMonth() + months);
+  const lastDay = new Date(Date.UTC(d.getUTCFullYear(), d.getUTCMonth() + 1, 0)).getUTCDate();
+  d.setUTCDate(Math.min(day, lastDay));
+  return d;
+}
+
+export async function createSubscription({ supabase, amountGrosze, currency, email, consents, consentsVersion, meta }) {
+  const { data, error } = await supabase
+    .from('p24_subscriptions')
+    .insert({
+      status: 'pending',
+      amount_grosze: amountGrosze,
+      currency,
+      email,
+      interval_months: 1,
+      cancel_token: crypto.randomBytes(24).toString('hex'),
+      consents_json: consents,
+      consents_version: consentsVersion,
+      meta_json: meta || null,
+    })
+    .select('*')
+    .single();
+
+  if (error) throw new Error('DB insert (subscription) failed: ' + error.message);
+  return data;
+}
+
+/**
+ * Called after a subscription transaction has been verified as paid.
+ * First payment: reads the card refId from P24 and activates the subscription.
+ * Later cycles: clears the failure counter.
+ */
+export async function recordSubscriptionPayment({ supabase, cfg, tx }) {
+  const { data: sub, error } = await supabase
+    .from('p24_subscriptions')
+    .select('*')
+    .eq('id', tx.subscription_id)
+    .maybeSingle();
+
+  if (error) throw new Error(`DB read (subscription) failed: ${error.message}`);
+  if (!sub) return null;
+  if (sub.status === 'cancelled') return sub;
+
+  const paidAt = tx.paid_at || new Date().toISOString();
+  let patch;
+
+  if (sub.status === 'pending') {
+    // Card details are available once the first card payment is verified
+    const cardResp = await p24PostJson({
+      url: `${cfg.baseUrl}/card/info/${encodeURIComponent(tx.p24_order_id)}`,
+      posId: cfg.posId,
+      apiKey: cfg.apiKey,
+      body: null,
+      method: 'GET',
+    });
+
+    const card = cardResp?.data || cardResp || {};
+    if (!card.refId) throw new Error('P24 card/info: missing refId in response');
+
+    patch = {
+      status: 'active',
+      card_ref_id: String(card.refId),
+      card_mask: card.mask || null,
+      activated_at: paidAt,
+      last_charge_at: paidAt,
+      next_charge_at: addMonths(paidAt, sub.interval_months || 1).toISOString(),
+      failed_attempts: 0,
+    };
+  } else {
+    patch = {
+      status: 'active',
+      last_charge_at: paidAt,
+      failed_attempts: 0,
+    };
+  }
+
+  const { data: updated, error: updErr } = await supabase
+    .from('p24_subscriptions')
+    .update(patch)
+    .eq('id', sub.id)
+    .select('*')
+    .single();
+
+  if (updErr) throw new Error(`DB update (subscription) failed: ${updErr.message}`);
+  return updated;
+}
+
+async function recordChargeFailure({ supabase, sub, sessionId, err }) {
+  const { maxFailedAttempts, retryDays } = getRecurringSettings();
+  const attempts = (sub.failed_attempts || 0) + 1;
+  const giveUp = attempts >= maxFailedAttempts;
+
+  await supabase
+    .from('p24_subscriptions')
+    .update({
+      status: giveUp ? 'failed' : 'past_due',
+      failed_attempts: attempts,
+      next_charge_at: giveUp ? null : new Date(Date.now() + retryDays * 24 * 3600 * 1000).toISOString(),
+    })
+    .eq('id', sub.id);
+
+  if (sessionId) {
+    await supabase
+      .from('p24_transactions')
+      .update({ status: 'failed' })
+      .eq('session_id', sessionId)
+      .in('status', ['initiated', 'registered']);
+  }
+
+  await recordEvent(supabase, {
+    event_type: 'recurring_charge_failed',
+    session_id: sessionId || null,
+    payload_json: {
+      subscription_id: sub.id,
+      attempt: attempts,
+      gave_up: giveUp,
+      message: String(err?.message || err),
+      p24_code: err?.p24_code || null,
+      p24_raw_start: err?.p24_raw_start || null,
+    },
+  });
+
+  return { attempts, giveUp };
+}
+
+/**
+ * A renewal accepted by P24 that ended failed or expired later (found by /api/p24/reconcile) is a
+ * failed charge too: the subscription goes past_due and is retried like a rejected charge.
+ */
+export async function recordRenewalFailure({ supabase, tx, reason }) {
+  const { data: sub, error } = await supabase
+    .from('p24_subscriptions')
+    .select('*')
+    .eq('id', tx.subscription_id)
+    .maybeSingle();
+
+  if (error) throw new Error(`DB read (subscription) failed: ${error.message}`);
+  // The first payment (pending) and ended subscriptions are not retried
+  if (!sub || !['active', 'past_due'].includes(sub.status)) return null;
+
+  return await recordChargeFailure({ supabase, sub, sessionId: tx.session_id, err: reason });
+}
+
+/**
+ * Moves next_charge_at forward only if no other run did it first. Returns false when the
+ * subscription was already claimed (overlapping or retried cron run).
+ */
+async function claimCycle(supabase, sub, next) {
+  const { data, error } = await supabase
+    .from('p24_subscriptions')
+    .update({ next_charge_at: next.toISOString() })
+    .eq('id', sub.id)
+    .eq('next_charge_at', sub.next_charge_at)
+    .in('status', ['active', 'past_due'])
+    .select('id');
+
+  if (error) throw new Error(`DB update (subscription claim) failed: ${error.message}`);
+  return !!data?.length;
+}
+
+/**
+ * Charges one cycle of an active subscription.
+ * The payment is confirmed later by the regular P24 status notification (/api/p24/status),
+ * so the cycle goes through the same verify + thank-you flow as a one-off donation.
+ */
+export async function chargeSubscription({ supabase, cfg, sub, urlStatus, urlReturn }) {
+  // Next cycle is counted from the scheduled date, not from "now", so the day of month stays stable
+  // (unless the scheduler was down for longer than a cycle — never charge twice to catch up).
+  const interval = sub.interval_months || 1;
+  const base = sub.next_charge_at && sub.status === 'active' ? sub.next_charge_at : new Date().toISOString();
+  let next = addMonths(base, interval);
+  if (next.getTime() <= Date.now()) next = addMonths(new Date(), interval);
+
+  // Claimed before anything is charged: a second run skips this subscription
+  if (!(await claimCycle(supabase, sub, next))) {
+    return { ok: false, skipped: true, error: 'Already claimed by another run' };
+  }
+
+  if (!sub.card_ref_id) {
+    return { ok: false, error: 'Missing card_ref_id', ...(await recordChargeFailure({ supabase, sub, err: 'Missing card_ref_id' })) };
+  }
+
+  const sessionId = crypto.randomUUID();
+  const publicRef = makePublicRef(sessionId);
+  const currency = String(sub.currency || 'PLN').toUpperCase();
+  const amountGrosze = sub.amount_grosze;
+  const isEn = String(sub.meta_json?.page || '').startsWith('en/');
+
+  let token;
+  let registerBody;
+  let registerResp;
+  let chargeResp;
+
+  try {
+    const { error: insErr } = await supabase
+      .from('p24_transactions')
+      .insert({
+        session_id: sessionId,
+        public_ref: publicRef,
+        amount_grosze: amountGrosze,
+        currency,
+        status: 'initiated',
+        email: sub.email,
+        consents_json: sub.consents_json,
+        consents_version: sub.consents_version,
+        meta_json: { ...(sub.meta_json || {}), recurring: true },
+        subscription_id: sub.id,
+        correlation_id: getCorrelationId(),
+      });
+
+    if (insErr) throw new Error('DB insert failed: ' + insErr.message);
+
+    registerBody = {
+      merchantId: cfg.merchantId,
+      posId: cfg.posId,
+      sessionId,
+      amount: amountGrosze,
+      currency,
+      description: cfg.description,
+      email: sub.email,
+      country: 'PL',
+      language: isEn ? 'en' : 'pl',
+      urlReturn: `${urlReturn}?sessionId=${encodeURIComponent(sessionId)}`,
+      urlStatus,
+      methodRefId: sub.card_ref_id,
+      sign: p24RegisterSign({
+        sessionId,
+        merchantId: cfg.merchantId,
+        amount: amountGrosze,
+        currency,
+        crc: cfg.crc,
+      }),
+    };
+
+    registerResp = await p24PostJson({
+      url: `${cfg.baseUrl}/transaction/register`,
+      posId: cfg.posId,
+      apiKey: cfg.apiKey,
+      body: registerBody,
+    });
+
+    token = registerResp?.data?.token || registerResp?.token;
+    if (!token) throw new Error('P24 register: missing token in response');
+
+    chargeResp = await p24PostJson({
+      url: `${cfg.baseUrl}/card/chargeWithout3ds`,
+      posId: cfg.posId,
+      apiKey: cfg.apiKey,
+      body: { token },
+    });
+  } catch (err) {
+    log.error('Recurring charge error', { subscriptionId: sub.id, err });
+    const failure = await recordChargeFailure({ supabase, sub, sessionId, err });
+    return { ok: false, sessionId, error: String(err?.message || err), ...failure };
+  }
+
+  // Charged: errors from here on are bookkeeping only and never a failed charge (no retry that
+  // would charge the card again). The payment is confirmed by the status notification.
+  const orderId = chargeResp?.data?.orderId || chargeResp?.orderId || null;
+
+  try {
+    const { error: updErr } = await supabase
+      .from('p24_transactions')
+      .update({
+        status: 'registered',
+        p24_order_id: orderId ? String(orderId) : null,
+        p24_token: token,
+        register_payload: { request: registerBody, response: registerResp, charge: chargeResp },
+      })
+      .eq('session_id', sessionId);
+
+    if (updErr) throw new Error('DB update failed: ' + updErr.message);
+
+    await recordEvent(supabase, {
+      event_type: 'recurring_charge',
+      session_id: sessionId,
+      p24_order_id: orderId ? String(orderId) : null,
+      payload_json: { subscription_id: sub.id, response: chargeResp },
+    });
+  } catch (err) {
+    log.error('Recurring charge bookkeeping failed', { subscriptionId: sub.id, sessionId, err });
+  }
+
+  return { ok: true, sessionId, orderId };
+}
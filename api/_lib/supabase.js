@@ -1,14 +1,19 @@
 import { createClient } from '@supabase/supabase-js';
+import { getEnv } from './config.js';
+
+let cached = null;
 
 export function getSupabaseAdmin() {
-  const url = process.env.SUPABASE_URL;
-  const serviceKey = process.env.SUPABASE_SERVICE_ROLE_KEY;
+  const url = getEnv('SUPABASE_URL');
+  const serviceKey = getEnv('SUPABASE_SERVICE_ROLE_KEY');
 
-  if (!url || !serviceKey) {
-    throw new Error('Missing SUPABASE_URL or SUPABASE_SERVICE_ROLE_KEY env vars');
+  // One client per warm instance; recreated when the env changes (tests, key rotation)
+  if (!cached || cached.url !== url || cached.serviceKey !== serviceKey) {
+    cached = {
+      url,
+      serviceKey,
+      client: createClient(url, serviceKey, { auth: { persistSession: false } }),
+    };
   }
-
-  return createClient(url, serviceKey, {
-    auth: { persistSession: false },
-  });
+  return cached.client;
 }
@@ -0,0 +1,121 @@
+// Transactional email templates (subject, text, html) per language.
+// Defaults live in email-templates.js; rows in the email_templates table override them,
+// so wording can be changed in Supabase without a deploy.
+//
+// Syntax (small Mustache subset):
+//   {{name}}            value (HTML-escaped in html templates)
+//   {{{name}}}          raw value (only for trusted values, e.g. {{{content}}} in the layout
+//                       or lists already escaped by the code, such as {{{giftsHtml}}})
+//   {{#name}}...{{/name}}  block shown when name is truthy
+//   {{^name}}...{{/name}}  block shown when name is falsy
+
+import { getEnv } from './config.js';
+import { getSupabaseAdmin } from './supabase.js';
+import { DEFAULT_TEMPLATES } from './email-templates.js';
+import { log } from './log.js';
+
+export const TEMPLATE_LANGS = ['pl', 'en'];
+
+const CACHE_TTL_MS = 60 * 1000;
+const cache = new Map();
+
+export function escapeHtml(s) {
+  return String(s ?? '')
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&#39;');
+}
+
+export function renderTemplate(template, vars, { html = false } = {}) {
+  let out = String(template || '');
+
+  // Sections first (innermost match is enough for the flat templates we use)
+  out = out.replace(/\{\{([#^])\s*([\w.]+)\s*\}\}([\s\S]*?)\{\{\/\s*\2\s*\}\}/g, (_, kind, name, inner) => {
+    const v = vars[name];
+    const truthy = Array.isArray(v) ? v.length > 0 : !!v;
+    return (kind === '#' ? truthy : !truthy) ? inner : '';
+  });
+
+  out = out.replace(/\{\{\{\s*([\w.]+)\s*\}\}\}/g, (_, name) => String(vars[name] ?? ''));
+  out = out.replace(/\{\{\s*([\w.]+)\s*\}\}/g, (_, name) => (html ? escapeHtml(vars[name]) : String(vars[name] ?? '')));
+
+  return out;
+}
+
+function normalizeLang(lang) {
+  return TEMPLATE_LANGS.includes(lang) ? lang : 'pl';
+}
+
+/**
+ * Template from the DB (if present) merged over the default.
+ * DB errors fall back to defaults: an email must not fail because of a template lookup.
+ */
+export async function loadTemplate(key, lang) {
+  const l = normalizeLang(lang);
+  const def = DEFAULT_TEMPLATES[key]?.[l] || DEFAULT_TEMPLATES[key]?.pl;
+  if (!def) throw new Error(`Unknown email template: ${key}`);
+
+  const cacheKey = `${key}|${l}`;
+  const hit = cache.get(cacheKey);
+  if (hit && hit.expires > Date.now()) return hit.template;
+
+  let row = null;
+  try {
+    const { data, error } = await getSupabaseAdmin()
+      .from('email_templates')
+      .select('subject, text_body, html_body')
+      .eq('key', key)
+      .eq('lang', l)
+      .maybeSingle();
+    if (error) throw new Error(error.message);
+    row = data;
+  } catch (e) {
+    log.error('[email templates] DB read failed, using defaults', { err: e });
+  }
+
+  const template = {
+    subject: row?.subject || def.subject || '',
+    text: row?.text_body || def.text || '',
+    html: row?.html_body || def.html || '',
+  };
+
+  cache.set(cacheKey, { template, expires: Date.now() + CACHE_TTL_MS });
+  return template;
+}
+
+export function getBranding() {
+  const siteUrl = getEnv('SITE_URL');
+  return {
+    orgName: getEnv('ORG_NAME'),
+    supportUrl: getEnv('SUPPORT_URL'),
+    siteUrl,
+    logoUrl: getEnv('EMAIL_LOGO_URL') || `${siteUrl}/images/CM_logo.png`,
+    primaryColor: '#0f3460',
+    accentColor: '#d4af37',
+  };
+}
+
+/**
+ * Renders { subject, text, html } for a template key and language.
+ * The html body is wrapped in the "layout" template (logo, colours, footer).
+ * overrides: { subject?, text?, html? } — unsaved draft used by the admin preview.
+ */
+export async function renderEmail(key, lang, vars, overrides = null) {
+  const l = normalizeLang(lang);
+  const t = { ...(await loadTemplate(key, l)), ...(overrides || {}) };
+  const layout = await loadTemplate('layout', l);
+  const all = { ...getBranding(), ...vars, lang: l };
+
+  const subject = renderTemplate(t.subject, all).replace(/\s+/g, ' ').trim();
+  const text = renderTemplate(t.text, all).replace(/\n{3,}/g, '\n\n').trim() + '\n';
+  const content = renderTemplate(t.html, all, { html: true });
+  const html = renderTemplate(layout.html, { ...all, subject, content }, { html: true });
+
+  return { subject, text, html };
+}
+
+export function clearTemplateCache() {
+  cache.clear();
+}
@@ -0,0 +1,264 @@
+// Machine translation of the news posts (source language: Polish).
+//
+// secret_config.translation_provider picks the provider:
+//   deepl           DeepL (default); keys ending in ":fx" use DeepL API Free, others DeepL API Pro
+//   deepl_free      DeepL API Free  (api-free.deepl.com)
+//   deepl_pro       DeepL API Pro   (api.deepl.com)
+//   libretranslate  a self-hosted LibreTranslate-compatible server: libretranslate_url
+//                   (+ libretranslate_api_key when the server requires one)
+// DeepL uses deepl_api_key.
+//
+// Glossary (table translation_glossary, edited with /api/admin/glossary): a term with a translation
+// is always rendered that way ("Msza Es-dur" -> en "Mass in E-flat major"); a term without one is
+// protected and stays as written ("Cappella Marialis", composer names). lang '*' applies to every
+// language; a row for the language itself wins. Terms are cut out before the text reaches the
+// provider and put back afterwards, so they work the same with every provider.
+
+import crypto from 'crypto';
+import { ConfigError, getSettings } from './config.js';
+import { log } from './log.js';
+
+export const SOURCE_LANG = 'pl';
+
+const DEEPL_FREE_URL = 'https://api-free.deepl.com';
+const DEEPL_PRO_URL = 'https://api.deepl.com';
+
+// DeepL target_lang codes; other languages are just the upper-cased code (de -> DE)
+const DEEPL_TARGETS = { en: 'EN', pt: 'PT-PT' };
+
+// DeepL leaves the content of this tag untouched (tag_handling=xml, ignore_tags)
+const KEEP_TAG = 'keep';
+
+// Placeholders for providers without tag handling; MT engines copy them through unchanged
+const PLACEHOLDER = i => `⟦${i}⟧`;
+const PLACEHOLDER_RE = /⟦\s*(\d+)\s*⟧/g;
+
+function deeplTarget(lang) {
+  return DEEPL_TARGETS[lang] || lang.toUpperCase();
+}
+
+function escapeXml(s) {
+  return s.replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;');
+}
+
+function unescapeXml(s) {
+  return s.replace(/&lt;/g, '<').replace(/&gt;/g, '>').replace(/&amp;/g, '&');
+}
+
+function escapeRegExp(s) {
+  return s.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+/**
+ * Resolved provider settings: { provider, baseUrl, apiKey }. provider is never plain 'deepl'
+ * (resolved to deepl_free / deepl_pro). Throws ConfigError when the provider's settings are missing.
+ */
+export async function getTranslationConfig(supabase) {
+  const cfg = await getSettings(supabase, [
+    'translation_provider',
+    'deepl_api_key',
+    'libretranslate_url',
+    'libretranslate_api_key',
+  ]);
+
+  if (cfg.translation_provider === 'libretranslate') {
+    if (!cfg.libretranslate_url) {
+      throw new ConfigError({ key: 'secret_config.libretranslate_url', problem: 'is required for libretranslate' });
+    }
+    return { provider: 'libretranslate', baseUrl: cfg.libretranslate_url, apiKey: cfg.libretranslate_api_key || null };
+  }
+
+  const apiKey = cfg.deepl_api_key;
+  if (!apiKey) {
+    throw new ConfigError({ key: 'secret_config.deepl_api_key', problem: `is required for ${cfg.translation_provider}` });
+  }
+
+  // Free API keys end with ":fx"
+  const provider = cfg.translation_provider === 'deepl'
+    ? (apiKey.endsWith(':fx') ? 'deepl_free' : 'deepl_pro')
+    : cfg.translation_provider;
+
+  return { provider, baseUrl: provider === 'deepl_free' ? DEEPL_FREE_URL : DEEPL_PRO_URL, apiKey };
+}
+
+// ---- providers: translate(texts, lang, { xml }) -> texts in the same order ----
+
+async function translateDeepL({ baseUrl, apiKey }, texts, lang, { xml }) {
+  const params = new URLSearchParams();
+  for (const t of texts) params.append('text', t);
+  params.set('source_lang', SOURCE_LANG.toUpperCase());
+  params.set('target_lang', deeplTarget(lang));
+  if (xml) {
+    params.set('tag_handling', 'xml');
+    params.set('ignore_tags', KEEP_TAG);
+    // As for plain text: new lines still end sentences
+    params.set('split_sentences', '1');
+  }
+
+  const resp = await fetch(`${baseUrl}/v2/translate`, {
+    method: 'POST',
+    headers: {
+      'Authorization': `DeepL-Auth-Key ${apiKey}`,
+      'Content-Type': 'application/x-www-form-urlencoded',
+    },
+    body: params.toString(),
+  });
+
+  if (!resp.ok) throw new Error(`DeepL HTTP ${resp.status}`);
+
+  const json = await resp.json();
+  return (json?.translations || []).map(x => x?.text || '');
+}
+
+async function translateLibre({ baseUrl, apiKey }, texts, lang) {
+  const resp = await fetch(`${baseUrl}/translate`, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify({
+      q: texts,
+      source: SOURCE_LANG,
+      target: lang,
+      format: 'text',
+      ...(apiKey ? { api_key: apiKey } : {}),
+    }),
+  });
+
+  const json = await resp.json().catch(() => ({}));
+  if (!resp.ok) throw new Error(`LibreTranslate HTTP ${resp.status}: ${String(json?.error || '').slice(0, 200)}`);
+
+  const out = json?.translatedText;
+  return Array.isArray(out) ? out.map(x => String(x ?? '')) : [String(out ?? '')];
+}
+
+// ---- glossary ----
+
+/**
+ * All rows of translation_glossary: [{ term, lang, translation, note }].
+ */
+export async function listGlossary(supabase) {
+  const { data, error } = await supabase
+    .from('translation_glossary')
+    .select('term, lang, translation, note, updated_at')
+    .order('term', { ascending: true });
+
+  if (error) throw new Error('DB read (translation_glossary) failed: ' + error.message);
+  return data || [];
+}
+
+/**
+ * Glossary entries for one language: the language's own rows override '*' rows of the same term.
+ * Longest terms first, so "Msza Es-dur" is matched before "Msza".
+ */
+function entriesFor(glossary, lang) {
+  const byTerm = new Map();
+  for (const row of glossary) {
+    const term = String(row.term || '').trim();
+    if (!term || (row.lang !== '*' && row.lang !== lang)) continue;
+    const key = term.toLowerCase();
+    if (row.lang === '*' && byTerm.has(key)) continue;
+    byTerm.set(key, { term, translation: row.translation ? String(row.translation) : null });
+  }
+  return [...byTerm.values()].sort((a, b) => b.term.length - a.term.length);
+}
+
+function termsRegExp(entries) {
+  if (!entries.length) return null;
+  // Whole words only: "Bach" but not "Bachem"; case-insensitive
+  const alternatives = entries.map(e => escapeRegExp(e.term)).join('|');
+  return new RegExp(`(?<![\\p{L}\\p{N}])(?:${alternatives})(?![\\p{L}\\p{N}])`, 'giu');
+}
+
+/**
+ * Replaces glossary terms: returns { text, spans } where spans[i] is the final wording of span i.
+ * xml: terms become <keep>wording</keep> (the rest is XML-escaped), otherwise numbered placeholders.
+ */
+function protectTerms(text, entries, re, xml) {
+  const spans = [];
+  if (!re) return { text: xml ? escapeXml(text) : text, spans };
+
+  const byTerm = new Map(entries.map(e => [e.term.toLowerCase(), e]));
+  let out = '';
+  let last = 0;
+
+  for (const m of text.matchAll(re)) {
+    const entry = byTerm.get(m[0].toLowerCase());
+    // Protected terms keep the spelling of the post
+    const wording = entry?.translation || m[0];
+    const before = text.slice(last, m.index);
+
+    out += xml ? escapeXml(before) : before;
+    out += xml ? `<${KEEP_TAG}>${escapeXml(wording)}</${KEEP_TAG}>` : PLACEHOLDER(spans.length);
+    spans.push(wording);
+    last = m.index + m[0].length;
+  }
+
+  const rest = text.slice(last);
+  return { text: out + (xml ? escapeXml(rest) : rest), spans };
+}
+
+function restoreTerms(text, spans, xml) {
+  if (xml) {
+    const tagRe = new RegExp(`</?${KEEP_TAG}>`, 'g');
+    return unescapeXml(text.replace(tagRe, ''));
+  }
+  if (!spans.length) return text;
+
+  let restored = 0;
+  const out = text.replace(PLACEHOLDER_RE, (whole, n) => {
+    const wording = spans[Number(n)];
+    if (wording == null) return whole;
+    restored++;
+    return wording;
+  });
+  if (restored < spans.length) {
+    log.warn('[translate] provider dropped glossary placeholders', { expected: spans.length, restored });
+  }
+  return out;
+}
+
+// ---- translator ----
+
+/**
+ * Translator for the configured provider with the glossary loaded once:
+ *   translateMany(texts, lang)  -> translated texts, same order ('' stays '')
+ *   version(lang)               -> fingerprint of provider + glossary for lang; cached translations
+ *                                  made with another version are redone
+ * Throws ConfigError when the provider is not configured.
+ */
+export async function getTranslator(supabase) {
+  const config = await getTranslationConfig(supabase);
+  const glossary = await listGlossary(supabase);
+  const isDeepL = config.provider !== 'libretranslate';
+
+  async function translateMany(texts, lang) {
+    const clean = (texts || []).map(t => String(t ?? ''));
+    if (!clean.length) return [];
+
+    // Only empty texts: save the request
+    if (clean.every(t => !t)) return clean.map(() => '');
+
+    const entries = entriesFor(glossary, lang);
+    const re = termsRegExp(entries);
+
+    // DeepL gets XML only when there is something to protect: plain text otherwise, as before
+    const xml = isDeepL && !!re && clean.some(t => { re.lastIndex = 0; return re.test(t); });
+    const prepared = clean.map(t => protectTerms(t, entries, re, xml));
+
+    const raw = isDeepL
+      ? await translateDeepL(config, prepared.map(p => p.text), lang, { xml })
+      : await translateLibre(config, prepared.map(p => p.text), lang);
+
+    // Safety net: the provider should return as many texts as it was sent
+    return clean.map((t, i) => (t && raw[i] ? restoreTerms(raw[i], prepared[i].spans, xml) : ''));
+  }
+
+  function version(lang) {
+    const entries = entriesFor(glossary, lang).map(e => [e.term, e.translation]);
+    return crypto.createHash('sha256')
+      .update(JSON.stringify([config.provider, entries]))
+      .digest('hex')
+      .slice(0, 16);
+  }
+
+  return { provider: config.provider, translateMany, version };
+}
@@ -0,0 +1,95 @@
+// Manual translations of news posts (table news_translation_overrides, edited with
+// /api/admin/translations). An override is keyed by the post's content_hash (hash of the normalized
+// Polish title + body) and language, and replaces the machine translation when the post is served:
+// the cached machine output is never edited, so refreshes cannot overwrite an override and removing
+// one brings the machine translation back. title or body may be left empty to keep that field's
+// machine translation.
+//
+// Orphans: when the Polish text of a post changes, its content_hash changes and the override no
+// longer applies. The news refresh recognizes the post by its link and sets orphaned_at, so admins
+// can find and re-attach the override; changes of the date, image or whitespace do not orphan.
+
+import { log } from './log.js';
+
+export const CONTENT_HASH_RE = /^[0-9a-f]{64}$/;
+
+/**
+ * Overrides of one language for the given content hashes: Map content_hash -> row.
+ */
+export async function getOverrides(supabase, lang, contentHashes) {
+  const hashes = [...new Set((contentHashes || []).filter(Boolean))];
+  if (!hashes.length) return new Map();
+
+  const { data, error } = await supabase
+    .from('news_translation_overrides')
+    .select('content_hash, title, body')
+    .eq('lang', lang)
+    .in('content_hash', hashes);
+
+  if (error) throw new Error('DB read (news_translation_overrides) failed: ' + error.message);
+  return new Map((data || []).map(r => [r.content_hash, r]));
+}
+
+/**
+ * Posts with the overridden fields replaced; overridden posts get override: true.
+ */
+export function applyOverrides(posts, overrides) {
+  if (!overrides?.size) return posts;
+  return posts.map(p => {
+    const o = overrides.get(p?.content_hash);
+    if (!o || (!o.title && !o.body)) return p;
+    return { ...p, title: o.title || p.title, body: o.body || p.body, override: true };
+  });
+}
+
+/**
+ * Machine translations with this language's overrides applied. Never throws: when the overrides
+ * cannot be read the machine translation is served.
+ */
+export async function withOverrides(supabase, lang, posts) {
+  try {
+    const overrides = await getOverrides(supabase, lang, (posts || []).map(p => p?.content_hash));
+    return applyOverrides(posts || [], overrides);
+  } catch (err) {
+    log.error('[translation-overrides] read failed', { lang, err });
+    return posts || [];
+  }
+}
+
+/**
+ * Marks overrides whose post (same link) now has a different Polish text as orphaned, and clears
+ * the mark when the text is back. posts: freshly fetched Polish posts with content_hash.
+ * Never throws: runs on the news refresh.
+ */
+export async function markOrphanedOverrides(supabase, posts) {
+  const byLink = new Map((posts || []).filter(p => p?.link && p.content_hash).map(p => [p.link, p.content_hash]));
+  if (!byLink.size) return;
+
+  try {
+    const { data, error } = await supabase
+      .from('news_translation_overrides')
+      .select('content_hash, lang, post_link, orphaned_at')
+      .in('post_link', [...byLink.keys()]);
+
+    if (error) throw new Error(error.message);
+
+    const now = new Date().toISOString();
+    for (const row of data || []) {
+      const orphaned = byLink.get(row.post_link) !== row.content_hash;
+      if (orphaned === !!row.orphaned_at) continue;
+
+      const { error: updateErr } = await supabase
+        .from('news_translation_overrides')
+        .update({ orphaned_at: orphaned ? now : null })
+        .eq('content_hash', row.content_hash)
+        .eq('lang', row.lang);
+      if (updateErr) throw new Error(updateErr.message);
+
+      if (orphaned) {
+        log.warn('[translation-overrides] Polish text changed, override orphaned', { lang: row.lang, link: row.post_link });
+      }
+    }
+  } catch (err) {
+    log.error('[translation-overrides] orphan check failed', { err });
+  }
+}
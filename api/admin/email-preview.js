@@ -0,0 +1,91 @@
+import { getSupabaseAdmin } from '../_lib/supabase.js';
+import { readJson } from '../_lib/body.js';
+import { isAdminRequest } from '../_lib/auth.js';
+import { thankYouVars } from '../_lib/email.js';
+import { renderEmail, TEMPLATE_LANGS } from '../_lib/templates.js';
+import { DEFAULT_TEMPLATES, SAMPLE_VARS } from '../_lib/email-templates.js';
+import { sendError } from '../_lib/errors.js';
+import { log, startRequest } from '../_lib/log.js';
+
+// Admin preview of transactional emails (Authorization: Bearer <admin_secret> or ?s=)
+// - GET ?template=thank_you&lang=en&format=html|text|json[&sessionId=...]
+//   renders the saved template with sample data, or with a real transaction (thank_you)
+// - POST { template, lang, subject?, text?, html?, format? } — preview an unsaved draft
+
+const PREVIEWABLE = Object.keys(DEFAULT_TEMPLATES).filter(k => k !== 'layout');
+
+async function transactionVars(supabase, sessionId, lang) {
+  const { data: tx, error } = await supabase
+    .from('p24_transactions')
+    .select('public_ref, amount_grosze, currency, paid_at, p24_order_id, subscription_id')
+    .eq('session_id', sessionId)
+    .maybeSingle();
+
+  if (error) throw new Error('DB read failed: ' + error.message);
+  if (!tx) return null;
+
+  return thankYouVars({
+    amountGrosze: tx.amount_grosze,
+    currency: tx.currency,
+    publicRef: tx.public_ref,
+    p24OrderId: tx.p24_order_id,
+    paidAtIso: tx.paid_at,
+    cancelUrl: tx.subscription_id ? SAMPLE_VARS.thank_you.cancelUrl : null,
+    lang,
+  });
+}
+
+export default async function handler(req, res) {
+  startRequest(req, res, 'admin/email-preview');
+
+  if (req.method !== 'GET' && req.method !== 'POST') {
+    sendError(res, req, 'method_not_allowed');
+    return;
+  }
+
+  const fail = (code, opts) => sendError(res, req, code, opts);
+
+  try {
+    const supabase = getSupabaseAdmin();
+    if (!(await isAdminRequest(req, supabase))) return fail('unauthorized');
+
+    const u = new URL(req.url, 'http://localhost');
+    const params = req.method === 'POST' ? ((await readJson(req)) || {}) : Object.fromEntries(u.searchParams);
+
+    const template = String(params.template || 'thank_you');
+    const lang = TEMPLATE_LANGS.includes(params.lang) ? params.lang : 'pl';
+    const format = ['html', 'text', 'json'].includes(params.format) ? params.format : 'html';
+
+    if (!PREVIEWABLE.includes(template)) return fail('unknown_template', { extra: { available: PREVIEWABLE } });
+
+    let vars = SAMPLE_VARS[template] || {};
+    if (template === 'thank_you' && params.sessionId) {
+      const real = await transactionVars(supabase, String(params.sessionId), lang);
+      if (!real) return fail('transaction_not_found');
+      vars = real;
+    }
+
+    const draft = req.method === 'POST'
+      ? Object.fromEntries(['subject', 'text', 'html'].filter(k => typeof params[k] === 'string' && params[k]).map(k => [k, params[k]]))
+      : null;
+
+    const email = await renderEmail(template, lang, vars, draft);
+
+    res.statusCode = 200;
+    res.setHeader('Cache-Control', 'private, no-store');
+
+    if (format === 'json') {
+      res.setHeader('Content-Type', 'application/json; charset=utf-8');
+      res.end(JSON.stringify({ template, lang, ...email }));
+    } else if (format === 'text') {
+      res.setHeader('Content-Type', 'text/plain; charset=utf-8');
+      res.end(`Subject: ${email.subject}\n\n${email.text}`);
+    } else {
+      res.setHeader('Content-Type', 'text/html; charset=utf-8');
+      res.end(email.html);
+    }
+  } catch (err) {
+    log.error('Request failed', { err });
+    fail('server_error');
+  }
+}
@@ -0,0 +1,97 @@
+import { getSupabaseAdmin } from '../_lib/supabase.js';
+import { isAdminRequest } from '../_lib/auth.js';
+import { readJson } from '../_lib/body.js';
+import { OUTBOX_LIST_COLUMNS, OUTBOX_STATUSES, resendOutboxEmail } from '../_lib/outbox.js';
+import { sendError } from '../_lib/errors.js';
+import { log, startRequest } from '../_lib/log.js';
+
+// Email outbox for admins (Authorization: Bearer <admin_secret>)
+// GET  ?status=failed,dead (default)  &sessionId  &limit (max 200)  &offset  -> messages, newest first
+// GET  ?id=<uuid>                                                          -> one message with bodies
+// POST { id }  resends a failed or dead message now (attempts start from zero)
+
+const UUID_RE = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i;
+
+function json(res, status, body) {
+  res.statusCode = status;
+  res.end(JSON.stringify(body));
+}
+
+export default async function handler(req, res) {
+  startRequest(req, res, 'admin/emails');
+
+  res.setHeader('Content-Type', 'application/json; charset=utf-8');
+  res.setHeader('Cache-Control', 'private, no-store');
+
+  if (req.method !== 'GET' && req.method !== 'POST') {
+    return sendError(res, req, 'method_not_allowed');
+  }
+
+  try {
+    const supabase = getSupabaseAdmin();
+
+    if (!(await isAdminRequest(req, supabase))) {
+      return sendError(res, req, 'unauthorized');
+    }
+
+    if (req.method === 'POST') {
+      const body = await readJson(req);
+      const id = String(body?.id || '');
+      if (!UUID_RE.test(id)) return sendError(res, req, 'invalid_id');
+
+      let result;
+      try {
+        result = await resendOutboxEmail(supabase, id);
+      } catch (err) {
+        // The transport error is stored on the message (last_error) and shown in its details
+        log.error('[admin/emails] resend failed', { outboxId: id, err });
+        return sendError(res, req, 'email_send_failed', { extra: { id } });
+      }
+
+      if (!result) return sendError(res, req, 'email_not_resendable');
+      if (result.skipped) {
+        const code = result.reason === 'dead' ? 'email_expired'
+          : result.reason === 'claimed' ? 'email_in_progress'
+            : 'email_not_configured';
+        return sendError(res, req, code);
+      }
+      return json(res, 200, { ok: true, id: result.id || null });
+    }
+
+    const u = new URL(req.url, 'http://localhost');
+    const id = u.searchParams.get('id');
+
+    if (id) {
+      if (!UUID_RE.test(id)) return sendError(res, req, 'invalid_id');
+      const { data, error } = await supabase.from('email_outbox').select('*').eq('id', id).maybeSingle();
+      if (error) throw new Error('DB read failed: ' + error.message);
+      if (!data) return sendError(res, req, 'not_found');
+      return json(res, 200, { message: data });
+    }
+
+    const statuses = String(u.searchParams.get('status') || 'failed,dead')
+      .split(',')
+      .map(s => s.trim())
+      .filter(s => OUTBOX_STATUSES.includes(s));
+    const sessionId = u.searchParams.get('sessionId');
+    const limit = Math.min(200, Math.max(1, Number(u.searchParams.get('limit')) || 50));
+    const offset = Math.max(0, Number(u.searchParams.get('offset')) || 0);
+
+    let query = supabase
+      .from('email_outbox')
+      .select(OUTBOX_LIST_COLUMNS, { count: 'exact' });
+    if (statuses.length) query = query.in('status', statuses);
+    if (sessionId) query = query.eq('session_id', sessionId);
+
+    const { data, error, count } = await query
+      .order('created_at', { ascending: false })
+      .range(offset, offset + limit - 1);
+
+    if (error) throw new Error('DB read failed: ' + error.message);
+
+    return json(res, 200, { messages: data || [], total: count ?? null, limit, offset, statuses });
+  } catch (err) {
+    log.error('Request failed', { err });
+    return sendError(res, req, 'server_error');
+  }
+}
@@ -0,0 +1,117 @@
+import { getSupabaseAdmin } from '../_lib/supabase.js';
+import { getEnv } from '../_lib/config.js';
+import { isAdminRequest } from '../_lib/auth.js';
+import { isYmd } from '../_lib/admin.js';
+import {
+  DEFAULT_EXPORT_COLUMNS,
+  listExportColumns,
+  loadAccountingRows,
+  parseColumns,
+  summarize,
+  toCsv,
+} from '../_lib/accounting.js';
+import { sendError } from '../_lib/errors.js';
+import { log, recordEvent, startRequest } from '../_lib/log.js';
+
+// GET /api/admin/export (Authorization: Bearer <admin_secret>)
+//   month=YYYY-MM  or  from=YYYY-MM-DD&to=YYYY-MM-DD (inclusive; default: previous month)
+//   format=csv|json (default csv)
+//   columns=public_ref:Numer,amount:Kwota,...  (key[:header label]; default EXPORT_COLUMNS env)
+//   delimiter=; | , | tab   decimal=, | .   header=0   subtotals=0
+// Donations booked on paid_at, refunds as negative rows on the day P24 confirmed them.
+
+function previousMonth(now = new Date()) {
+  const d = new Date(Date.UTC(now.getUTCFullYear(), now.getUTCMonth() - 1, 1));
+  return d.toISOString().slice(0, 7);
+}
+
+function monthRange(ym) {
+  const [y, m] = ym.split('-').map(Number);
+  const last = new Date(Date.UTC(y, m, 0)).getUTCDate();
+  return { from: `${ym}-01`, to: `${ym}-${String(last).padStart(2, '0')}` };
+}
+
+function parseDelimiter(v) {
+  if (v === 'tab' || v === '\t') return '\t';
+  if (v === ',' || v === ';') return v;
+  return null;
+}
+
+export default async function handler(req, res) {
+  startRequest(req, res, 'admin/export');
+
+  if (req.method !== 'GET') {
+    sendError(res, req, 'method_not_allowed');
+    return;
+  }
+
+  const fail = (code, opts) => sendError(res, req, code, opts);
+
+  try {
+    const supabase = getSupabaseAdmin();
+
+    if (!(await isAdminRequest(req, supabase))) return fail('unauthorized');
+
+    const u = new URL(req.url, 'http://localhost');
+    const q = u.searchParams;
+
+    const month = q.get('month');
+    let range;
+    if (month) {
+      if (!/^\d{4}-(0[1-9]|1[0-2])$/.test(month)) return fail('invalid_month');
+      range = monthRange(month);
+    } else if (q.get('from') || q.get('to')) {
+      if (!isYmd(q.get('from')) || !isYmd(q.get('to'))) return fail('invalid_range');
+      range = { from: q.get('from'), to: q.get('to') };
+    } else {
+      range = monthRange(previousMonth());
+    }
+    if (range.from > range.to) return fail('invalid_range');
+
+    const format = q.get('format') === 'json' ? 'json' : 'csv';
+    const cols = parseColumns(q.get('columns') || getEnv('EXPORT_COLUMNS') || DEFAULT_EXPORT_COLUMNS);
+    if (cols.error) {
+      return fail(cols.column ? 'unknown_column' : 'no_columns', {
+        params: { column: cols.column },
+        extra: { available: listExportColumns() },
+      });
+    }
+
+    const rows = await loadAccountingRows(supabase, range);
+    const { subtotals, totals } = summarize(rows);
+
+    await recordEvent(supabase, {
+      event_type: 'accounting_export',
+      payload_json: { ...range, format, rows: rows.length },
+    });
+
+    const filename = `darowizny-${range.from}_${range.to}`;
+
+    if (format === 'json') {
+      const pick = r => Object.fromEntries(cols.columns.map(c => [c.label, r[c.key] ?? null]));
+      res.statusCode = 200;
+      res.setHeader('Content-Type', 'application/json; charset=utf-8');
+      res.setHeader('Content-Disposition', `attachment; filename="${filename}.json"`);
+      res.setHeader('Cache-Control', 'private, no-store');
+      res.end(JSON.stringify({ ...range, rows: rows.map(pick), subtotals, totals }, null, 2));
+      return;
+    }
+
+    const csv = toCsv(rows, {
+      columns: cols.columns,
+      delimiter: parseDelimiter(q.get('delimiter') || getEnv('EXPORT_CSV_DELIMITER')) || ';',
+      decimal: (q.get('decimal') || getEnv('EXPORT_CSV_DECIMAL')) === '.' ? '.' : ',',
+      header: q.get('header') !== '0',
+      subtotals: q.get('subtotals') !== '0',
+    });
+
+    res.statusCode = 200;
+    res.setHeader('Content-Type', 'text/csv; charset=utf-8');
+    res.setHeader('Content-Disposition', `attachment; filename="${filename}.csv"`);
+    res.setHeader('Cache-Control', 'private, no-store');
+    res.end(csv);
+  } catch (err) {
+    log.error('Request failed', { err });
+    fail('server_error');
+  }
+}
@@ -0,0 +1,95 @@
+import { getSupabaseAdmin } from '../_lib/supabase.js';
+import { isAdminRequest } from '../_lib/auth.js';
+import { readJson } from '../_lib/body.js';
+import { listGlossary } from '../_lib/translate.js';
+import { sendError } from '../_lib/errors.js';
+import { log, startRequest } from '../_lib/log.js';
+
+// Glossary of the news translations for admins (Authorization: Bearer <admin_secret>)
+// GET                                                   -> entries, sorted by term
+// POST   { term, lang = '*', translation, note }        -> adds or replaces an entry
+//        translation empty: the term is protected (kept as written)
+// DELETE ?term=...&lang=*                               -> removes an entry
+// Changes apply from the next news refresh: the posts of the affected languages are translated again.
+
+const MAX_TERM = 200;
+const MAX_TEXT = 500;
+
+function json(res, status, body) {
+  res.statusCode = status;
+  res.end(JSON.stringify(body));
+}
+
+function parseLang(value) {
+  const lang = String(value || '*').trim().toLowerCase();
+  return lang === '*' || (/^[a-z]{2}$/.test(lang) && lang !== 'pl') ? lang : null;
+}
+
+export default async function handler(req, res) {
+  startRequest(req, res, 'admin/glossary');
+
+  res.setHeader('Content-Type', 'application/json; charset=utf-8');
+  res.setHeader('Cache-Control', 'private, no-store');
+
+  if (!['GET', 'POST', 'DELETE'].includes(req.method)) {
+    return sendError(res, req, 'method_not_allowed');
+  }
+
+  try {
+    const supabase = getSupabaseAdmin();
+
+    if (!(await isAdminRequest(req, supabase))) {
+      return sendError(res, req, 'unauthorized');
+    }
+
+    if (req.method === 'POST') {
+      const body = await readJson(req);
+      const term = String(body?.term || '').replace(/\s+/g, ' ').trim();
+      const lang = parseLang(body?.lang);
+      const translation = String(body?.translation || '').trim() || null;
+      const note = String(body?.note || '').trim() || null;
+
+      if (!term || term.length > MAX_TERM || (translation && translation.length > MAX_TEXT)) {
+        return sendError(res, req, 'invalid_glossary_term');
+      }
+      if (!lang) return sendError(res, req, 'unsupported_language', { params: { lang: String(body?.lang).slice(0, 10) } });
+
+      const entry = {
+        term,
+        lang,
+        translation,
+        note: note ? note.slice(0, MAX_TEXT) : null,
+        updated_at: new Date().toISOString(),
+      };
+      const { error } = await supabase.from('translation_glossary').upsert(entry, { onConflict: 'term,lang' });
+      if (error) throw new Error('DB write (translation_glossary) failed: ' + error.message);
+
+      log.info('[admin/glossary] entry saved', { term, lang, protected: !translation });
+      return json(res, 200, { ok: true, entry });
+    }
+
+    if (req.method === 'DELETE') {
+      const u = new URL(req.url, 'http://localhost');
+      const term = String(u.searchParams.get('term') || '').trim();
+      const lang = parseLang(u.searchParams.get('lang'));
+      if (!term || !lang) return sendError(res, req, 'invalid_glossary_term');
+
+      const { data, error } = await supabase
+        .from('translation_glossary')
+        .delete()
+        .eq('term', term)
+        .eq('lang', lang)
+        .select('term');
+      if (error) throw new Error('DB delete (translation_glossary) failed: ' + error.message);
+      if (!data?.length) return sendError(res, req, 'not_found');
+
+      log.info('[admin/glossary] entry removed', { term, lang });
+      return json(res, 200, { ok: true });
+    }
+
+    return json(res, 200, { entries: await listGlossary(supabase) });
+  } catch (err) {
+    log.error('Request failed', { err });
+    return sendError(res, req, 'server_error');
+  }
+}
@@ -0,0 +1,58 @@
+import { getSupabaseAdmin } from '../_lib/supabase.js';
+import { isAdminRequest } from '../_lib/auth.js';
+import { backfillArchive } from '../_lib/news-archive.js';
+import { sendError } from '../_lib/errors.js';
+import { log, startRequest } from '../_lib/log.js';
+
+// Imports older Facebook posts into the news archive (Authorization: Bearer <admin_secret>)
+// POST ?pages=3 (max 20, 25 posts each)  &restart=1 (from the newest post again)  &translate=0
+// Follows the Graph API paging cursors and continues where the previous call stopped; call it
+// again until "done": true. Imported posts are translated into every news language.
+
+const MAX_PAGES = 20;
+
+function json(res, status, body) {
+  res.statusCode = status;
+  res.end(JSON.stringify(body));
+}
+
+export default async function handler(req, res) {
+  startRequest(req, res, 'admin/news-backfill');
+
+  res.setHeader('Content-Type', 'application/json; charset=utf-8');
+  res.setHeader('Cache-Control', 'private, no-store');
+
+  if (req.method !== 'POST') {
+    return sendError(res, req, 'method_not_allowed');
+  }
+
+  try {
+    const supabase = getSupabaseAdmin();
+
+    if (!(await isAdminRequest(req, supabase))) {
+      return sendError(res, req, 'unauthorized');
+    }
+
+    const u = new URL(req.url, 'http://localhost');
+    const pages = Math.min(MAX_PAGES, Math.max(1, Number(u.searchParams.get('pages')) || 3));
+
+    let result;
+    try {
+      result = await backfillArchive(supabase, {
+        pages,
+        restart: u.searchParams.get('restart') === '1',
+        translate: u.searchParams.get('translate') !== '0',
+      });
+    } catch (err) {
+      if (!('fb_code' in err)) throw err;
+      // Graph API failure: the pages imported so far are kept, the next call resumes
+      log.error('[admin/news-backfill] failed', { err });
+      return sendError(res, req, 'news_unavailable');
+    }
+
+    return json(res, 200, { ok: true, ...result });
+  } catch (err) {
+    log.error('Request failed', { err });
+    return sendError(res, req, 'server_error');
+  }
+}
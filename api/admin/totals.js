@@ -0,0 +1,68 @@
+import { getSupabaseAdmin } from '../_lib/supabase.js';
+import { isAdminRequest } from '../_lib/auth.js';
+import { formatAmount } from '../_lib/currencies.js';
+import { PAID_STATUSES } from '../_lib/donations.js';
+import { applyTransactionFilters, fetchAllRows, groupTotals, parseTransactionFilters } from '../_lib/admin.js';
+import { sendError } from '../_lib/errors.js';
+import { log, startRequest } from '../_lib/log.js';
+
+// GET /api/admin/totals?group=day|month&from=YYYY-MM-DD&to=YYYY-MM-DD (Authorization: Bearer <admin_secret>)
+// Confirmed donations by payment date (Warsaw), net of refunds, with running totals per currency.
+// Accepts the same filters as /api/admin/transactions (status is limited to paid statuses).
+
+const DEFAULT_DAYS = 31;
+
+export default async function handler(req, res) {
+  startRequest(req, res, 'admin/totals');
+
+  res.setHeader('Content-Type', 'application/json; charset=utf-8');
+  res.setHeader('Cache-Control', 'private, no-store');
+
+  if (req.method !== 'GET') {
+    sendError(res, req, 'method_not_allowed');
+    return;
+  }
+
+  try {
+    const supabase = getSupabaseAdmin();
+
+    if (!(await isAdminRequest(req, supabase))) {
+      sendError(res, req, 'unauthorized');
+      return;
+    }
+
+    const u = new URL(req.url, 'http://localhost');
+    const group = u.searchParams.get('group') === 'month' ? 'month' : 'day';
+    const filters = parseTransactionFilters(u.searchParams);
+
+    filters.statuses = filters.statuses.length
+      ? filters.statuses.filter(s => PAID_STATUSES.includes(s))
+      : PAID_STATUSES;
+
+    if (!filters.from && !filters.to) {
+      filters.from = new Date(Date.now() - (DEFAULT_DAYS - 1) * 24 * 3600 * 1000).toISOString().slice(0, 10);
+    }
+
+    const rows = filters.statuses.length
+      ? await fetchAllRows(() => applyTransactionFilters(
+        supabase
+          .from('p24_transactions')
+          .select('status, amount_grosze, refunded_grosze, currency, paid_at'),
+        filters,
+        'paid_at'
+      ).order('paid_at', { ascending: true }))
+      : [];
+
+    const totals = groupTotals(rows, group).map(t => ({
+      ...t,
+      net_formatted: formatAmount(t.net_grosze, t.currency, 'pl'),
+      running_net_formatted: formatAmount(t.running_net_grosze, t.currency, 'pl'),
+    }));
+
+    res.statusCode = 200;
+    res.end(JSON.stringify({ group, from: filters.from, to: filters.to, totals }));
+  } catch (err) {
+    log.error('Request failed', { err });
+    sendError(res, req, 'server_error');
+  }
+}
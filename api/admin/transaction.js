@@ -0,0 +1,100 @@
+import { getSupabaseAdmin } from '../_lib/supabase.js';
+import { isAdminRequest } from '../_lib/auth.js';
+import { formatAmount } from '../_lib/currencies.js';
+import { sendError } from '../_lib/errors.js';
+import { log, startRequest } from '../_lib/log.js';
+
+// GET /api/admin/transaction?sessionId=... (Authorization: Bearer <admin_secret>)
+// Transaction row (register_request, verify_payload) + p24_events timeline + subscription, if any.
+// The P24 token (also in redirect_url and the register response) and idempotency_key are never returned.
+
+const TRANSACTION_COLUMNS =
+  'session_id, public_ref, status, amount_grosze, refunded_grosze, refunded_at, currency, email, created_at, paid_at, ' +
+  'meta_json, consents_json, consents_version, subscription_id, campaign_slug, p24_order_id, ' +
+  'register_request:register_payload->request, verify_payload, thankyou_email_sent_at, thankyou_email_error, correlation_id';
+
+const UUID_RE = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i;
+
+export default async function handler(req, res) {
+  startRequest(req, res, 'admin/transaction');
+
+  res.setHeader('Content-Type', 'application/json; charset=utf-8');
+  res.setHeader('Cache-Control', 'private, no-store');
+
+  if (req.method !== 'GET') {
+    sendError(res, req, 'method_not_allowed');
+    return;
+  }
+
+  try {
+    const supabase = getSupabaseAdmin();
+
+    if (!(await isAdminRequest(req, supabase))) {
+      sendError(res, req, 'unauthorized');
+      return;
+    }
+
+    const u = new URL(req.url, 'http://localhost');
+    const sessionId = String(u.searchParams.get('sessionId') || '').trim();
+
+    if (!UUID_RE.test(sessionId)) {
+      sendError(res, req, 'missing_session_id');
+      return;
+    }
+
+    const { data: tx, error } = await supabase
+      .from('p24_transactions')
+      .select(TRANSACTION_COLUMNS)
+      .eq('session_id', sessionId)
+      .maybeSingle();
+
+    if (error) throw new Error('DB read failed: ' + error.message);
+
+    if (!tx) {
+      sendError(res, req, 'transaction_not_found');
+      return;
+    }
+
+    // Some events (e.g. refund notifications) carry only the P24 orderId
+    const orderId = /^\d+$/.test(String(tx.p24_order_id || '')) ? String(tx.p24_order_id) : null;
+    // ...and events logged under the donation's correlation ID (api/_lib/log.js) belong to it too
+    const correlationId = /^[A-Za-z0-9-]+$/.test(String(tx.correlation_id || '')) ? tx.correlation_id : null;
+    const eventsFilter = [
+      `session_id.eq.${sessionId}`,
+      orderId && `p24_order_id.eq.${orderId}`,
+      correlationId && `correlation_id.eq.${correlationId}`,
+    ].filter(Boolean).join(',');
+
+    const { data: events, error: evErr } = await supabase
+      .from('p24_events')
+      .select('*')
+      .or(eventsFilter)
+      .order('created_at', { ascending: true });
+
+    if (evErr) throw new Error('DB read (events) failed: ' + evErr.message);
+
+    let subscription = null;
+    if (tx.subscription_id) {
+      const { data } = await supabase
+        .from('p24_subscriptions')
+        .select('id, status, amount_grosze, currency, email, next_charge_at, last_charge_at, failed_attempts, card_mask, created_at, activated_at, cancelled_at')
+        .eq('id', tx.subscription_id)
+        .maybeSingle();
+      subscription = data || null;
+    }
+
+    res.statusCode = 200;
+    res.end(JSON.stringify({
+      transaction: {
+        ...tx,
+        amount_formatted: formatAmount(tx.amount_grosze, tx.currency, 'pl'),
+        refunded_formatted: tx.refunded_grosze ? formatAmount(tx.refunded_grosze, tx.currency, 'pl') : null,
+      },
+      events: events || [],
+      subscription,
+    }));
+  } catch (err) {
+    log.error('Request failed', { err });
+    sendError(res, req, 'server_error');
+  }
+}
@@ -0,0 +1,57 @@
+import { getSupabaseAdmin } from '../_lib/supabase.js';
+import { isAdminRequest } from '../_lib/auth.js';
+import { formatAmount } from '../_lib/currencies.js';
+import { ADMIN_LIST_COLUMNS, applyTransactionFilters, parseTransactionFilters } from '../_lib/admin.js';
+import { sendError } from '../_lib/errors.js';
+import { log, startRequest } from '../_lib/log.js';
+
+// GET /api/admin/transactions (Authorization: Bearer <admin_secret>)
+// Filters: see parseTransactionFilters; paging: limit (max 200), offset. Newest first.
+
+export default async function handler(req, res) {
+  startRequest(req, res, 'admin/transactions');
+
+  res.setHeader('Content-Type', 'application/json; charset=utf-8');
+  res.setHeader('Cache-Control', 'private, no-store');
+
+  if (req.method !== 'GET') {
+    sendError(res, req, 'method_not_allowed');
+    return;
+  }
+
+  try {
+    const supabase = getSupabaseAdmin();
+
+    if (!(await isAdminRequest(req, supabase))) {
+      sendError(res, req, 'unauthorized');
+      return;
+    }
+
+    const u = new URL(req.url, 'http://localhost');
+    const filters = parseTransactionFilters(u.searchParams);
+    const limit = Math.min(200, Math.max(1, Number(u.searchParams.get('limit')) || 50));
+    const offset = Math.max(0, Number(u.searchParams.get('offset')) || 0);
+
+    const query = supabase
+      .from('p24_transactions')
+      .select(ADMIN_LIST_COLUMNS, { count: 'exact' });
+
+    const { data, error, count } = await applyTransactionFilters(query, filters)
+      .order('created_at', { ascending: false })
+      .range(offset, offset + limit - 1);
+
+    if (error) throw new Error('DB read failed: ' + error.message);
+
+    const transactions = (data || []).map(tx => ({
+      ...tx,
+      page: tx.meta_json?.page || null,
+      amount_formatted: formatAmount(tx.amount_grosze, tx.currency, 'pl'),
+    }));
+
+    res.statusCode = 200;
+    res.end(JSON.stringify({ transactions, total: count ?? null, limit, offset, filters }));
+  } catch (err) {
+    log.error('Request failed', { err });
+    sendError(res, req, 'server_error');
+  }
+}
@@ -0,0 +1,163 @@
+import { getSupabaseAdmin } from '../_lib/supabase.js';
+import { isAdminRequest } from '../_lib/auth.js';
+import { readJson } from '../_lib/body.js';
+import { getSettings } from '../_lib/config.js';
+import { CONTENT_HASH_RE } from '../_lib/translation-overrides.js';
+import { sendError } from '../_lib/errors.js';
+import { log, startRequest } from '../_lib/log.js';
+
+// Manual translations of news posts for admins (Authorization: Bearer <admin_secret>)
+// GET    ?lang=en                                   -> current posts: Polish source, machine translation
+//                                                      and override; plus the orphaned overrides of lang
+// POST   { content_hash, lang, title, body, note }  -> adds or replaces the override of a post
+//        (current or archived, see news_posts)
+//        an empty title or body keeps the machine translation of that field
+// DELETE ?content_hash=...&lang=en                  -> removes an override (machine translation again)
+// Overrides are applied when /api/facebook-news?lang= or /api/news-archive serves the post, so they
+// survive cache refreshes.
+
+const MAX_TITLE = 300;
+const MAX_BODY = 20000;
+
+const OVERRIDE_COLUMNS = 'content_hash, lang, title, body, note, post_link, source_title, source_body, orphaned_at, updated_at';
+
+function json(res, status, body) {
+  res.statusCode = status;
+  res.end(JSON.stringify(body));
+}
+
+async function readCachePosts(supabase, cacheKey) {
+  const { data, error } = await supabase
+    .from('facebook_cache')
+    .select('data')
+    .eq('cache_key', cacheKey)
+    .maybeSingle();
+
+  if (error) throw new Error(`DB read (facebook_cache ${cacheKey}) failed: ` + error.message);
+  return Array.isArray(data?.data?.posts) ? data.data.posts : [];
+}
+
+export default async function handler(req, res) {
+  startRequest(req, res, 'admin/translations');
+
+  res.setHeader('Content-Type', 'application/json; charset=utf-8');
+  res.setHeader('Cache-Control', 'private, no-store');
+
+  if (!['GET', 'POST', 'DELETE'].includes(req.method)) {
+    return sendError(res, req, 'method_not_allowed');
+  }
+
+  try {
+    const supabase = getSupabaseAdmin();
+
+    if (!(await isAdminRequest(req, supabase))) {
+      return sendError(res, req, 'unauthorized');
+    }
+
+    const { news_languages: languages } = await getSettings(supabase, ['news_languages']);
+    const u = new URL(req.url, 'http://localhost');
+    const body = req.method === 'POST' ? await readJson(req) : null;
+
+    const lang = String((body ? body.lang : u.searchParams.get('lang')) || '').trim().toLowerCase();
+    if (lang === 'pl' || !languages.map(l => l.toLowerCase()).includes(lang)) {
+      return sendError(res, req, 'unsupported_language', { params: { lang: lang.slice(0, 10) } });
+    }
+
+    if (req.method === 'POST') {
+      const contentHash = String(body?.content_hash || '');
+      if (!CONTENT_HASH_RE.test(contentHash)) return sendError(res, req, 'invalid_id');
+
+      const title = String(body?.title || '').trim() || null;
+      const text = String(body?.body || '').trim() || null;
+      if ((!title && !text) || (title && title.length > MAX_TITLE) || (text && text.length > MAX_BODY)) {
+        return sendError(res, req, 'invalid_translation_override');
+      }
+
+      // Only posts that are on the site, including the archive; the Polish text is stored with the
+      // override for reference
+      const { data: source, error: sourceErr } = await supabase
+        .from('news_posts')
+        .select('title, body, link')
+        .eq('content_hash', contentHash)
+        .order('published_at', { ascending: false })
+        .limit(1)
+        .maybeSingle();
+      if (sourceErr) throw new Error('DB read (news_posts) failed: ' + sourceErr.message);
+      if (!source) return sendError(res, req, 'not_found');
+
+      const override = {
+        content_hash: contentHash,
+        lang,
+        title,
+        body: text,
+        note: String(body?.note || '').trim().slice(0, 500) || null,
+        post_link: source.link || null,
+        source_title: source.title || null,
+        source_body: source.body || null,
+        orphaned_at: null,
+        updated_at: new Date().toISOString(),
+      };
+
+      const { error } = await supabase
+        .from('news_translation_overrides')
+        .upsert(override, { onConflict: 'content_hash,lang' });
+      if (error) throw new Error('DB write (news_translation_overrides) failed: ' + error.message);
+
+      log.info('[admin/translations] override saved', { lang, content_hash: contentHash });
+      return json(res, 200, { ok: true, override });
+    }
+
+    if (req.method === 'DELETE') {
+      const contentHash = String(u.searchParams.get('content_hash') || '');
+      if (!CONTENT_HASH_RE.test(contentHash)) return sendError(res, req, 'invalid_id');
+
+      const { data, error } = await supabase
+        .from('news_translation_overrides')
+        .delete()
+        .eq('content_hash', contentHash)
+        .eq('lang', lang)
+        .select('content_hash');
+      if (error) throw new Error('DB delete (news_translation_overrides) failed: ' + error.message);
+      if (!data?.length) return sendError(res, req, 'not_found');
+
+      log.info('[admin/translations] override removed', { lang, content_hash: contentHash });
+      return json(res, 200, { ok: true });
+    }
+
+    const [sourcePosts, machinePosts] = await Promise.all([
+      readCachePosts(supabase, 'facebook_news'),
+      readCachePosts(supabase, `facebook_news_${lang}`),
+    ]);
+
+    const { data: overrides, error } = await supabase
+      .from('news_translation_overrides')
+      .select(OVERRIDE_COLUMNS)
+      .eq('lang', lang)
+      .order('updated_at', { ascending: false });
+    if (error) throw new Error('DB read (news_translation_overrides) failed: ' + error.message);
+
+    const machineByHash = new Map(machinePosts.map(p => [p?.content_hash, p]));
+    const overrideByHash = new Map((overrides || []).map(o => [o.content_hash, o]));
+
+    const posts = sourcePosts.map(p => {
+      const machine = machineByHash.get(p.content_hash);
+      return {
+        content_hash: p.content_hash,
+        link: p.link || null,
+        date: p.date || null,
+        source: { title: p.title || '', body: p.body || '' },
+        machine: machine ? { title: machine.title ?? null, body: machine.body ?? null } : null,
+        override: overrideByHash.get(p.content_hash) || null,
+      };
+    });
+
+    return json(res, 200, {
+      lang,
+      posts,
+      orphaned: (overrides || []).filter(o => o.orphaned_at),
+    });
+  } catch (err) {
+    log.error('Request failed', { err });
+    return sendError(res, req, 'server_error');
+  }
+}
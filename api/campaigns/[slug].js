@@ -0,0 +1,39 @@
+import { getSupabaseAdmin } from '../_lib/supabase.js';
+import { getCampaign, getCampaignProgress } from '../_lib/campaigns.js';
+import { sendError } from '../_lib/errors.js';
+import { log, startRequest } from '../_lib/log.js';
+
+// GET /api/campaigns/:slug?lang=en — public campaign details with live progress
+
+export default async function handler(req, res) {
+  startRequest(req, res, 'campaigns/[slug]');
+
+  if (req.method !== 'GET') {
+    sendError(res, req, 'method_not_allowed');
+    return;
+  }
+
+  try {
+    const u = new URL(req.url, 'http://localhost');
+    const slug = req.query?.slug || u.pathname.split('/').filter(Boolean).pop();
+    const lang = u.searchParams.get('lang') === 'en' ? 'en' : 'pl';
+
+    const supabase = getSupabaseAdmin();
+    const campaign = await getCampaign(supabase, slug);
+
+    if (!campaign) {
+      sendError(res, req, 'campaign_not_found');
+      return;
+    }
+
+    const progress = await getCampaignProgress(supabase, campaign, lang);
+
+    res.statusCode = 200;
+    res.setHeader('Content-Type', 'application/json; charset=utf-8');
+    res.setHeader('Cache-Control', 'public, s-maxage=60, stale-while-revalidate=300');
+    res.end(JSON.stringify({ campaign: progress }));
+  } catch (err) {
+    log.error('Request failed', { err });
+    sendError(res, req, 'server_error');
+  }
+}
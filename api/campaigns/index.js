@@ -0,0 +1,36 @@
+import { getSupabaseAdmin } from '../_lib/supabase.js';
+import { getCampaignProgress, listActiveCampaigns } from '../_lib/campaigns.js';
+import { sendError } from '../_lib/errors.js';
+import { log, startRequest } from '../_lib/log.js';
+
+// GET /api/campaigns?lang=en — open campaigns with progress (used by #wesprzyj on the home pages)
+
+export default async function handler(req, res) {
+  startRequest(req, res, 'campaigns/index');
+
+  if (req.method !== 'GET') {
+    sendError(res, req, 'method_not_allowed');
+    return;
+  }
+
+  try {
+    const u = new URL(req.url, 'http://localhost');
+    const lang = u.searchParams.get('lang') === 'en' ? 'en' : 'pl';
+
+    const supabase = getSupabaseAdmin();
+    const campaigns = await listActiveCampaigns(supabase);
+
+    const out = [];
+    for (const c of campaigns) {
+      out.push(await getCampaignProgress(supabase, c, lang));
+    }
+
+    res.statusCode = 200;
+    res.setHeader('Content-Type', 'application/json; charset=utf-8');
+    res.setHeader('Cache-Control', 'public, s-maxage=60, stale-while-revalidate=300');
+    res.end(JSON.stringify({ campaigns: out }));
+  } catch (err) {
+    log.error('Request failed', { err });
+    sendError(res, req, 'server_error');
+  }
+}
@@ -0,0 +1,51 @@
+import { getSupabaseAdmin } from '../_lib/supabase.js';
+import { buildAbsoluteUrl } from '../_lib/p24.js';
+import { buildCertificateLink, isValidTaxYear } from '../_lib/certificates.js';
+import { getDonorSession } from '../_lib/donors.js';
+import { sendError } from '../_lib/errors.js';
+import { log, startRequest } from '../_lib/log.js';
+
+// GET /api/donor/certificate?year=2025 — redirects to a short-lived signed link of the annual certificate
+
+export default async function handler(req, res) {
+  startRequest(req, res, 'donor/certificate');
+
+  res.setHeader('Content-Type', 'application/json; charset=utf-8');
+
+  if (req.method !== 'GET') {
+    sendError(res, req, 'method_not_allowed');
+    return;
+  }
+
+  try {
+    const u = new URL(req.url, 'http://localhost');
+    const year = Number(u.searchParams.get('year'));
+
+    const supabase = getSupabaseAdmin();
+    const session = await getDonorSession(supabase, req);
+
+    if (!session) {
+      sendError(res, req, 'session_expired');
+      return;
+    }
+
+    if (!isValidTaxYear(year)) {
+      sendError(res, req, 'invalid_year');
+      return;
+    }
+
+    const { url } = buildCertificateLink({
+      baseUrl: buildAbsoluteUrl(req, '/api/p24/certificate'),
+      email: session.email,
+      year,
+      ttlDays: 1,
+    });
+
+    res.statusCode = 302;
+    res.setHeader('Location', url);
+    res.end();
+  } catch (err) {
+    log.error('Request failed', { err });
+    sendError(res, req, 'server_error');
+  }
+}
@@ -0,0 +1,38 @@
+import { getSupabaseAdmin } from '../_lib/supabase.js';
+import { readJson } from '../_lib/body.js';
+import { getDonorSession, updateDonorConsents } from '../_lib/donors.js';
+import { sendError } from '../_lib/errors.js';
+import { log, startRequest } from '../_lib/log.js';
+
+// POST /api/donor/consents { contact: true|false } — consents the donor can change after donating.
+// Monthly card charges are withdrawn by cancelling the subscription (cancel_url in /api/donor/me).
+
+export default async function handler(req, res) {
+  startRequest(req, res, 'donor/consents');
+
+  res.setHeader('Content-Type', 'application/json; charset=utf-8');
+
+  if (req.method !== 'POST') {
+    sendError(res, req, 'method_not_allowed');
+    return;
+  }
+
+  try {
+    const supabase = getSupabaseAdmin();
+    const session = await getDonorSession(supabase, req);
+
+    if (!session) {
+      sendError(res, req, 'session_expired');
+      return;
+    }
+
+    const body = (await readJson(req)) || {};
+    const result = await updateDonorConsents(supabase, session.email, body);
+
+    res.statusCode = 200;
+    res.end(JSON.stringify({ ok: true, consents: result.consents, updatedAt: result.updatedAt }));
+  } catch (err) {
+    log.error('Request failed', { err });
+    sendError(res, req, 'server_error');
+  }
+}
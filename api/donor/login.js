@@ -0,0 +1,58 @@
+import { getSupabaseAdmin } from '../_lib/supabase.js';
+import { readJson } from '../_lib/body.js';
+import { buildAbsoluteUrl } from '../_lib/p24.js';
+import { sendDonorLoginEmail } from '../_lib/email.js';
+import { LOGIN_TOKEN_TTL_MINUTES, createLoginToken, hasDonations, isValidEmail, normalizeEmail } from '../_lib/donors.js';
+import { sendError } from '../_lib/errors.js';
+import { log, startRequest } from '../_lib/log.js';
+
+// POST /api/donor/login { email, lang? }
+// Emails a one-time login link. The response is the same whether or not the email is known.
+
+export default async function handler(req, res) {
+  startRequest(req, res, 'donor/login');
+
+  res.setHeader('Content-Type', 'application/json; charset=utf-8');
+
+  if (req.method !== 'POST') {
+    sendError(res, req, 'method_not_allowed');
+    return;
+  }
+
+  try {
+    const body = (await readJson(req)) || {};
+    const email = normalizeEmail(body.email);
+    const lang = body.lang === 'en' ? 'en' : 'pl';
+
+    if (!isValidEmail(email)) {
+      sendError(res, req, 'invalid_email', { body });
+      return;
+    }
+
+    const supabase = getSupabaseAdmin();
+
+    if (await hasDonations(supabase, email)) {
+      // A failure is only logged: an error here would tell the caller that the email is a donor's
+      try {
+        const token = await createLoginToken(supabase, email);
+        if (token) {
+          const url = buildAbsoluteUrl(
+            req,
+            `/api/donor/verify?token=${encodeURIComponent(token)}${lang === 'en' ? '&lang=en' : ''}`
+          );
+          const expiresAtIso = new Date(Date.now() + LOGIN_TOKEN_TTL_MINUTES * 60 * 1000).toISOString();
+          const result = await sendDonorLoginEmail({ to: email, url, lang, expiresAtIso });
+          if (result?.skipped) log.warn('[donor login] email skipped', { reason: result.reason });
+        }
+      } catch (err) {
+        log.error('[donor login] login link not sent', { err });
+      }
+    }
+
+    res.statusCode = 200;
+    res.end(JSON.stringify({ ok: true }));
+  } catch (err) {
+    log.error('Request failed', { err });
+    sendError(res, req, 'server_error');
+  }
+}
@@ -0,0 +1,27 @@
+import { getSupabaseAdmin } from '../_lib/supabase.js';
+import { clearSessionCookie, revokeSession } from '../_lib/donors.js';
+import { sendError } from '../_lib/errors.js';
+import { log, startRequest } from '../_lib/log.js';
+
+// POST /api/donor/logout
+
+export default async function handler(req, res) {
+  startRequest(req, res, 'donor/logout');
+
+  res.setHeader('Content-Type', 'application/json; charset=utf-8');
+
+  if (req.method !== 'POST') {
+    sendError(res, req, 'method_not_allowed');
+    return;
+  }
+
+  try {
+    await revokeSession(getSupabaseAdmin(), req);
+  } catch (err) {
+    log.error('Request failed', { err });
+  }
+
+  res.statusCode = 200;
+  res.setHeader('Set-Cookie', clearSessionCookie());
+  res.end(JSON.stringify({ ok: true }));
+}
@@ -0,0 +1,106 @@
+import { getSupabaseAdmin } from '../_lib/supabase.js';
+import { formatAmount } from '../_lib/currencies.js';
+import { PAID_STATUSES } from '../_lib/donations.js';
+import {
+  DONOR_CONSENT_KEYS,
+  getDonorConsents,
+  getDonorSession,
+  getDonorSubscriptions,
+  getDonorTransactions,
+} from '../_lib/donors.js';
+import { sendError } from '../_lib/errors.js';
+import { log, startRequest } from '../_lib/log.js';
+
+// GET /api/donor/me?lang=en — everything the donor area shows (session cookie required)
+
+const ACTIVE_SUBSCRIPTION_STATUSES = ['pending', 'active', 'past_due'];
+
+function taxYear(iso) {
+  return Number(new Intl.DateTimeFormat('en', { timeZone: 'Europe/Warsaw', year: 'numeric' }).format(new Date(iso)));
+}
+
+export default async function handler(req, res) {
+  startRequest(req, res, 'donor/me');
+
+  res.setHeader('Content-Type', 'application/json; charset=utf-8');
+  res.setHeader('Cache-Control', 'private, no-store');
+
+  if (req.method !== 'GET') {
+    sendError(res, req, 'method_not_allowed');
+    return;
+  }
+
+  try {
+    const u = new URL(req.url, 'http://localhost');
+    const lang = u.searchParams.get('lang') === 'en' ? 'en' : 'pl';
+
+    const supabase = getSupabaseAdmin();
+    const session = await getDonorSession(supabase, req);
+
+    if (!session) {
+      sendError(res, req, 'session_expired');
+      return;
+    }
+
+    const [txs, subs, consents] = await Promise.all([
+      getDonorTransactions(supabase, session.email),
+      getDonorSubscriptions(supabase, session.email),
+      getDonorConsents(supabase, session.email),
+    ]);
+
+    const transactions = txs.map(tx => {
+      const isPaid = PAID_STATUSES.includes(tx.status);
+      return {
+        session_id: tx.session_id,
+        public_ref: tx.public_ref,
+        status: tx.status,
+        currency: tx.currency,
+        amount_grosze: tx.amount_grosze,
+        amount_formatted: formatAmount(tx.amount_grosze, tx.currency, lang),
+        refunded_grosze: Number(tx.refunded_grosze || 0),
+        refunded_formatted: tx.refunded_grosze ? formatAmount(tx.refunded_grosze, tx.currency, lang) : null,
+        created_at: tx.created_at,
+        paid_at: tx.paid_at,
+        recurring: !!tx.subscription_id,
+        campaign: tx.campaign_slug || null,
+        consents: tx.consents_json || null,
+        consents_version: tx.consents_version || null,
+        can_resend: isPaid,
+        has_receipt: isPaid && tx.status !== 'refunded',
+      };
+    });
+
+    const subscriptions = subs.map(s => ({
+      id: s.id,
+      status: s.status,
+      amount_formatted: formatAmount(s.amount_grosze, s.currency, lang),
+      next_charge_at: s.next_charge_at,
+      card_mask: s.card_mask || null,
+      created_at: s.created_at,
+      cancelled_at: s.cancelled_at,
+      cancel_url: ACTIVE_SUBSCRIPTION_STATUSES.includes(s.status)
+        ? `/api/p24/cancel?id=${encodeURIComponent(s.id)}&token=${encodeURIComponent(s.cancel_token)}${lang === 'en' ? '&lang=en' : ''}`
+        : null,
+    }));
+
+    const certificateYears = [...new Set(
+      transactions
+        .filter(t => t.has_receipt && t.paid_at)
+        .map(t => taxYear(t.paid_at))
+    )].sort((a, b) => b - a);
+
+    res.statusCode = 200;
+    res.end(JSON.stringify({
+      email: session.email,
+      transactions,
+      subscriptions,
+      consents: consents.consents,
+      consentKeys: DONOR_CONSENT_KEYS,
+      consentsUpdatedAt: consents.updatedAt,
+      certificateYears,
+    }));
+  } catch (err) {
+    log.error('Request failed', { err });
+    sendError(res, req, 'server_error');
+  }
+}
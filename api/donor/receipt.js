@@ -0,0 +1,48 @@
+import { getSupabaseAdmin } from '../_lib/supabase.js';
+import { renderReceiptPdf } from '../_lib/certificates.js';
+import { getDonorSession, getDonorTransaction } from '../_lib/donors.js';
+import { sendError } from '../_lib/errors.js';
+import { log, startRequest } from '../_lib/log.js';
+
+// GET /api/donor/receipt?sessionId=... — PDF confirmation of one donation (session cookie required)
+
+const RECEIPT_STATUSES = ['paid', 'partially_refunded'];
+
+export default async function handler(req, res) {
+  startRequest(req, res, 'donor/receipt');
+
+  if (req.method !== 'GET') {
+    sendError(res, req, 'method_not_allowed');
+    return;
+  }
+
+  try {
+    const u = new URL(req.url, 'http://localhost');
+    const supabase = getSupabaseAdmin();
+    const session = await getDonorSession(supabase, req);
+
+    if (!session) {
+      sendError(res, req, 'session_expired');
+      return;
+    }
+
+    const tx = await getDonorTransaction(supabase, session.email, u.searchParams.get('sessionId'));
+
+    if (!tx || !RECEIPT_STATUSES.includes(tx.status)) {
+      sendError(res, req, 'donation_not_found');
+      return;
+    }
+
+    const pdf = renderReceiptPdf({ tx });
+
+    res.statusCode = 200;
+    res.setHeader('Content-Type', 'application/pdf');
+    res.setHeader('Content-Disposition', `attachment; filename="potwierdzenie-${tx.public_ref}.pdf"`);
+    res.setHeader('Cache-Control', 'private, no-store');
+    res.setHeader('Content-Length', String(pdf.length));
+    res.end(pdf);
+  } catch (err) {
+    log.error('Request failed', { err });
+    sendError(res, req, 'server_error');
+  }
+}
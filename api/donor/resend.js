@@ -0,0 +1,66 @@
+import { getSupabaseAdmin } from '../_lib/supabase.js';
+import { readJson } from '../_lib/body.js';
+import { PAID_STATUSES, sendThankYouForTransaction } from '../_lib/donations.js';
+import { getDonorSession, getDonorTransaction } from '../_lib/donors.js';
+import { sendError } from '../_lib/errors.js';
+import { log, recordEvent, startRequest } from '../_lib/log.js';
+
+// POST /api/donor/resend { sessionId } — sends the thank-you email for a paid donation again
+
+export default async function handler(req, res) {
+  startRequest(req, res, 'donor/resend');
+
+  res.setHeader('Content-Type', 'application/json; charset=utf-8');
+
+  if (req.method !== 'POST') {
+    sendError(res, req, 'method_not_allowed');
+    return;
+  }
+
+  try {
+    const supabase = getSupabaseAdmin();
+    const session = await getDonorSession(supabase, req);
+
+    if (!session) {
+      sendError(res, req, 'session_expired');
+      return;
+    }
+
+    const body = (await readJson(req)) || {};
+    const tx = await getDonorTransaction(supabase, session.email, body.sessionId);
+
+    if (!tx || !PAID_STATUSES.includes(tx.status)) {
+      sendError(res, req, 'donation_not_found');
+      return;
+    }
+
+    let subscription = null;
+    if (tx.subscription_id) {
+      const { data } = await supabase
+        .from('p24_subscriptions')
+        .select('id, status, cancel_token')
+        .eq('id', tx.subscription_id)
+        .maybeSingle();
+      subscription = data || null;
+    }
+
+    const result = await sendThankYouForTransaction({ supabase, req, tx, subscription, force: true });
+
+    await recordEvent(supabase, {
+      event_type: 'donor_resend_thankyou',
+      session_id: tx.session_id,
+      payload_json: { email: session.email, result },
+    });
+
+    if (!result?.ok) {
+      sendError(res, req, 'email_send_failed');
+      return;
+    }
+
+    res.statusCode = 200;
+    res.end(JSON.stringify({ ok: true }));
+  } catch (err) {
+    log.error('Request failed', { err });
+    sendError(res, req, 'server_error');
+  }
+}
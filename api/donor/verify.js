@@ -0,0 +1,96 @@
+import { getSupabaseAdmin } from '../_lib/supabase.js';
+import { readForm } from '../_lib/body.js';
+import { consumeLoginToken, createSession, sessionCookie } from '../_lib/donors.js';
+import { log, recordEvent, startRequest } from '../_lib/log.js';
+
+// Login link from the email. GET shows a button (mail scanners would burn a one-time link),
+// POST uses the token, sets the session cookie and redirects to the donor area.
+
+const TEXTS = {
+  pl: {
+    title: 'Panel darczyńcy',
+    confirm: 'Kliknij, aby zalogować się do panelu darczyńcy.',
+    button: 'Zaloguj się',
+    invalid: 'Link jest nieprawidłowy, wygasł lub został już użyty.',
+    again: 'Poproś o nowy link',
+    error: 'Coś poszło nie tak. Spróbuj ponownie później.',
+    portal: '/darczynca',
+  },
+  en: {
+    title: 'Donor area',
+    confirm: 'Click to sign in to your donor area.',
+    button: 'Sign in',
+    invalid: 'This link is invalid, has expired or has already been used.',
+    again: 'Request a new link',
+    error: 'Something went wrong. Please try again later.',
+    portal: '/donor',
+  },
+};
+
+function escapeHtml(s) {
+  return String(s ?? '')
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+}
+
+function page(res, statusCode, t, bodyHtml) {
+  res.statusCode = statusCode;
+  res.setHeader('Content-Type', 'text/html; charset=utf-8');
+  res.setHeader('Cache-Control', 'no-store');
+  res.end(`<!DOCTYPE html>
+<html>
+<head><meta charset="UTF-8" /><meta name="viewport" content="width=device-width, initial-scale=1.0" /><meta name="robots" content="noindex" /><title>${escapeHtml(t.title)} – Cappella Marialis</title><link rel="stylesheet" href="/style.css" /></head>
+<body><main class="container"><section><h2>${escapeHtml(t.title)}</h2>${bodyHtml}</section></main></body>
+</html>`);
+}
+
+export default async function handler(req, res) {
+  startRequest(req, res, 'donor/verify');
+
+  if (req.method !== 'GET' && req.method !== 'POST') {
+    res.statusCode = 405;
+    res.end('Method not allowed');
+    return;
+  }
+
+  const u = new URL(req.url, 'http://localhost');
+  const params = req.method === 'POST' ? await readForm(req) : Object.fromEntries(u.searchParams);
+  const lang = params.lang === 'en' ? 'en' : 'pl';
+  const t = TEXTS[lang];
+  const invalidHtml = `<p>${escapeHtml(t.invalid)}</p><p><a class="album-link" href="${t.portal}">${escapeHtml(t.again)}</a></p>`;
+
+  if (!params.token) return page(res, 400, t, invalidHtml);
+
+  if (req.method === 'GET') {
+    return page(res, 200, t, `
+      <p>${escapeHtml(t.confirm)}</p>
+      <form method="POST" action="/api/donor/verify">
+        <input type="hidden" name="token" value="${escapeHtml(params.token)}" />
+        <input type="hidden" name="lang" value="${lang}" />
+        <button class="donate-btn" type="submit">${escapeHtml(t.button)}</button>
+      </form>`);
+  }
+
+  try {
+    const supabase = getSupabaseAdmin();
+    const email = await consumeLoginToken(supabase, params.token);
+    if (!email) return page(res, 400, t, invalidHtml);
+
+    const session = await createSession(supabase, email);
+
+    await recordEvent(supabase, {
+      event_type: 'donor_login',
+      payload_json: { email },
+    });
+
+    res.statusCode = 303;
+    res.setHeader('Set-Cookie', sessionCookie(session.token, session.expiresAt));
+    res.setHeader('Location', t.portal);
+    res.end();
+  } catch (err) {
+    log.error('Request failed', { err });
+    return page(res, 500, t, `<p>${escapeHtml(t.error)}</p>`);
+  }
+}
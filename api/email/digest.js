@@ -0,0 +1,97 @@
+import { getSupabaseAdmin } from '../_lib/supabase.js';
+import { getEnv } from '../_lib/config.js';
+import { isAdminRequest, isCronRequest } from '../_lib/auth.js';
+import { isYmd, warsawDayKey } from '../_lib/admin.js';
+import { buildDailyDigest, digestVars, getStaffRecipients, sendDailyDigest } from '../_lib/staff.js';
+import { sendError } from '../_lib/errors.js';
+import { log, recordEvent, startRequest } from '../_lib/log.js';
+
+// Daily donation digest for staff (Vercel Cron, see vercel.json; also callable by an admin).
+// GET ?date=YYYY-MM-DD (Warsaw day, default: yesterday)  &dry=1 (only return the data)  &force=1 (send again)
+// Sent once per day: a staff_digest_sent event records the date once at least one recipient got it.
+
+function previousDay(ymd) {
+  return new Date(Date.parse(ymd + 'T00:00:00Z') - 24 * 3600 * 1000).toISOString().slice(0, 10);
+}
+
+function json(res, status, body) {
+  res.statusCode = status;
+  res.end(JSON.stringify(body));
+}
+
+export default async function handler(req, res) {
+  startRequest(req, res, 'email/digest');
+
+  res.setHeader('Content-Type', 'application/json; charset=utf-8');
+  res.setHeader('Cache-Control', 'private, no-store');
+
+  if (req.method !== 'GET' && req.method !== 'POST') {
+    return sendError(res, req, 'method_not_allowed');
+  }
+
+  try {
+    const supabase = getSupabaseAdmin();
+
+    if (!isCronRequest(req) && !(await isAdminRequest(req, supabase))) {
+      return sendError(res, req, 'unauthorized');
+    }
+
+    const u = new URL(req.url, 'http://localhost');
+    const date = u.searchParams.get('date');
+    if (date && !isYmd(date)) return sendError(res, req, 'invalid_date');
+
+    const day = date || previousDay(warsawDayKey(new Date()));
+    const top = getEnv('STAFF_DIGEST_TOP');
+    const digest = await buildDailyDigest(supabase, day, { top });
+
+    if (u.searchParams.get('dry') === '1') {
+      return json(res, 200, { digest, vars: digestVars(digest) });
+    }
+
+    if (!getEnv('STAFF_DIGEST')) {
+      return json(res, 200, { skipped: true, reason: 'STAFF_DIGEST=off' });
+    }
+    const recipients = getStaffRecipients();
+    if (!recipients.length) {
+      return json(res, 200, { skipped: true, reason: 'No STAFF_NOTIFY_EMAILS' });
+    }
+
+    if (u.searchParams.get('force') !== '1') {
+      const { data: sent, error } = await supabase
+        .from('p24_events')
+        .select('id')
+        .eq('event_type', 'staff_digest_sent')
+        .eq('payload_json->>date', day)
+        .limit(1);
+      if (error) throw new Error('DB read failed: ' + error.message);
+      if (sent?.length) return json(res, 200, { skipped: true, reason: 'Already sent', day });
+    }
+
+    const results = await sendDailyDigest(digest);
+    const sentCount = results.filter(r => r?.ok).length;
+
+    // Nothing delivered: no event, so the next run tries again
+    if (!sentCount) {
+      log.error('[email/digest] not sent to any recipient', { day, recipients: recipients.length });
+      const notConfigured = results.every(r => r?.skipped);
+      return sendError(res, req, notConfigured ? 'email_not_configured' : 'email_send_failed', { extra: { day, sent: 0 } });
+    }
+
+    await recordEvent(supabase, {
+      event_type: 'staff_digest_sent',
+      payload_json: { date: day, recipients: recipients.length, count: digest.count, totals: digest.totals },
+    });
+
+    return json(res, 200, {
+      ok: true,
+      day,
+      count: digest.count,
+      failed: digest.failed.length,
+      stuck: digest.stuck.length,
+      sent: sentCount,
+    });
+  } catch (err) {
+    log.error('Request failed', { err });
+    return sendError(res, req, 'server_error');
+  }
+}
@@ -0,0 +1,36 @@
+import { getSupabaseAdmin } from '../_lib/supabase.js';
+import { getEnv } from '../_lib/config.js';
+import { isCronRequest } from '../_lib/auth.js';
+import { processOutbox } from '../_lib/outbox.js';
+import { sendError } from '../_lib/errors.js';
+import { log, startRequest } from '../_lib/log.js';
+
+// Email outbox worker (Vercel Cron, see vercel.json): retries failed sends with backoff,
+// moves messages past EMAIL_MAX_ATTEMPTS to dead letter. Batch size: EMAIL_OUTBOX_BATCH_SIZE.
+
+export default async function handler(req, res) {
+  startRequest(req, res, 'email/outbox');
+
+  res.setHeader('Content-Type', 'application/json; charset=utf-8');
+
+  if (req.method !== 'GET' && req.method !== 'POST') {
+    sendError(res, req, 'method_not_allowed');
+    return;
+  }
+
+  if (!isCronRequest(req)) {
+    sendError(res, req, 'unauthorized');
+    return;
+  }
+
+  try {
+    const batchSize = getEnv('EMAIL_OUTBOX_BATCH_SIZE');
+    const summary = await processOutbox(getSupabaseAdmin(), { batchSize });
+
+    res.statusCode = 200;
+    res.end(JSON.stringify(summary));
+  } catch (err) {
+    log.error('Request failed', { err });
+    sendError(res, req, 'server_error');
+  }
+}
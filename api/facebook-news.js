@@ -1,190 +1,169 @@
-import { createClient } from '@supabase/supabase-js';
 import crypto from 'crypto';
+import { getSettings } from './_lib/config.js';
+import { graphErrorText, isGraphAuthError, updateFacebookStatus } from './_lib/facebook.js';
+import { sendError } from './_lib/errors.js';
+import { NEWS_FIELDS, postContentHash, postFromGraph, saveArchivePosts, saveArchiveTranslations } from './_lib/news-archive.js';
+import { getTranslator } from './_lib/translate.js';
+import { markOrphanedOverrides, withOverrides } from './_lib/translation-overrides.js';
+import { log, startRequest } from './_lib/log.js';
+import { getSupabaseAdmin } from './_lib/supabase.js';
 
 //Do przerobienia, bo jak token nie działa to na angielskiej stronie newsy są po polsku choć w bazie jest angielska wersja
 
-const supabase = createClient(
-  process.env.SUPABASE_URL,
-  process.env.SUPABASE_SERVICE_ROLE_KEY,
-  { auth: { persistSession: false } }
-);
-
-async function loadConfig(keys) {
-  const { data, error } = await supabase
-    .from('secret_config')
-    .select('key, value')
-    .in('key', keys);
-
-  if (error) {
-    throw new Error('Błąd czytania konfiguracji z Supabase: ' + error.message);
-  }
-
-  const cfg = {};
-  for (const row of data || []) {
-    cfg[row.key] = row.value;
-  }
-
-  // Walidacja minimalna
-  for (const k of keys) {
-    // deepl_api_key jest opcjonalny (bo endpoint PL może działać bez niego)
-    if (k === 'deepl_api_key') continue;
-    if (!cfg[k]) {
-      throw new Error(`Brak konfiguracji w Supabase (secret_config): ${k}`);
-    }
-  }
-
-  return cfg;
-}
-
-function normalizeText(s) {
-  return String(s || '')
-    .replace(/\s+/g, ' ')
-    .trim();
-}
-
-function postContentHash(p) {
-  const payload = {
-    title: normalizeText(p?.title),
-    body: normalizeText(p?.body)
-  };
-  return crypto.createHash('sha256').update(JSON.stringify(payload)).digest('hex');
-}
-
 // UWAGA: fingerprint liczymy WYŁĄCZNIE z treści (title+body).
-// Dzięki temu zmiany typu: data/link/obrazek nie powodują ponownego tłumaczenia w DeepL.
+// Dzięki temu zmiany typu: data/link/obrazek nie powodują ponownego tłumaczenia.
 function stablePostsFingerprint(posts) {
   const hashes = (posts || []).map(postContentHash);
   return crypto.createHash('sha256').update(JSON.stringify(hashes)).digest('hex');
 }
 
 
-async function translateManyWithDeepL(texts, apiKey) {
-  const clean = (texts || []).map(t => String(t ?? ''));
-  if (!clean.length) return [];
-
-  // Jeśli wszystkie puste – oszczędzamy request
-  if (clean.every(t => !t)) return clean.map(() => '');
-
-  const params = new URLSearchParams();
-  for (const t of clean) {
-    params.append('text', t);
-  }
-  params.set('target_lang', 'EN');
-
-  // DeepL API Free endpoint:
-  // https://api-free.deepl.com/v2/translate
-  const resp = await fetch('https://api-free.deepl.com/v2/translate', {
-    method: 'POST',
-    headers: {
-      'Authorization': `DeepL-Auth-Key ${apiKey}`,
-      'Content-Type': 'application/x-www-form-urlencoded'
-    },
-    body: params.toString()
-  });
-
-  if (!resp.ok) {
-    throw new Error(`DeepL HTTP ${resp.status}`);
-  }
+// Cache PL: facebook_news, tłumaczenia: facebook_news_<lang> (facebook_news_en jak dotąd)
+function cacheKeyFor(lang) {
+  return lang === 'pl' ? 'facebook_news' : `facebook_news_${lang}`;
+}
 
-  const json = await resp.json();
-  const out = (json?.translations || []).map(x => x?.text || '');
-  // Bezpiecznik: DeepL powinien zwrócić tyle samo elementów co wysłaliśmy
-  while (out.length < clean.length) out.push('');
-  return out.slice(0, clean.length);
+// Języki tłumaczeń z secret_config.news_languages (np. "en,de,it"); pl to język źródłowy
+function parseLanguages(list) {
+  const out = (list || []).map(l => l.toLowerCase()).filter(l => /^[a-z]{2}$/.test(l) && l !== 'pl');
+  return [...new Set(out)];
 }
 
-async function translateWithDeepL(text, apiKey) {
-  if (!text) return '';
-  const [t] = await translateManyWithDeepL([text], apiKey);
-  return t || text;
+// Kolejność zastępstw, gdy tłumaczenia na dany język jeszcze nie ma: sam język, potem angielski
+// (jeśli skonfigurowany). Polski dopiero wtedy, gdy Facebook nie odpowiada (niżej w handlerze).
+function fallbackChain(lang, languages) {
+  return lang !== 'en' && languages.includes('en') ? [lang, 'en'] : [lang];
 }
 
 
 export default async function handler(req, res) {
+  startRequest(req, res, 'facebook-news');
+
   if (req.method !== 'GET') {
-    res.statusCode = 405;
-    res.setHeader('Content-Type', 'application/json; charset=utf-8');
-    res.end(JSON.stringify({ error: 'Method not allowed' }));
+    sendError(res, req, 'method_not_allowed');
     return;
   }
 
   try {
-    const cfg = await loadConfig([
+    const supabase = getSupabaseAdmin();
+
+    // Ustawienia tłumaczeń (translation_provider, klucze) czyta _lib/translate.js — endpoint PL działa bez nich
+    const cfg = await getSettings(supabase, [
       'facebook_page_id',
       'posts_limit',
       'cache_refresh_hours',
       'page_access_token',
-      'deepl_api_key'
-    ]);
+      'news_languages'
+    ], { required: ['facebook_page_id', 'page_access_token'] });
 
     const pageId = cfg['facebook_page_id'];
-    const limit = Number(cfg['posts_limit'] ?? '3');
-    const cacheHrs = Number(cfg['cache_refresh_hours'] ?? '0.25');
+    const limit = cfg['posts_limit'];
+    const cacheHrs = cfg['cache_refresh_hours'];
     const accessToken = cfg['page_access_token'];
 
     const nowMs = Date.now();
 
     // Parametry endpointu:
-    // - /api/facebook-news?lang=en -> zwraca EN (z cache, a jeśli PL się zmieniło to aktualizuje EN)
-    // - /api/facebook-news?prefetch_en=1 -> przy wywołaniu PL próbuje odświeżyć EN (tylko jeśli zmiana)
+    // - /api/facebook-news?lang=en|de|it... -> zwraca tłumaczenie z cache (języki z news_languages)
+    // - /api/facebook-news?prefetch=1 -> przy wywołaniu PL odświeża tłumaczenia wszystkich języków
+    //   (tylko tych, których treść się zmieniła); prefetch=de,it -> tylko wybrane; prefetch_en=1 = prefetch=en
     const urlObj = new URL(req.url, 'http://localhost');
     const lang = (urlObj.searchParams.get('lang') || 'pl').toLowerCase();
-    const prefetchEn = urlObj.searchParams.get('prefetch_en') === '1';
+    const languages = parseLanguages(cfg['news_languages']);
 
-    const cacheKeyPL = 'facebook_news';
-    const cacheKeyEN = 'facebook_news_en';
+    if (lang !== 'pl' && !languages.includes(lang)) {
+      sendError(res, req, 'unsupported_language', { params: { lang: lang.slice(0, 10) } });
+      return;
+    }
 
-    async function ensureEnglishCache({ sourceHash, posts }) {
-      const deeplKey = cfg['deepl_api_key'];
-      if (!deeplKey) {
-        throw new Error('Brak deepl_api_key w secret_config.');
-      }
+    const prefetchParam = urlObj.searchParams.get('prefetch') || '';
+    const prefetchLangs = prefetchParam === '1'
+      ? languages
+      : languages.filter(l => prefetchParam.split(',').includes(l));
+    if (urlObj.searchParams.get('prefetch_en') === '1' && languages.includes('en') && !prefetchLangs.includes('en')) {
+      prefetchLangs.push('en');
+    }
 
-      // Liczymy hash WYŁĄCZNIE z treści (title+body), żeby uniknąć fałszywych zmian.
-      // sourceHash jest przekazywany z zewnątrz, ale dla pewności przeliczamy go stabilnie.
-      const localSourceHash = stablePostsFingerprint(posts || []);
+    const cacheKeyPL = cacheKeyFor('pl');
 
-      // 1) Odczyt aktualnego EN cache
-      const { data: enRow, error: enReadErr } = await supabase
+    async function readLanguageCache(l) {
+      const { data: row, error } = await supabase
         .from('facebook_cache')
         .select('data')
-        .eq('cache_key', cacheKeyEN)
+        .eq('cache_key', cacheKeyFor(l))
         .maybeSingle();
 
-      if (enReadErr) {
-        console.error('Supabase EN cache read error:', enReadErr);
+      if (error) {
+        log.error('Supabase translation cache read error', { lang: l, err: error });
+      }
+      return row?.data || null;
+    }
+
+    // Model B: przy wywołaniu z ?lang=xx nigdy nie tłumaczymy, zwracamy tylko to, co jest w cache
+    // (język albo jego zastępstwo, patrz fallbackChain). false = brak tłumaczenia.
+    // Ręczne tłumaczenia (news_translation_overrides) nakładamy dopiero tutaj — cache zostaje
+    // maszynowy, więc odświeżenie ich nie nadpisze.
+    async function sendTranslation() {
+      for (const l of fallbackChain(lang, languages)) {
+        const data = await readLanguageCache(l);
+        if (data?.posts) {
+          const posts = await withOverrides(supabase, l, data.posts);
+          res.statusCode = 200;
+          res.setHeader('Content-Type', 'application/json; charset=utf-8');
+          res.setHeader('Content-Language', l);
+          res.end(JSON.stringify({ ...data, lang: l, posts }));
+          return true;
+        }
       }
+      return false;
+    }
+
+    // Dostawca tłumaczeń i glosariusz wczytywane raz na wywołanie (dopiero gdy trzeba tłumaczyć)
+    let translator = null;
+
+    async function ensureLanguageCache(targetLang, { posts }) {
+      if (!translator) translator = await getTranslator(supabase);
+      // Zmiana dostawcy albo glosariusza dla tego języka = tłumaczymy od nowa
+      const translatorVersion = translator.version(targetLang);
+
+      // Liczymy hash WYŁĄCZNIE z treści (title+body), żeby uniknąć fałszywych zmian.
+      const localSourceHash = stablePostsFingerprint(posts || []);
+
+      // 1) Odczyt aktualnego cache tego języka
+      const cached = await readLanguageCache(targetLang);
+      const sameTranslator = cached?.translator === translatorVersion;
 
-      // Jeśli EN cache już ma ten sam hash treści — nic nie robimy
-      const existingHash = enRow?.data?.source_hash;
-      if (existingHash && existingHash === localSourceHash) {
-        return enRow.data;
+      // Jeśli cache już ma ten sam hash treści — nic nie robimy
+      const existingHash = cached?.source_hash;
+      if (existingHash && existingHash === localSourceHash && sameTranslator) {
+        return cached;
       }
 
-      const existingPosts = Array.isArray(enRow?.data?.posts) ? enRow.data.posts : [];
+      const existingPosts = Array.isArray(cached?.posts) && sameTranslator ? cached.posts : [];
 
-      // 2) Indeksujemy istniejące EN posty po content_hash (jeśli jest)
-      const enByContentHash = new Map();
+      // 2) Indeksujemy istniejące przetłumaczone posty po content_hash (jeśli jest)
+      const byContentHash = new Map();
       for (const p of existingPosts) {
         if (p && p.content_hash) {
-          enByContentHash.set(p.content_hash, p);
+          byContentHash.set(p.content_hash, p);
         }
       }
 
-      // 3) Budujemy nową listę EN postów:
-      //    - jeśli post o tym samym content_hash już jest w EN cache -> reuse tłumaczeń
+      // 3) Budujemy nową listę postów w tym języku:
+      //    - jeśli post o tym samym content_hash już jest w cache -> reuse tłumaczeń
       //    - jeśli nie -> tłumaczymy tylko ten post
-      const nextEnPosts = [];
+      const nextPosts = [];
       const toTranslate = []; // { idx, field, text }
 
       for (const p of posts || []) {
         const contentHash = postContentHash(p);
-        const existing = enByContentHash.get(contentHash);
+        const existing = byContentHash.get(contentHash);
 
         if (existing && (existing.title != null || existing.body != null)) {
-          nextEnPosts.push({
+          nextPosts.push({
             ...existing,
             // świeże pola z FB (mogą się zmieniać niezależnie od treści)
+            id: p.id || null,
             date: p.date || null,
             link: p.link || null,
             image: p.image || '',
@@ -194,7 +173,7 @@ export default async function handler(req, res) {
         }
 
         // Brak w cache — dodaj placeholder i przetłumacz tylko tę pozycję
-        const idx = nextEnPosts.push({
+        const idx = nextPosts.push({
           ...p,
           content_hash: contentHash,
           title: null,
@@ -211,7 +190,7 @@ export default async function handler(req, res) {
       for (let i = 0; i < toTranslate.length; i++) {
         const t = toTranslate[i];
         if (!t.text) {
-          nextEnPosts[t.idx][t.field] = '';
+          nextPosts[t.idx][t.field] = '';
           continue;
         }
         slots.push(i);
@@ -219,34 +198,43 @@ export default async function handler(req, res) {
       }
 
       if (texts.length) {
-        const translated = await translateManyWithDeepL(texts, deeplKey);
+        const translated = await translator.translateMany(texts, targetLang);
         for (let j = 0; j < translated.length; j++) {
           const originalIndex = slots[j];
           const t = toTranslate[originalIndex];
-          nextEnPosts[t.idx][t.field] = translated[j] || '';
+          nextPosts[t.idx][t.field] = translated[j] || '';
         }
       }
 
-      const enPayload = {
+      const payload = {
         cached_at: Math.floor(Date.now() / 1000),
         source_hash: localSourceHash,
-        posts: nextEnPosts
+        lang: targetLang,
+        translator: translatorVersion,
+        posts: nextPosts
       };
 
-      // 5) Zapis EN cache
-      const { error: enWriteErr } = await supabase
+      // 5) Zapis cache tego języka
+      const { error: writeErr } = await supabase
         .from('facebook_cache')
         .upsert({
-          cache_key: cacheKeyEN,
-          data: enPayload,
+          cache_key: cacheKeyFor(targetLang),
+          data: payload,
           cached_at: new Date().toISOString()
         });
 
-      if (enWriteErr) {
-        throw new Error(`Supabase EN cache write error: ${enWriteErr.message}`);
+      if (writeErr) {
+        throw new Error(`Supabase ${targetLang} cache write error: ${writeErr.message}`);
+      }
+
+      // 6) Tłumaczenia trafiają też do archiwum (news_post_translations)
+      try {
+        await saveArchiveTranslations(supabase, targetLang, nextPosts, translatorVersion);
+      } catch (e) {
+        log.error('Błąd zapisu tłumaczeń do archiwum', { lang: targetLang, err: e });
       }
 
-      return enPayload;
+      return payload;
     }
 
 
@@ -260,7 +248,7 @@ export default async function handler(req, res) {
         .maybeSingle();
 
       if (cacheError) {
-        console.error('Błąd odczytu cache z Supabase:', cacheError);
+        log.error('Błąd odczytu cache z Supabase', { err: cacheError });
       } else if (cacheRow && cacheRow.data && cacheRow.cached_at) {
         const cachedTime = new Date(cacheRow.cached_at).getTime();
         const diffHours = (nowMs - cachedTime) / 1000 / 3600;
@@ -268,26 +256,12 @@ export default async function handler(req, res) {
         if (diffHours < cacheHrs) {
           const plPayload = cacheRow.data;
 
-          // Model B: gdy prosisz o EN, nigdy nie generujemy tłumaczeń na tym wywołaniu.
-          // Zwracamy tylko to, co jest już w cache EN.
-          if (lang === 'en') {
-            const { data: enRow } = await supabase
-              .from('facebook_cache')
-              .select('data')
-              .eq('cache_key', cacheKeyEN)
-              .maybeSingle();
-
-            if (enRow?.data?.posts) {
-              res.statusCode = 200;
-              res.setHeader('Content-Type', 'application/json; charset=utf-8');
-              res.end(JSON.stringify(enRow.data));
-              return;
-            }
-
-            // EN nie jest jeszcze przygotowane — trzeba najpierw odświeżyć PL z prefetch_en=1
-            res.statusCode = 503;
-            res.setHeader('Content-Type', 'application/json; charset=utf-8');
-            res.end(JSON.stringify({ error: 'EN cache nie jest jeszcze przygotowane. Odśwież wersję PL (index.html), aby wygenerować tłumaczenie.' }));
+          // Model B: gdy prosisz o tłumaczenie, nigdy nie generujemy go na tym wywołaniu.
+          if (lang !== 'pl') {
+            if (await sendTranslation()) return;
+
+            // Tłumaczenie nie jest jeszcze przygotowane — trzeba najpierw odświeżyć PL z prefetch=1
+            sendError(res, req, 'translation_pending');
             return;
           }
 
@@ -303,45 +277,37 @@ export default async function handler(req, res) {
     }
 
     // 2. Zapytanie do Graph API
-    const fields = [
-      'message',
-      'story',
-      'created_time',
-      'permalink_url',
-      'full_picture'
-    ].join(',');
-
-    const fbUrl = `https://graph.facebook.com/v24.0/${pageId}/posts?fields=${fields}&limit=${limit}&access_token=${accessToken}`;
+    const fbUrl = `https://graph.facebook.com/v24.0/${pageId}/posts?fields=${NEWS_FIELDS}&limit=${limit}&access_token=${accessToken}`;
 
     let fbJson;
     try {
       const fbRes = await fetch(fbUrl);
       if (!fbRes.ok) {
         const text = await fbRes.text();
-        console.error('Facebook API error:', fbRes.status, text);
+        let fbError = null;
+        try {
+          fbError = JSON.parse(text)?.error || null;
+        } catch {
+          // nie-JSON (np. strona błędu), zostaje sam status HTTP
+        }
+        log.error('Facebook API error', { status: fbRes.status, body: text, token_rejected: isGraphAuthError(fbError) });
+        // Zapis w facebook_token_status: widoczne w /api/fb-status, a token odrzucony przez FB
+        // wykrywa codzienny /api/fb-token-check i wysyła maila z linkiem do odnowienia
+        await updateFacebookStatus(supabase, {
+          last_error_at: new Date().toISOString(),
+          last_error: fbError ? graphErrorText(fbError) : `HTTP ${fbRes.status}`,
+        });
         throw new Error('Facebook API error');
       }
       fbJson = await fbRes.json();
+      await updateFacebookStatus(supabase, { last_success_at: new Date().toISOString(), last_error: null });
     } catch (err) {
-  console.error('Błąd pobierania z Facebooka:', err);
+  log.error('Błąd pobierania z Facebooka', { err });
 
-  // 🔹 JEŚLI pytają o EN – spróbuj zwrócić EN cache
-  if (lang === 'en') {
-    const { data: enRow } = await supabase
-      .from('facebook_cache')
-      .select('data')
-      .eq('cache_key', cacheKeyEN)
-      .maybeSingle();
+  // 🔹 JEŚLI pytają o tłumaczenie – spróbuj zwrócić cache tego języka (albo zastępstwa)
+  if (lang !== 'pl' && await sendTranslation()) return;
 
-    if (enRow?.data?.posts) {
-      res.statusCode = 200;
-      res.setHeader('Content-Type', 'application/json; charset=utf-8');
-      res.end(JSON.stringify(enRow.data));
-      return;
-    }
-  }
-
-  // 🔹 Dopiero jeśli EN nie ma (albo lang=pl) – fallback do PL
+  // 🔹 Dopiero jeśli tłumaczenia nie ma (albo lang=pl) – fallback do PL
   if (fallbackCache) {
     res.statusCode = 200;
     res.setHeader('Content-Type', 'application/json; charset=utf-8');
@@ -349,74 +315,29 @@ export default async function handler(req, res) {
     return;
   }
 
-  res.statusCode = 500;
-  res.setHeader('Content-Type', 'application/json; charset=utf-8');
-  res.end(JSON.stringify({ error: 'Błąd pobierania danych z Facebooka.' }));
+  sendError(res, req, 'news_unavailable');
   return;
 }
 
 
     if (!fbJson || !Array.isArray(fbJson.data) || fbJson.data.length === 0) {
+      if (lang !== 'pl' && await sendTranslation()) return;
       if (fallbackCache) {
         res.statusCode = 200;
         res.setHeader('Content-Type', 'application/json; charset=utf-8');
         res.end(JSON.stringify(fallbackCache));
         return;
       }
-      res.statusCode = 500;
-      res.setHeader('Content-Type', 'application/json; charset=utf-8');
-      res.end(JSON.stringify({ error: 'Nieprawidłowa odpowiedź z Facebooka.', raw: fbJson }));
+      log.error('Unexpected Facebook API response', { response: fbJson });
+      sendError(res, req, 'news_unavailable');
       return;
     }
 
-    // 3. Zbudowanie tablicy postów (prawie jak w PHP)
-    const posts = [];
-    for (const item of fbJson.data) {
-      const message = item.message || item.story || '';
-      if (!message) continue;
-
-      let titleRaw = message || item.story || '';
-      let title = titleRaw.trim();
-
-      // 1. Tytuł do pierwszego znaku kończącego zdanie (. ! ?)
-      const stopIndex = title.search(/[.!?]/);
-      if (stopIndex !== -1) {
-        title = title.slice(0, stopIndex + 1).trim();
-      } else {
-        // 2. Jeśli nie ma kropki/!/?, bierzemy pierwszą linię
-        const newlineIndex = title.indexOf('\n');
-        if (newlineIndex !== -1) {
-          title = title.slice(0, newlineIndex).trim();
-        }
-      }
-
-      // 3. Ostateczne skrócenie, jeśli bardzo długie (np. > 60 znaków)
-      const maxTitle = 60;
-      if (title.length > maxTitle) {
-        title = title.slice(0, maxTitle - 1) + '…';
-      }
-
-      posts.push({
-        title,
-        body: message,
-        date: item.created_time || null,
-        image: item.full_picture || 'images/mariacki_short_id2.jpg',
-        link: item.permalink_url || null
-      });
-    }
-
-// content_hash pomaga w re-use tłumaczeń (EN cache) per post
-for (const p of posts) {
-  p.content_hash = postContentHash(p);
-}
+    // 3. Zbudowanie tablicy postów (tytuł = pierwsze zdanie, content_hash do re-use tłumaczeń; patrz _lib/news-archive.js)
+    const posts = fbJson.data.map(postFromGraph).filter(Boolean);
 
 const sourceHash = stablePostsFingerprint(posts);
 
-    // Model B: tłumaczymy EN tylko wtedy, gdy ZMIENIŁ SIĘ stan postów PL.
-    const previousHash = fallbackCache?.source_hash || null;
-    const plChanged = !previousHash || previousHash !== sourceHash;
-
-
     const payload = {
       cached_at: Math.floor(nowMs / 1000),
       source_hash: sourceHash,
@@ -434,35 +355,34 @@ const sourceHash = stablePostsFingerprint(posts);
         });
 
       if (upsertError) {
-        console.error('Błąd zapisu cache do Supabase:', upsertError);
+        log.error('Błąd zapisu cache do Supabase', { err: upsertError });
       }
 
-      if (lang === 'en') {
-        // Model B: nie generujemy tłumaczeń przy wywołaniu EN.
-        const { data: enRow } = await supabase
-          .from('facebook_cache')
-          .select('data')
-          .eq('cache_key', cacheKeyEN)
-          .maybeSingle();
+      // Każdy pobrany post zostaje w archiwum (news_posts), także gdy wypadnie z posts_limit
+      try {
+        await saveArchivePosts(supabase, posts);
+      } catch (e) {
+        log.error('Błąd zapisu postów do archiwum', { err: e });
+      }
 
-        if (enRow?.data?.posts) {
-          res.statusCode = 200;
-          res.setHeader('Content-Type', 'application/json; charset=utf-8');
-          res.end(JSON.stringify(enRow.data));
-          return;
-        }
+      // Post o tym samym linku, ale ze zmienioną polską treścią -> jego ręczne tłumaczenia są osierocone
+      await markOrphanedOverrides(supabase, posts);
 
-        res.statusCode = 503;
-        res.setHeader('Content-Type', 'application/json; charset=utf-8');
-        res.end(JSON.stringify({ error: 'EN cache nie jest jeszcze przygotowane. Odśwież wersję PL (index.html), aby wygenerować tłumaczenie.' }));
+      if (lang !== 'pl') {
+        // Model B: nie generujemy tłumaczeń przy wywołaniu z ?lang=xx.
+        if (await sendTranslation()) return;
+
+        sendError(res, req, 'translation_pending');
         return;
       }
 
-      if (prefetchEn && plChanged) {
+      // Model B: tłumaczymy tylko wtedy, gdy ZMIENIŁ SIĘ stan postów PL — ensureLanguageCache
+      // porównuje source_hash, więc dla języka bez zmian to tylko odczyt cache.
+      for (const l of prefetchLangs) {
         try {
-          await ensureEnglishCache({ sourceHash, posts });
+          await ensureLanguageCache(l, { posts });
         } catch (e) {
-          console.error('Prefetch EN error:', e);
+          log.error('Prefetch translation error', { lang: l, err: e });
         }
       }
 
@@ -474,23 +394,10 @@ const sourceHash = stablePostsFingerprint(posts);
 
     // Brak nowych postów → stary cache
     if (fallbackCache) {
-      if (lang === 'en') {
-        const { data: enRow } = await supabase
-          .from('facebook_cache')
-          .select('data')
-          .eq('cache_key', cacheKeyEN)
-          .maybeSingle();
-
-        if (enRow?.data?.posts) {
-          res.statusCode = 200;
-          res.setHeader('Content-Type', 'application/json; charset=utf-8');
-          res.end(JSON.stringify(enRow.data));
-          return;
-        }
+      if (lang !== 'pl') {
+        if (await sendTranslation()) return;
 
-        res.statusCode = 503;
-        res.setHeader('Content-Type', 'application/json; charset=utf-8');
-        res.end(JSON.stringify({ error: 'EN cache nie jest jeszcze przygotowane. Odśwież wersję PL (index.html), aby wygenerować tłumaczenie.' }));
+        sendError(res, req, 'translation_pending');
         return;
       }
 
@@ -504,9 +411,7 @@ const sourceHash = stablePostsFingerprint(posts);
     res.setHeader('Content-Type', 'application/json; charset=utf-8');
     res.end(JSON.stringify({ cached_at: Math.floor(nowMs / 1000), source_hash: stablePostsFingerprint([]), posts: [] }));
   } catch (err) {
-    console.error(err);
-    res.statusCode = 500;
-    res.setHeader('Content-Type', 'application/json; charset=utf-8');
-    res.end(JSON.stringify({ error: 'Błąd serwera.' }));
+    log.error('Request failed', { err });
+    sendError(res, req, 'server_error');
   }
 }
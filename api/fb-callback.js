@@ -1,27 +1,7 @@
-import { createClient } from '@supabase/supabase-js';
-
-const supabase = createClient(
-  process.env.SUPABASE_URL,
-  process.env.SUPABASE_SERVICE_ROLE_KEY,
-  { auth: { persistSession: false } }
-);
-
-async function loadConfig(keys) {
-  const { data, error } = await supabase
-    .from('secret_config')
-    .select('key, value')
-    .in('key', keys);
-
-  if (error) {
-    throw new Error('Błąd czytania konfiguracji z Supabase: ' + error.message);
-  }
-
-  const map = {};
-  for (const row of data || []) {
-    map[row.key] = row.value;
-  }
-  return map;
-}
+import { getSettings, saveSetting } from './_lib/config.js';
+import { debugFacebookToken, recordSavedToken } from './_lib/facebook.js';
+import { log, startRequest } from './_lib/log.js';
+import { getSupabaseAdmin } from './_lib/supabase.js';
 
 function parseCookies(cookieHeader) {
   const out = {};
@@ -35,6 +15,8 @@ function parseCookies(cookieHeader) {
 }
 
 export default async function handler(req, res) {
+  startRequest(req, res, 'fb-callback');
+
   if (req.method !== 'GET') {
     res.statusCode = 405;
     res.end('Method not allowed');
@@ -44,7 +26,8 @@ export default async function handler(req, res) {
   res.setHeader('Content-Type', 'text/html; charset=utf-8');
 
   try {
-    const cfg = await loadConfig(['facebook_app_id', 'facebook_app_secret', 'facebook_page_id']);
+    const supabase = getSupabaseAdmin();
+    const cfg = await getSettings(supabase, ['facebook_app_id', 'facebook_app_secret', 'facebook_page_id']);
 
     const appId = cfg['facebook_app_id'];
     const appSecret = cfg['facebook_app_secret'];
@@ -93,7 +76,7 @@ export default async function handler(req, res) {
       if (!tokenRes.ok) throw new Error('HTTP ' + tokenRes.status);
       tokenJson = await tokenRes.json();
     } catch (err) {
-      console.error('Błąd pobierania access_token:', err);
+      log.error('Błąd pobierania access_token', { err });
       res.statusCode = 500;
       res.end('<h1>Błąd</h1><p>Nie udało się pobrać access token z Facebooka.</p>');
       return;
@@ -124,7 +107,7 @@ export default async function handler(req, res) {
         }
       }
     } catch (err) {
-      console.error('Błąd wymiany na long-lived token:', err);
+      log.error('Błąd wymiany na long-lived token', { err });
     }
 
     // 6. Page access token dla strony
@@ -140,7 +123,7 @@ export default async function handler(req, res) {
       if (!pageRes.ok) throw new Error('HTTP ' + pageRes.status);
       pageJson = await pageRes.json();
     } catch (err) {
-      console.error('Błąd pobierania Page Access Token:', err);
+      log.error('Błąd pobierania Page Access Token', { err });
       res.statusCode = 500;
       res.end('<h1>Błąd</h1><p>Nie udało się pobrać Page Access Token.</p>');
       return;
@@ -154,26 +137,39 @@ export default async function handler(req, res) {
     }
 
     // 7. Zapis tokena do Supabase
-    const { error: saveError } = await supabase
-      .from('secret_config')
-      .upsert({ key: 'page_access_token', value: pageAccessToken });
-
-    if (saveError) {
-      console.error('Nie udało się zapisać tokena do Supabase:', saveError);
+    try {
+      await saveSetting(supabase, 'page_access_token', pageAccessToken);
+    } catch (err) {
+      log.error('Nie udało się zapisać tokena do Supabase', { err });
       res.statusCode = 500;
       res.end('<h1>Błąd</h1><p>Token pobrano, ale nie udało się go zapisać w bazie.</p>');
       return;
     }
 
+    // 8. Ważność i uprawnienia tokena (facebook_token_status, sprawdzane codziennie przez /api/fb-token-check)
+    let tokenInfo = null;
+    try {
+      tokenInfo = await debugFacebookToken({ token: pageAccessToken, appId, appSecret });
+    } catch (err) {
+      log.warn('Nie udało się sprawdzić ważności tokena', { err });
+    }
+    await recordSavedToken(supabase, tokenInfo);
+
+    const expiry = !tokenInfo
+      ? 'nie udało się sprawdzić'
+      : tokenInfo.expiresAt ? tokenInfo.expiresAt.toISOString().slice(0, 10) : 'bezterminowo';
+    const dataAccess = tokenInfo?.dataAccessExpiresAt ? tokenInfo.dataAccessExpiresAt.toISOString().slice(0, 10) : '';
+
     res.statusCode = 200;
     res.end(`
       <h1>Token zapisany 🎉</h1>
       <p>Nowy Page Access Token został zapisany w Supabase (tabela <code>secret_config</code>, klucz <code>page_access_token</code>).</p>
       <p>Teraz endpoint <code>/api/facebook-news</code> będzie go używać automatycznie.</p>
+      <p>Ważność tokena: ${expiry}${dataAccess ? `, dostęp do danych do ${dataAccess}` : ''}.</p>
       <p>Możesz zamknąć tę stronę.</p>
     `);
   } catch (err) {
-    console.error(err);
+    log.error('Request failed', { err });
     res.statusCode = 500;
     res.end('<h1>Błąd serwera</h1><p>Coś poszło nie tak.</p>');
   }
@@ -1,30 +1,13 @@
-import { createClient } from '@supabase/supabase-js';
 import crypto from 'crypto';
-
-const supabase = createClient(
-  process.env.SUPABASE_URL,
-  process.env.SUPABASE_SERVICE_ROLE_KEY,
-  { auth: { persistSession: false } }
-);
-
-async function loadConfig(keys) {
-  const { data, error } = await supabase
-    .from('secret_config')
-    .select('key, value')
-    .in('key', keys);
-
-  if (error) {
-    throw new Error('Błąd czytania konfiguracji z Supabase: ' + error.message);
-  }
-
-  const map = {};
-  for (const row of data || []) {
-    map[row.key] = row.value;
-  }
-  return map;
-}
+import { safeEqual } from './_lib/auth.js';
+import { getSettings } from './_lib/config.js';
+import { verifyRenewToken } from './_lib/facebook.js';
+import { log, startRequest } from './_lib/log.js';
+import { getSupabaseAdmin } from './_lib/supabase.js';
 
 export default async function handler(req, res) {
+  startRequest(req, res, 'fb-login');
+
   if (req.method !== 'GET') {
     res.statusCode = 405;
     res.end('Method not allowed');
@@ -32,7 +15,7 @@ export default async function handler(req, res) {
   }
 
   try {
-    const cfg = await loadConfig(['facebook_app_id', 'admin_secret']);
+    const cfg = await getSettings(getSupabaseAdmin(), ['facebook_app_id', 'admin_secret']);
 
     const appId = cfg['facebook_app_id'];
     const adminSecret = cfg['admin_secret'];
@@ -45,10 +28,16 @@ export default async function handler(req, res) {
 
     const currentUrl = new URL(req.url, 'http://localhost');
     const provided = currentUrl.searchParams.get('s');
+    // ?t= to podpisany link z maila o wygasającym tokenie (/api/fb-token-check)
+    const renewToken = currentUrl.searchParams.get('t');
+
+    const allowed = provided
+      ? safeEqual(provided, adminSecret)
+      : verifyRenewToken(adminSecret, renewToken);
 
-    if (!provided || provided !== adminSecret) {
+    if (!allowed) {
       res.statusCode = 403;
-      res.end('Brak dostępu (zły sekret administratora).');
+      res.end('Brak dostępu (zły sekret administratora albo wygasły link).');
       return;
     }
 
@@ -85,7 +74,7 @@ export default async function handler(req, res) {
     res.setHeader('Location', url);
     res.end();
   } catch (err) {
-    console.error(err);
+    log.error('Request failed', { err });
     res.statusCode = 500;
     res.end('Błąd serwera.');
   }
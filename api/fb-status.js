@@ -0,0 +1,65 @@
+import { getSupabaseAdmin } from './_lib/supabase.js';
+import { isAdminRequest } from './_lib/auth.js';
+import { getSettings } from './_lib/config.js';
+import { daysUntil, getFacebookStatus, tokenDeadline } from './_lib/facebook.js';
+import { sendError } from './_lib/errors.js';
+import { log, startRequest } from './_lib/log.js';
+
+// GET /api/fb-status (Authorization: Bearer <admin_secret>)
+// Recorded state of the Facebook page token: when it was saved, its expiry and scopes, the last
+// daily check and the last successful news refresh from the Graph API. No Graph API call is made;
+// /api/fb-token-check?dry=1 checks the token live.
+
+function toDate(value) {
+  return value ? new Date(value) : null;
+}
+
+export default async function handler(req, res) {
+  startRequest(req, res, 'fb-status');
+
+  res.setHeader('Content-Type', 'application/json; charset=utf-8');
+  res.setHeader('Cache-Control', 'private, no-store');
+
+  if (req.method !== 'GET') {
+    sendError(res, req, 'method_not_allowed');
+    return;
+  }
+
+  try {
+    const supabase = getSupabaseAdmin();
+
+    if (!(await isAdminRequest(req, supabase))) {
+      sendError(res, req, 'unauthorized');
+      return;
+    }
+
+    const { page_access_token: token } = await getSettings(supabase, ['page_access_token']);
+    const status = await getFacebookStatus(supabase);
+    const deadline = tokenDeadline({
+      expiresAt: toDate(status?.expires_at),
+      dataAccessExpiresAt: toDate(status?.data_access_expires_at),
+    });
+
+    res.statusCode = 200;
+    res.end(JSON.stringify({
+      token_configured: !!token,
+      token_saved_at: status?.token_saved_at || null,
+      token_type: status?.token_type || null,
+      expires_at: status?.expires_at || null,
+      data_access_expires_at: status?.data_access_expires_at || null,
+      days_left: daysUntil(deadline),
+      scopes: status?.scopes || [],
+      last_check_at: status?.last_check_at || null,
+      last_check_status: status?.last_check_status || null,
+      last_check_error: status?.last_check_error || null,
+      last_success_at: status?.last_success_at || null,
+      last_error_at: status?.last_error_at || null,
+      last_error: status?.last_error || null,
+      last_alert_at: status?.last_alert_at || null,
+      renew_url: '/api/fb-login',
+    }));
+  } catch (err) {
+    log.error('Request failed', { err });
+    sendError(res, req, 'server_error');
+  }
+}
@@ -0,0 +1,38 @@
+import { getSupabaseAdmin } from './_lib/supabase.js';
+import { isAdminRequest, isCronRequest } from './_lib/auth.js';
+import { checkFacebookToken } from './_lib/facebook.js';
+import { sendError } from './_lib/errors.js';
+import { log, startRequest } from './_lib/log.js';
+
+// Daily check of the Facebook page token (Vercel Cron, see vercel.json; also callable by an admin).
+// GET ?dry=1 only reports, without emailing the renewal link. See _lib/facebook.js.
+
+export default async function handler(req, res) {
+  startRequest(req, res, 'fb-token-check');
+
+  res.setHeader('Content-Type', 'application/json; charset=utf-8');
+  res.setHeader('Cache-Control', 'private, no-store');
+
+  if (req.method !== 'GET' && req.method !== 'POST') {
+    sendError(res, req, 'method_not_allowed');
+    return;
+  }
+
+  try {
+    const supabase = getSupabaseAdmin();
+
+    if (!isCronRequest(req) && !(await isAdminRequest(req, supabase))) {
+      sendError(res, req, 'unauthorized');
+      return;
+    }
+
+    const u = new URL(req.url, 'http://localhost');
+    const result = await checkFacebookToken(supabase, { notify: u.searchParams.get('dry') !== '1' });
+
+    res.statusCode = 200;
+    res.end(JSON.stringify(result));
+  } catch (err) {
+    log.error('Request failed', { err });
+    sendError(res, req, 'server_error');
+  }
+}
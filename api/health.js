@@ -0,0 +1,75 @@
+import { getSupabaseAdmin } from './_lib/supabase.js';
+import { isAdminRequest } from './_lib/auth.js';
+import { HEALTH_CHECKS, runHealthChecks } from './_lib/health.js';
+import { sendError } from './_lib/errors.js';
+import { log, startRequest } from './_lib/log.js';
+
+// GET /api/health (Authorization: Bearer <admin_secret> or ?s=<admin_secret>)
+// Checks configuration, Supabase, Przelewy24 (testAccess), the Facebook page token and the
+// translation provider.
+// ?check=p24,facebook limits the checks. For uptime monitoring: HTTP 200 when the overall status
+// is ok or warn, 503 when any check fails; the body lists every check (see _lib/health.js).
+
+export default async function handler(req, res) {
+  startRequest(req, res, 'health');
+
+  res.setHeader('Content-Type', 'application/json; charset=utf-8');
+  res.setHeader('Cache-Control', 'no-store');
+
+  if (req.method !== 'GET') {
+    sendError(res, req, 'method_not_allowed');
+    return;
+  }
+
+  const started = Date.now();
+
+  try {
+    const supabase = getSupabaseAdmin();
+
+    // The admin secret is read from the database: when that fails, say so instead of a bare 500
+    let allowed;
+    try {
+      allowed = await isAdminRequest(req, supabase);
+    } catch (err) {
+      log.error('[health] admin check failed', { err });
+      res.statusCode = 503;
+      res.end(JSON.stringify({
+        status: 'fail',
+        time: new Date().toISOString(),
+        checks: { database: { status: 'fail', error: 'Could not read secret_config' } },
+      }));
+      return;
+    }
+
+    if (!allowed) {
+      sendError(res, req, 'unauthorized');
+      return;
+    }
+
+    const u = new URL(req.url, 'http://localhost');
+    const requested = String(u.searchParams.get('check') || '')
+      .split(',')
+      .map(s => s.trim())
+      .filter(s => HEALTH_CHECKS.includes(s));
+
+    const result = await runHealthChecks(supabase, requested.length ? requested : HEALTH_CHECKS);
+
+    if (result.status !== 'ok') {
+      const failing = Object.entries(result.checks)
+        .filter(([, c]) => c.status === 'fail' || c.status === 'warn')
+        .map(([name, c]) => `${name}:${c.status}`);
+      log.warn('[health] not ok', { status: result.status, checks: failing });
+    }
+
+    res.statusCode = result.status === 'fail' ? 503 : 200;
+    res.end(JSON.stringify({
+      status: result.status,
+      time: new Date().toISOString(),
+      duration_ms: Date.now() - started,
+      checks: result.checks,
+    }));
+  } catch (err) {
+    log.error('Request failed', { err });
+    sendError(res, req, 'server_error');
+  }
+}
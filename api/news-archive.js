@@ -0,0 +1,56 @@
+import { getSupabaseAdmin } from './_lib/supabase.js';
+import { getSettings } from './_lib/config.js';
+import { decodeCursor, listArchive } from './_lib/news-archive.js';
+import { sendError } from './_lib/errors.js';
+import { log, startRequest } from './_lib/log.js';
+
+// GET /api/news-archive?lang=pl|en|...&limit=12&cursor=<next_cursor>
+// All posts ever fetched from the Facebook page, newest first: { posts, next_cursor }.
+// next_cursor is null on the last page. lang: pl or one of secret_config.news_languages; posts
+// without a translation yet are returned in Polish (post.lang = 'pl'). See _lib/news-archive.js.
+
+const DEFAULT_LIMIT = 12;
+const MAX_LIMIT = 50;
+
+export default async function handler(req, res) {
+  startRequest(req, res, 'news-archive');
+
+  res.setHeader('Content-Type', 'application/json; charset=utf-8');
+
+  if (req.method !== 'GET') {
+    sendError(res, req, 'method_not_allowed');
+    return;
+  }
+
+  try {
+    const supabase = getSupabaseAdmin();
+    const u = new URL(req.url, 'http://localhost');
+
+    const lang = String(u.searchParams.get('lang') || 'pl').toLowerCase();
+    if (lang !== 'pl') {
+      const { news_languages: languages } = await getSettings(supabase, ['news_languages']);
+      if (!languages.map(l => l.toLowerCase()).includes(lang)) {
+        sendError(res, req, 'unsupported_language', { params: { lang: lang.slice(0, 10) } });
+        return;
+      }
+    }
+
+    const rawCursor = u.searchParams.get('cursor');
+    const cursor = rawCursor ? decodeCursor(rawCursor) : null;
+    if (rawCursor && !cursor) {
+      sendError(res, req, 'invalid_cursor');
+      return;
+    }
+
+    const limit = Math.min(MAX_LIMIT, Math.max(1, Math.trunc(Number(u.searchParams.get('limit'))) || DEFAULT_LIMIT));
+    const result = await listArchive(supabase, { lang, cursor, limit });
+
+    res.statusCode = 200;
+    res.setHeader('Cache-Control', 'public, s-maxage=300, stale-while-revalidate=600');
+    res.setHeader('Content-Language', lang);
+    res.end(JSON.stringify({ lang, ...result }));
+  } catch (err) {
+    log.error('Request failed', { err });
+    sendError(res, req, 'server_error');
+  }
+}
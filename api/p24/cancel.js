@@ -0,0 +1,114 @@
+import { getSupabaseAdmin } from '../_lib/supabase.js';
+import { readForm } from '../_lib/body.js';
+import { safeEqual } from '../_lib/auth.js';
+import { formatAmount } from '../_lib/currencies.js';
+import { log, recordEvent, startRequest } from '../_lib/log.js';
+
+// Cancelling a monthly donation from the link in the thank-you email.
+// GET shows a confirmation form (mail scanners only "click" links), POST cancels.
+
+const TEXTS = {
+  pl: {
+    title: 'Rezygnacja z comiesięcznej darowizny',
+    confirm: 'Czy na pewno chcesz zrezygnować z comiesięcznej darowizny',
+    button: 'Rezygnuję',
+    done: 'Comiesięczna darowizna została anulowana. Dziękujemy za dotychczasowe wsparcie!',
+    already: 'Ta comiesięczna darowizna jest już nieaktywna.',
+    invalid: 'Link jest nieprawidłowy lub wygasł.',
+    error: 'Coś poszło nie tak. Spróbuj ponownie później.',
+  },
+  en: {
+    title: 'Cancel monthly donation',
+    confirm: 'Do you really want to cancel your monthly donation of',
+    button: 'Cancel donation',
+    done: 'Your monthly donation has been cancelled. Thank you for your support so far!',
+    already: 'This monthly donation is no longer active.',
+    invalid: 'This link is invalid or has expired.',
+    error: 'Something went wrong. Please try again later.',
+  },
+};
+
+function escapeHtml(s) {
+  return String(s ?? '')
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+}
+
+function page(res, statusCode, t, bodyHtml) {
+  res.statusCode = statusCode;
+  res.setHeader('Content-Type', 'text/html; charset=utf-8');
+  res.end(`<!DOCTYPE html>
+<html>
+<head><meta charset="UTF-8" /><meta name="viewport" content="width=device-width, initial-scale=1.0" /><title>${escapeHtml(t.title)} – Cappella Marialis</title><link rel="stylesheet" href="/style.css" /></head>
+<body><main class="container"><section><h2>${escapeHtml(t.title)}</h2>${bodyHtml}</section></main></body>
+</html>`);
+}
+
+async function loadSubscription(supabase, id, token) {
+  if (!id || !token) return null;
+  const { data: sub, error } = await supabase
+    .from('p24_subscriptions')
+    .select('id, status, amount_grosze, currency, cancel_token')
+    .eq('id', id)
+    .maybeSingle();
+
+  if (error) throw new Error('DB read failed: ' + error.message);
+  if (!sub || !safeEqual(sub.cancel_token, token)) return null;
+  return sub;
+}
+
+export default async function handler(req, res) {
+  startRequest(req, res, 'p24/cancel');
+
+  if (req.method !== 'GET' && req.method !== 'POST') {
+    res.statusCode = 405;
+    res.end('Method not allowed');
+    return;
+  }
+
+  const u = new URL(req.url, 'http://localhost');
+  const params = req.method === 'POST' ? await readForm(req) : Object.fromEntries(u.searchParams);
+  const lang = params.lang === 'en' ? 'en' : 'pl';
+  const t = TEXTS[lang];
+
+  try {
+    const supabase = getSupabaseAdmin();
+    const sub = await loadSubscription(supabase, params.id, params.token);
+
+    if (!sub) return page(res, 404, t, `<p>${escapeHtml(t.invalid)}</p>`);
+    if (sub.status === 'cancelled' || sub.status === 'failed') {
+      return page(res, 200, t, `<p>${escapeHtml(t.already)}</p>`);
+    }
+
+    if (req.method === 'GET') {
+      const amount = formatAmount(sub.amount_grosze, sub.currency, lang);
+      return page(res, 200, t, `
+        <p>${escapeHtml(t.confirm)} ${escapeHtml(amount)}?</p>
+        <form method="POST" action="/api/p24/cancel">
+          <input type="hidden" name="id" value="${escapeHtml(sub.id)}" />
+          <input type="hidden" name="token" value="${escapeHtml(params.token)}" />
+          <input type="hidden" name="lang" value="${lang}" />
+          <button class="donate-btn" type="submit">${escapeHtml(t.button)}</button>
+        </form>`);
+    }
+
+    const { error: updErr } = await supabase
+      .from('p24_subscriptions')
+      .update({ status: 'cancelled', cancelled_at: new Date().toISOString(), next_charge_at: null })
+      .eq('id', sub.id);
+
+    if (updErr) throw new Error('DB update failed: ' + updErr.message);
+
+    await recordEvent(supabase, {
+      event_type: 'subscription_cancelled',
+      payload_json: { subscription_id: sub.id, previous_status: sub.status },
+    });
+
+    return page(res, 200, t, `<p>${escapeHtml(t.done)}</p>`);
+  } catch (err) {
+    log.error('Request failed', { err });
+    return page(res, 500, t, `<p>${escapeHtml(t.error)}</p>`);
+  }
+}
@@ -0,0 +1,102 @@
+import { getSupabaseAdmin } from '../_lib/supabase.js';
+import { readJson } from '../_lib/body.js';
+import { isAdminRequest } from '../_lib/auth.js';
+import { buildAbsoluteUrl } from '../_lib/p24.js';
+import { sendCertificateEmail } from '../_lib/email.js';
+import { normalizeEmail } from '../_lib/donors.js';
+import {
+  buildCertificateLink,
+  getDonationsForYear,
+  isValidTaxYear,
+  renderCertificatePdf,
+  verifyCertificateLink,
+} from '../_lib/certificates.js';
+import { sendError } from '../_lib/errors.js';
+import { log, recordEvent, startRequest } from '../_lib/log.js';
+
+// Annual donation certificate (PDF, PL/EN)
+// - GET ?email&year&exp&sig — signed link, returns the PDF
+// - POST (admin, Authorization: Bearer <admin_secret>): { email, year, ttlDays?, send?, lang? }
+//   returns { url, expiresAt }; send: true also emails the link to the donor
+
+function json(res, statusCode, obj) {
+  res.statusCode = statusCode;
+  res.setHeader('Content-Type', 'application/json; charset=utf-8');
+  res.end(JSON.stringify(obj));
+}
+
+export default async function handler(req, res) {
+  startRequest(req, res, 'p24/certificate');
+
+  if (req.method !== 'GET' && req.method !== 'POST') {
+    return sendError(res, req, 'method_not_allowed');
+  }
+
+  try {
+    const supabase = getSupabaseAdmin();
+
+    if (req.method === 'GET') {
+      const u = new URL(req.url, 'http://localhost');
+      const params = Object.fromEntries(u.searchParams);
+      const check = verifyCertificateLink(params);
+
+      if (!check.ok) {
+        return sendError(res, req, check.reason === 'expired' ? 'link_expired' : 'invalid_link');
+      }
+
+      const email = normalizeEmail(params.email);
+      const year = Number(params.year);
+      const donations = await getDonationsForYear(supabase, email, year);
+      const pdf = renderCertificatePdf({ email, year, donations });
+
+      res.statusCode = 200;
+      res.setHeader('Content-Type', 'application/pdf');
+      res.setHeader('Content-Disposition', `inline; filename="zaswiadczenie-darowizny-${year}.pdf"`);
+      res.setHeader('Cache-Control', 'private, no-store');
+      res.setHeader('Content-Length', String(pdf.length));
+      res.end(pdf);
+      return;
+    }
+
+    if (!(await isAdminRequest(req, supabase))) {
+      return sendError(res, req, 'unauthorized');
+    }
+
+    const body = (await readJson(req)) || {};
+    const email = normalizeEmail(body.email);
+    const year = Number(body.year);
+
+    if (!email || !email.includes('@')) return sendError(res, req, 'invalid_email');
+    if (!isValidTaxYear(year)) return sendError(res, req, 'invalid_year');
+
+    const donations = await getDonationsForYear(supabase, email, year);
+    const { url, expiresAt } = buildCertificateLink({
+      baseUrl: buildAbsoluteUrl(req, '/api/p24/certificate'),
+      email,
+      year,
+      ttlDays: body.ttlDays,
+    });
+
+    let emailResult = null;
+    if (body.send) {
+      if (!donations.length) return sendError(res, req, 'no_donations');
+      emailResult = await sendCertificateEmail({
+        to: email,
+        year,
+        url,
+        expiresAtIso: expiresAt,
+        lang: body.lang === 'en' ? 'en' : 'pl',
+      });
+    }
+
+    await recordEvent(supabase, {
+      event_type: 'certificate_issued',
+      payload_json: { email, year, expires_at: expiresAt, donations: donations.length, sent: !!emailResult?.ok },
+    });
+
+    return json(res, 200, { url, expiresAt, donations: donations.length, email: emailResult });
+  } catch (err) {
+    log.error('Request failed', { err });
+    return sendError(res, req, 'server_error');
+  }
+}
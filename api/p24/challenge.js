@@ -0,0 +1,27 @@
+import { issueChallenge, isPowEnabled } from '../_lib/antibot.js';
+import { sendError } from '../_lib/errors.js';
+import { log, startRequest } from '../_lib/log.js';
+
+// GET /api/p24/challenge -> proof-of-work challenge for the donation forms (see _lib/antibot.js).
+// { disabled: true } when ANTIBOT_SECRET is not configured.
+
+export default function handler(req, res) {
+  startRequest(req, res, 'p24/challenge');
+
+  res.setHeader('Content-Type', 'application/json; charset=utf-8');
+  res.setHeader('Cache-Control', 'no-store');
+
+  if (req.method !== 'GET') {
+    sendError(res, req, 'method_not_allowed');
+    return;
+  }
+
+  try {
+    const body = isPowEnabled() ? issueChallenge() : { disabled: true };
+    res.statusCode = 200;
+    res.end(JSON.stringify(body));
+  } catch (err) {
+    log.error('Request failed', { err });
+    sendError(res, req, 'server_error');
+  }
+}
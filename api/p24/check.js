@@ -1,21 +1,23 @@
 import { getSupabaseAdmin } from '../_lib/supabase.js';
+import { formatAmount } from '../_lib/currencies.js';
+import { sendError } from '../_lib/errors.js';
+import { log, startRequest } from '../_lib/log.js';
 
 export default async function handler(req, res) {
+  startRequest(req, res, 'p24/check');
+
   if (req.method !== 'GET') {
-    res.statusCode = 405;
-    res.setHeader('Content-Type', 'application/json; charset=utf-8');
-    res.end(JSON.stringify({ error: 'Method not allowed' }));
+    sendError(res, req, 'method_not_allowed');
     return;
   }
 
   try {
     const u = new URL(req.url, 'http://localhost');
     const sessionId = u.searchParams.get('sessionId');
+    const lang = u.searchParams.get('lang') === 'en' ? 'en' : 'pl';
 
     if (!sessionId) {
-      res.statusCode = 400;
-      res.setHeader('Content-Type', 'application/json; charset=utf-8');
-      res.end(JSON.stringify({ error: 'Missing sessionId' }));
+      sendError(res, req, 'missing_session_id');
       return;
     }
 
@@ -23,19 +25,29 @@ export default async function handler(req, res) {
 
     const { data: tx, error } = await supabase
       .from('p24_transactions')
-      .select('session_id, public_ref, status, amount_grosze, currency, paid_at, created_at')
+      .select('session_id, public_ref, status, amount_grosze, refunded_grosze, refunded_at, currency, paid_at, created_at, subscription_id')
       .eq('session_id', sessionId)
       .maybeSingle();
 
     if (error) throw new Error(error.message);
 
+    // Do not expose subscription_id itself, only whether this is a monthly donation
+    let transaction = null;
+    if (tx) {
+      const { subscription_id, ...rest } = tx;
+      transaction = {
+        ...rest,
+        recurring: !!subscription_id,
+        amount_formatted: formatAmount(tx.amount_grosze, tx.currency, lang),
+        refunded_formatted: formatAmount(tx.refunded_grosze || 0, tx.currency, lang),
+      };
+    }
+
     res.statusCode = 200;
     res.setHeader('Content-Type', 'application/json; charset=utf-8');
-    res.end(JSON.stringify({ transaction: tx || null }));
+    res.end(JSON.stringify({ transaction }));
   } catch (err) {
-    console.error(err);
-    res.statusCode = 500;
-    res.setHeader('Content-Type', 'application/json; charset=utf-8');
-    res.end(JSON.stringify({ error: 'Błąd serwera' }));
+    log.error('Request failed', { err });
+    sendError(res, req, 'server_error');
   }
 }
@@ -1,12 +1,27 @@
 import crypto from 'crypto';
 import { getSupabaseAdmin } from '../_lib/supabase.js';
+import { getEnv } from '../_lib/config.js';
 import { getContentType, readJson } from '../_lib/body.js';
 import {
   getP24Config,
   buildAbsoluteUrl,
+  makePublicRef,
   p24PostJson,
   p24RegisterSign,
 } from '../_lib/p24.js';
+import { createSubscription } from '../_lib/subscriptions.js';
+import { formatAmount, getCurrencyConfig, getDefaultCurrency } from '../_lib/currencies.js';
+import { getCampaign, isCampaignOpen } from '../_lib/campaigns.js';
+import {
+  findByIdempotencyKey,
+  isUniqueViolation,
+  matchesRequest,
+  readIdempotencyKey,
+  replayOutcome,
+} from '../_lib/idempotency.js';
+import { checkDonationRequest } from '../_lib/antibot.js';
+import { requestLang, sendError } from '../_lib/errors.js';
+import { getCorrelationId, log, startRequest } from '../_lib/log.js';
 
 function uuid() {
   // Node 18 has crypto.randomUUID
@@ -19,14 +34,13 @@ function toInt(x) {
   return Math.trunc(n);
 }
 
-function validateAmount(amountGrosze) {
+function validateAmount(amountGrosze, currencyCfg, lang) {
   const n = toInt(amountGrosze);
-  if (n === null) return { ok: false, error: 'Nieprawidłowa kwota' };
-  // MVP defaults: min 1 PLN, max 10 000 PLN; adjust via env if needed
-  const min = toInt(process.env.DONATION_MIN_GROSZE || 100);
-  const max = toInt(process.env.DONATION_MAX_GROSZE || 1_000_000);
-  if (n < min) return { ok: false, error: `Minimalna kwota to ${(min/100).toFixed(2)} PLN` };
-  if (n > max) return { ok: false, error: `Maksymalna kwota to ${(max/100).toFixed(2)} PLN` };
+  if (n === null) return { ok: false, code: 'invalid_amount' };
+  // Limits per currency (minor units), see _lib/currencies.js
+  const { min, max, code } = currencyCfg;
+  if (n < min) return { ok: false, code: 'amount_too_low', params: { amount: formatAmount(min, code, lang) } };
+  if (n > max) return { ok: false, code: 'amount_too_high', params: { amount: formatAmount(max, code, lang) } };
   return { ok: true, value: n };
 }
 
@@ -34,73 +48,145 @@ function mustBeTrue(v) {
   return v === true || v === 'true' || v === 1 || v === '1' || v === 'on';
 }
 
-function makePublicRef(sessionId) {
-  // Human-friendly reference derived from UUID (no PII)
-  return 'DON-' + sessionId.replace(/-/g, '').slice(0, 12).toUpperCase();
+// Answer for a request repeated with the same Idempotency-Key
+function sendReplay(res, req, tx, request, lang) {
+  if (!matchesRequest(tx, request)) {
+    sendError(res, req, 'idempotency_key_reused', { lang });
+    return;
+  }
+
+  const isEn = String(tx.meta_json?.page || '').startsWith('en/');
+  const thankYouUrl = buildAbsoluteUrl(
+    req,
+    `${isEn ? '/en/thank-you' : (getP24Config().returnPath || '/pl/dziekujemy')}?sessionId=${encodeURIComponent(tx.session_id)}`
+  );
+  const outcome = replayOutcome(tx, thankYouUrl);
+
+  if (outcome.pending) {
+    sendError(res, req, 'payment_in_progress', { lang, extra: { pending: true }, headers: { 'Retry-After': '2' } });
+    return;
+  }
+
+  res.statusCode = 200;
+  res.setHeader('Content-Type', 'application/json; charset=utf-8');
+  res.setHeader('Idempotent-Replayed', 'true');
+  res.end(JSON.stringify({
+    sessionId: tx.session_id,
+    publicRef: tx.public_ref,
+    redirectUrl: outcome.redirectUrl,
+    recurring: !!tx.subscription_id,
+    replayed: true,
+  }));
 }
 
 export default async function handler(req, res) {
+  startRequest(req, res, 'p24/create');
+
   if (req.method !== 'POST') {
-    res.statusCode = 405;
-    res.setHeader('Content-Type', 'application/json; charset=utf-8');
-    res.end(JSON.stringify({ error: 'Method not allowed' }));
+    sendError(res, req, 'method_not_allowed');
     return;
   }
 
+  // Language of error messages: from the form (body.lang / meta.page), else Accept-Language
+  let lang = requestLang(req);
+
+  // Set once the rows are inserted and cleared once P24 registration succeeded (see catch)
+  let unregisteredSessionId = null;
+  let unregisteredSubscriptionId = null;
+  let supabase = null;
+
   try {
     const ct = getContentType(req);
     if (!ct.includes('application/json')) {
-      res.statusCode = 415;
-      res.setHeader('Content-Type', 'application/json; charset=utf-8');
-      res.end(JSON.stringify({ error: 'Content-Type must be application/json' }));
+      sendError(res, req, 'unsupported_media_type', { lang });
       return;
     }
 
     const body = (await readJson(req)) || {};
+    lang = requestLang(req, body);
+
+    const currencyCfg = getCurrencyConfig(body.currency || getDefaultCurrency());
+    if (!currencyCfg) {
+      sendError(res, req, 'unsupported_currency', { lang });
+      return;
+    }
 
-    const amountCheck = validateAmount(body.amountGrosze);
+    const amountCheck = validateAmount(body.amountGrosze, currencyCfg, lang);
     if (!amountCheck.ok) {
-      res.statusCode = 400;
-      res.setHeader('Content-Type', 'application/json; charset=utf-8');
-      res.end(JSON.stringify({ error: amountCheck.error }));
+      sendError(res, req, amountCheck.code, { lang, params: amountCheck.params });
       return;
     }
 
     const consents = body.consents || {};
     if (!mustBeTrue(consents.privacy) || !mustBeTrue(consents.terms)) {
-      res.statusCode = 400;
-      res.setHeader('Content-Type', 'application/json; charset=utf-8');
-      res.end(JSON.stringify({ error: 'Wymagane zgody: prywatność i regulamin.' }));
+      sendError(res, req, 'consents_required', { lang });
+      return;
+    }
+
+    // Recurring: only "monthly" for now; first payment must be by card (refId for later cycles)
+    const isRecurring = body.recurring === 'monthly';
+    if (isRecurring && !mustBeTrue(consents.recurring)) {
+      sendError(res, req, 'recurring_consent_required', { lang });
       return;
     }
 
     const email = (body.email || '').trim();
-    const requireEmail = String(process.env.REQUIRE_DONOR_EMAIL || 'true').toLowerCase() !== 'false';
-    if (requireEmail && !email) {
-      res.statusCode = 400;
-      res.setHeader('Content-Type', 'application/json; charset=utf-8');
-      res.end(JSON.stringify({ error: 'Podaj e-mail (wyślemy potwierdzenie i podziękowanie).' }));
+    const requireEmail = getEnv('REQUIRE_DONOR_EMAIL');
+    if ((requireEmail || isRecurring) && !email) {
+      sendError(res, req, 'email_required', { lang });
+      return;
+    }
+
+    const idempotencyKey = readIdempotencyKey(req);
+    if (idempotencyKey === null) {
+      sendError(res, req, 'invalid_idempotency_key', { lang });
       return;
     }
 
-    const currency = String(body.currency || 'PLN');
+    const currency = currencyCfg.code;
     const amountGrosze = amountCheck.value;
 
     const sessionId = uuid();
     const publicRef = makePublicRef(sessionId);
 
-    const supabase = getSupabaseAdmin();
+    supabase = getSupabaseAdmin();
     const cfg = getP24Config();
 
-    // 🔍 P24 debug (bez sekretów)
-console.log('[P24 cfg]', {
-  sandbox: cfg.sandbox,
-  baseUrl: cfg.baseUrl,
-  merchantId: String(cfg.merchantId),
-  posId: String(cfg.posId),
-  apiKeyLen: (cfg.apiKey || '').length
-});
+    // Optional campaign (slug); must exist and be open
+    const campaignSlug = body.campaign ? String(body.campaign).trim() : null;
+    if (campaignSlug) {
+      const campaign = await getCampaign(supabase, campaignSlug);
+      if (!isCampaignOpen(campaign)) {
+        sendError(res, req, 'campaign_unavailable', { lang });
+        return;
+      }
+    }
+
+    // Repeated request (double click, retry after a lost response): answer with the original payment
+    const idempotentRequest = { amountGrosze, currency, email, campaignSlug, isRecurring };
+    if (idempotencyKey) {
+      const existing = await findByIdempotencyKey(supabase, idempotencyKey);
+      if (existing) {
+        sendReplay(res, req, existing, idempotentRequest, lang);
+        return;
+      }
+    }
 
+    // Bots and card testing: honeypot, proof of work, rate limits per IP and email
+    const blocked = await checkDonationRequest({ supabase, req, body, email });
+    if (blocked) {
+      const headers = blocked.retryAfter ? { 'Retry-After': String(blocked.retryAfter) } : {};
+      sendError(res, req, blocked.code, { lang, headers });
+      return;
+    }
+
+    // 🔍 P24 debug (bez sekretów)
+    log.debug('[P24 cfg]', {
+      sandbox: cfg.isSandbox,
+      baseUrl: cfg.baseUrl,
+      merchantId: String(cfg.merchantId),
+      posId: String(cfg.posId),
+    });
 
     // === language + returnUrl based on frontend page ===
     const metaPage = String(body?.meta?.page || '');
@@ -118,6 +204,27 @@ console.log('[P24 cfg]', {
     // (opcjonalnie) defensywnie, żeby nie wywalić się gdy cfg.statusPath puste
     const urlStatus = buildAbsoluteUrl(req, cfg.statusPath || '/api/p24/status');
 
+    const consentsJson = {
+      privacy: mustBeTrue(consents.privacy),
+      terms: mustBeTrue(consents.terms),
+      ...(isRecurring ? { recurring: true } : {}),
+    };
+    const consentsVersion = String(body.consentsVersion || getEnv('CONSENTS_VERSION'));
+
+    // 0) Recurring: subscription row first, the first payment is linked to it
+    const subscription = isRecurring
+      ? await createSubscription({
+        supabase,
+        amountGrosze,
+        currency,
+        email,
+        consents: consentsJson,
+        consentsVersion,
+        meta: body.meta || null,
+      })
+      : null;
+    unregisteredSubscriptionId = subscription?.id || null;
+
     // 1) INSERT initiated
     const { error: insErr } = await supabase
       .from('p24_transactions')
@@ -128,17 +235,31 @@ console.log('[P24 cfg]', {
         currency,
         status: 'initiated',
         email: email || null,
-        consents_json: {
-          privacy: mustBeTrue(consents.privacy),
-          terms: mustBeTrue(consents.terms),
-        },
-        consents_version: String(body.consentsVersion || process.env.CONSENTS_VERSION || '1'),
+        consents_json: consentsJson,
+        consents_version: consentsVersion,
         meta_json: body.meta || null,
+        subscription_id: subscription?.id || null,
+        campaign_slug: campaignSlug,
+        idempotency_key: idempotencyKey || null,
+        correlation_id: getCorrelationId(),
       });
 
+    // Lost the race against a parallel request with the same key
+    if (insErr && idempotencyKey && isUniqueViolation(insErr)) {
+      if (subscription) {
+        await supabase.from('p24_subscriptions').update({ status: 'failed' }).eq('id', subscription.id);
+      }
+      const existing = await findByIdempotencyKey(supabase, idempotencyKey);
+      if (existing) {
+        sendReplay(res, req, existing, idempotentRequest, lang);
+        return;
+      }
+    }
+
     if (insErr) {
       throw new Error('DB insert failed: ' + insErr.message);
     }
+    unregisteredSessionId = sessionId;
 
     // 2) Register transaction in P24
     const sign = p24RegisterSign({
@@ -162,6 +283,8 @@ console.log('[P24 cfg]', {
       urlReturn,
       urlStatus,
       sign,
+      // channel 1 = cards only (needed to get a card refId for recurring cycles)
+      ...(isRecurring ? { channel: 1 } : {}),
     };
 
     const registerResp = await p24PostJson({
@@ -178,6 +301,8 @@ console.log('[P24 cfg]', {
     if (!token) {
       throw new Error('P24 register: missing token in response');
     }
+    unregisteredSessionId = null;
+    unregisteredSubscriptionId = null;
 
     const redirectUrl = `${cfg.hostForRedirect}/trnRequest/${encodeURIComponent(token)}`;
 
@@ -199,12 +324,27 @@ console.log('[P24 cfg]', {
 
     res.statusCode = 200;
     res.setHeader('Content-Type', 'application/json; charset=utf-8');
-    res.end(JSON.stringify({ sessionId, publicRef, redirectUrl }));
+    res.end(JSON.stringify({ sessionId, publicRef, redirectUrl, recurring: isRecurring }));
   } catch (err) {
-    console.error(err);
+    log.error('Request failed', { err });
+
+    // Registration never reached P24: fail the row now, which also frees its idempotency key
+    if (unregisteredSessionId && supabase) {
+      await supabase
+        .from('p24_transactions')
+        .update({ status: 'failed' })
+        .eq('session_id', unregisteredSessionId)
+        .eq('status', 'initiated');
+    }
+    if (unregisteredSubscriptionId && supabase) {
+      await supabase
+        .from('p24_subscriptions')
+        .update({ status: 'failed' })
+        .eq('id', unregisteredSubscriptionId)
+        .eq('status', 'pending');
+    }
 
-    res.statusCode = 500;
-    res.setHeader('Content-Type', 'application/json; charset=utf-8');
-    res.end(JSON.stringify({ error: 'Błąd serwera', details: String(err?.message || err) }));
+    // P24 rejected or did not answer the registration; details stay in the logs
+    sendError(res, req, err?.p24_code ? 'payment_provider_error' : 'server_error', { lang });
   }
 }
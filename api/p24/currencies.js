@@ -0,0 +1,41 @@
+import { formatAmount, getAllowedCurrencies, getCurrencyConfig } from '../_lib/currencies.js';
+import { sendError } from '../_lib/errors.js';
+import { log, startRequest } from '../_lib/log.js';
+
+// GET /api/p24/currencies?lang=en
+// Public list of accepted currencies with limits and preset amounts (used by the donation forms).
+
+export default async function handler(req, res) {
+  startRequest(req, res, 'p24/currencies');
+
+  if (req.method !== 'GET') {
+    sendError(res, req, 'method_not_allowed');
+    return;
+  }
+
+  try {
+    const u = new URL(req.url, 'http://localhost');
+    const lang = u.searchParams.get('lang') === 'en' ? 'en' : 'pl';
+
+    const currencies = getAllowedCurrencies().map(code => {
+      const c = getCurrencyConfig(code);
+      return {
+        code,
+        min: c.min,
+        max: c.max,
+        presets: c.presets,
+        presetsFormatted: c.presets.map(p => formatAmount(p * 100, code, lang)),
+        minFormatted: formatAmount(c.min, code, lang),
+        maxFormatted: formatAmount(c.max, code, lang),
+      };
+    });
+
+    res.statusCode = 200;
+    res.setHeader('Content-Type', 'application/json; charset=utf-8');
+    res.setHeader('Cache-Control', 'public, max-age=300');
+    res.end(JSON.stringify({ currencies, default: currencies[0]?.code || 'PLN' }));
+  } catch (err) {
+    log.error('Request failed', { err });
+    sendError(res, req, 'server_error');
+  }
+}
@@ -0,0 +1,186 @@
+import { getSupabaseAdmin } from '../_lib/supabase.js';
+import { getEnv } from '../_lib/config.js';
+import { getP24Config, p24PostJson } from '../_lib/p24.js';
+import { isCronRequest } from '../_lib/auth.js';
+import { completeTransaction } from '../_lib/donations.js';
+import { recordRenewalFailure } from '../_lib/subscriptions.js';
+import { sendError } from '../_lib/errors.js';
+import { log, recordEvent, startRequest, withCorrelationId } from '../_lib/log.js';
+
+// Reconciliation of transactions whose status notification never arrived (Vercel Cron, see vercel.json).
+//
+// For every initiated/registered row older than RECONCILE_MIN_AGE_MINUTES we ask P24 for the real
+// state by sessionId:
+// - paid in P24 (status 1/2)      -> regular verify + thank-you flow (same as /api/p24/status)
+// - unknown to P24 (404)          -> failed (registration never completed)
+// - not paid after EXPIRE_HOURS   -> expired
+// - not paid yet, still fresh     -> left alone, checked again on the next run
+// A failed or expired renewal of a monthly donation also counts as a failed charge of its
+// subscription (past_due, retried after RECURRING_RETRY_DAYS).
+
+// P24 transaction/by/sessionId statuses
+const P24_NO_PAYMENT = 0;
+const P24_ADVANCE = 1;
+const P24_PAID = 2;
+const P24_RETURNED = 3;
+
+function getReconcileSettings() {
+  return {
+    minAgeMinutes: getEnv('RECONCILE_MIN_AGE_MINUTES'),
+    expireHours: getEnv('RECONCILE_EXPIRE_HOURS'),
+    batchSize: getEnv('RECONCILE_BATCH_SIZE'),
+  };
+}
+
+async function fetchP24Transaction(cfg, sessionId) {
+  try {
+    const resp = await p24PostJson({
+      url: `${cfg.baseUrl}/transaction/by/sessionId/${encodeURIComponent(sessionId)}`,
+      posId: cfg.posId,
+      apiKey: cfg.apiKey,
+      body: null,
+      method: 'GET',
+    });
+    return resp?.data || null;
+  } catch (err) {
+    if (Number(err?.p24_code) === 404) return null;
+    throw err;
+  }
+}
+
+async function markStatus(supabase, tx, status, details) {
+  // Guard against a notification that arrived in the meantime
+  const { data: updated, error } = await supabase
+    .from('p24_transactions')
+    .update({ status })
+    .eq('session_id', tx.session_id)
+    .eq('status', tx.status)
+    .select('session_id');
+
+  if (error) throw new Error('DB update failed: ' + error.message);
+
+  await recordEvent(supabase, {
+    event_type: 'reconcile',
+    session_id: tx.session_id,
+    p24_order_id: tx.p24_order_id || null,
+    payload_json: { from: tx.status, to: status, ...details },
+  });
+
+  if (updated?.length && tx.subscription_id) {
+    await recordRenewalFailure({ supabase, tx, reason: `Renewal ${status} (${details.reason})` });
+  }
+}
+
+async function reconcileOne({ supabase, cfg, req, tx, expireBefore }) {
+  const p24 = await fetchP24Transaction(cfg, tx.session_id);
+  const isOld = new Date(tx.created_at).getTime() < expireBefore;
+
+  if (!p24) {
+    if (tx.status === 'initiated') {
+      await markStatus(supabase, tx, 'failed', { reason: 'not_registered_in_p24' });
+      return 'failed';
+    }
+    if (isOld) {
+      await markStatus(supabase, tx, 'expired', { reason: 'not_found_in_p24' });
+      return 'expired';
+    }
+    return 'pending';
+  }
+
+  const p24Status = Number(p24.status);
+
+  if ((p24Status === P24_ADVANCE || p24Status === P24_PAID) && p24.orderId) {
+    const currency = String(tx.currency || 'PLN').toUpperCase();
+    if (Number(p24.amount) !== Number(tx.amount_grosze) || String(p24.currency || '').toUpperCase() !== currency) {
+      await recordEvent(supabase, {
+        event_type: 'suspicious_notification',
+        session_id: tx.session_id,
+        p24_order_id: String(p24.orderId),
+        payload_json: { reason: 'amount_mismatch', source: 'reconcile', p24 },
+      });
+      return 'mismatch';
+    }
+
+    await completeTransaction({ supabase, cfg, req, tx, orderId: Number(p24.orderId) });
+    return 'paid';
+  }
+
+  if (p24Status === P24_RETURNED) {
+    await markStatus(supabase, tx, 'failed', { reason: 'returned_in_p24', p24 });
+    return 'failed';
+  }
+
+  if (p24Status === P24_NO_PAYMENT && isOld) {
+    await markStatus(supabase, tx, 'expired', { reason: 'no_payment', p24 });
+    return 'expired';
+  }
+
+  return 'pending';
+}
+
+export default async function handler(req, res) {
+  startRequest(req, res, 'p24/reconcile');
+
+  if (req.method !== 'GET' && req.method !== 'POST') {
+    sendError(res, req, 'method_not_allowed');
+    return;
+  }
+
+  if (!isCronRequest(req)) {
+    sendError(res, req, 'unauthorized');
+    return;
+  }
+
+  try {
+    const supabase = getSupabaseAdmin();
+    const cfg = getP24Config();
+    const { minAgeMinutes, expireHours, batchSize } = getReconcileSettings();
+
+    const now = Date.now();
+    const olderThan = new Date(now - minAgeMinutes * 60 * 1000).toISOString();
+    const expireBefore = now - expireHours * 3600 * 1000;
+
+    const { data: rows, error } = await supabase
+      .from('p24_transactions')
+      .select('*')
+      .in('status', ['initiated', 'registered'])
+      .lt('created_at', olderThan)
+      .order('created_at', { ascending: true })
+      .limit(batchSize);
+
+    if (error) throw new Error('DB read failed: ' + error.message);
+
+    const summary = { checked: 0, paid: 0, expired: 0, failed: 0, pending: 0, mismatch: 0, errors: 0 };
+
+    for (const tx of rows || []) {
+      summary.checked++;
+      // Logs and events of this row continue the donation's trace
+      await withCorrelationId(tx.correlation_id, async () => {
+        try {
+          const outcome = await reconcileOne({ supabase, cfg, req, tx, expireBefore });
+          summary[outcome]++;
+        } catch (err) {
+          log.error('Reconcile error', { sessionId: tx.session_id, err });
+          summary.errors++;
+          await recordEvent(supabase, {
+            event_type: 'error',
+            session_id: tx.session_id,
+            payload_json: {
+              source: 'reconcile',
+              message: String(err?.message || err),
+              p24_code: err?.p24_code || null,
+              p24_raw_start: err?.p24_raw_start || null,
+            },
+          });
+        }
+      });
+    }
+
+    res.statusCode = 200;
+    res.setHeader('Content-Type', 'application/json; charset=utf-8');
+    res.end(JSON.stringify(summary));
+  } catch (err) {
+    log.error('Request failed', { err });
+    sendError(res, req, 'server_error');
+  }
+}
@@ -0,0 +1,67 @@
+import { getSupabaseAdmin } from '../_lib/supabase.js';
+import { getP24Config, buildAbsoluteUrl } from '../_lib/p24.js';
+import { isCronRequest } from '../_lib/auth.js';
+import { chargeSubscription, getRecurringSettings } from '../_lib/subscriptions.js';
+import { sendError } from '../_lib/errors.js';
+import { log, newCorrelationId, startRequest, withCorrelationId } from '../_lib/log.js';
+
+// Scheduler for monthly donations (Vercel Cron, see vercel.json).
+// Charges every active / past_due subscription whose next_charge_at has passed. Each one is
+// claimed first (chargeSubscription), so overlapping or retried runs never charge a card twice.
+
+export default async function handler(req, res) {
+  startRequest(req, res, 'p24/recurring');
+
+  if (req.method !== 'GET' && req.method !== 'POST') {
+    sendError(res, req, 'method_not_allowed');
+    return;
+  }
+
+  if (!isCronRequest(req)) {
+    sendError(res, req, 'unauthorized');
+    return;
+  }
+
+  try {
+    const supabase = getSupabaseAdmin();
+    const cfg = getP24Config();
+    const { batchSize } = getRecurringSettings();
+
+    const { data: due, error } = await supabase
+      .from('p24_subscriptions')
+      .select('*')
+      .in('status', ['active', 'past_due'])
+      .lte('next_charge_at', new Date().toISOString())
+      .order('next_charge_at', { ascending: true })
+      .limit(batchSize);
+
+    if (error) throw new Error('DB read failed: ' + error.message);
+
+    const urlStatus = buildAbsoluteUrl(req, cfg.statusPath || '/api/p24/status');
+    const results = [];
+
+    // Sequentially: keeps P24 load predictable and one failure does not affect the others
+    for (const sub of due || []) {
+      const isEn = String(sub.meta_json?.page || '').startsWith('en/');
+      const urlReturn = buildAbsoluteUrl(req, isEn ? '/en/thank-you' : (cfg.returnPath || '/pl/dziekujemy'));
+
+      // Every cycle is a new donation with its own trace
+      const r = await withCorrelationId(newCorrelationId(), () => (
+        chargeSubscription({ supabase, cfg, sub, urlStatus, urlReturn })
+      ));
+      results.push({ subscriptionId: sub.id, ...r });
+    }
+
+    res.statusCode = 200;
+    res.setHeader('Content-Type', 'application/json; charset=utf-8');
+    res.end(JSON.stringify({
+      charged: results.filter(r => r.ok).length,
+      failed: results.filter(r => !r.ok && !r.skipped).length,
+      skipped: results.filter(r => r.skipped).length,
+      results,
+    }));
+  } catch (err) {
+    log.error('Request failed', { err });
+    sendError(res, req, 'server_error');
+  }
+}
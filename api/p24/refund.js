@@ -0,0 +1,123 @@
+import { getSupabaseAdmin } from '../_lib/supabase.js';
+import { readJson } from '../_lib/body.js';
+import { getP24Config, buildAbsoluteUrl } from '../_lib/p24.js';
+import { isAdminRequest } from '../_lib/auth.js';
+import { formatAmount } from '../_lib/currencies.js';
+import {
+  REFUNDABLE_STATUSES,
+  applyRefundNotification,
+  isRefundNotification,
+  requestRefund,
+} from '../_lib/refunds.js';
+import { sendError } from '../_lib/errors.js';
+import { log, recordEvent, startRequest } from '../_lib/log.js';
+
+// POST /api/p24/refund
+// - admin (Authorization: Bearer <admin_secret>): { sessionId, amountGrosze?, description? }
+//   amountGrosze omitted = refund everything that is still refundable
+// - P24 refund status notification (urlStatus of the refund request): signed JSON with refundsUuid
+
+export default async function handler(req, res) {
+  startRequest(req, res, 'p24/refund');
+
+  if (req.method !== 'POST') {
+    sendError(res, req, 'method_not_allowed');
+    return;
+  }
+
+  const supabase = getSupabaseAdmin();
+
+  try {
+    const cfg = getP24Config();
+    const body = (await readJson(req)) || {};
+
+    // 1) Notification from P24
+    if (isRefundNotification(body) && !req.headers['authorization']) {
+      await recordEvent(supabase, {
+        event_type: 'webhook_refund',
+        session_id: String(body.sessionId || '') || null,
+        p24_order_id: body.orderId != null ? String(body.orderId) : null,
+        payload_json: body,
+      });
+
+      const result = await applyRefundNotification({ supabase, cfg, payload: body });
+      if (!result.ok && result.error === 'Invalid sign') {
+        sendError(res, req, 'invalid_sign');
+        return;
+      }
+
+      res.statusCode = 200;
+      res.end('OK');
+      return;
+    }
+
+    // 2) Admin refund request
+    if (!(await isAdminRequest(req, supabase))) {
+      sendError(res, req, 'unauthorized');
+      return;
+    }
+
+    const sessionId = String(body.sessionId || '').trim();
+    if (!sessionId) {
+      sendError(res, req, 'missing_session_id');
+      return;
+    }
+
+    const { data: tx, error } = await supabase
+      .from('p24_transactions')
+      .select('session_id, public_ref, status, amount_grosze, refunded_grosze, currency, p24_order_id')
+      .eq('session_id', sessionId)
+      .maybeSingle();
+
+    if (error) throw new Error(`DB read failed: ${error.message}`);
+
+    if (!tx) {
+      sendError(res, req, 'transaction_not_found');
+      return;
+    }
+
+    if (!REFUNDABLE_STATUSES.includes(tx.status) || !tx.p24_order_id) {
+      sendError(res, req, 'refund_not_allowed', { params: { status: tx.status } });
+      return;
+    }
+
+    const result = await requestRefund({
+      supabase,
+      cfg,
+      tx,
+      amountGrosze: body.amountGrosze,
+      description: body.description,
+      urlStatus: buildAbsoluteUrl(req, '/api/p24/refund'),
+    });
+
+    if (!result.ok) {
+      sendError(res, req, result.code, { params: { amount: formatAmount(result.refundable, tx.currency) } });
+      return;
+    }
+
+    res.statusCode = 202;
+    res.setHeader('Content-Type', 'application/json; charset=utf-8');
+    res.end(JSON.stringify({
+      sessionId,
+      refundsUuid: result.refundsUuid,
+      amountGrosze: result.amount,
+      status: 'requested',
+    }));
+  } catch (err) {
+    log.error('Request failed', { err });
+
+    try {
+      await recordEvent(supabase, {
+        event_type: 'error',
+        payload_json: {
+          source: 'refund',
+          message: String(err?.message || err),
+          p24_code: err?.p24_code || null,
+          p24_raw_start: err?.p24_raw_start || null,
+        },
+      });
+    } catch {}
+
+    sendError(res, req, 'server_error');
+  }
+}
@@ -1,8 +1,9 @@
 import querystring from 'node:querystring';
 
 import { getSupabaseAdmin } from '../_lib/supabase.js';
-import { getP24Config, p24PostJson, p24VerifySign } from '../_lib/p24.js';
-import { sendThankYouEmail } from '../_lib/email.js';
+import { getP24Config, p24CheckNotification } from '../_lib/p24.js';
+import { completeTransaction, PAID_STATUSES } from '../_lib/donations.js';
+import { log, recordEvent, startRequest, useCorrelationId } from '../_lib/log.js';
 
 async function readRawBody(req) {
   const chunks = [];
@@ -24,12 +25,9 @@ function parseP24Body(raw, contentType) {
   }
 }
 
-function toInt(x) {
-  const n = Number(x);
-  return Number.isFinite(n) ? Math.trunc(n) : null;
-}
-
 export default async function handler(req, res) {
+  startRequest(req, res, 'p24/status');
+
   if (req.method !== 'POST') return res.status(405).send('Method not allowed');
 
   const supabase = getSupabaseAdmin();
@@ -43,8 +41,18 @@ export default async function handler(req, res) {
     const orderIdRaw = payload.p24_order_id || payload.orderId || null;
     const orderId = orderIdRaw != null ? Number(orderIdRaw) : null;
 
+    const { data: tx, error: txErr } = sessionId
+      ? await supabase.from('p24_transactions').select('*').eq('session_id', sessionId).maybeSingle()
+      : { data: null, error: null };
+
+    if (txErr) throw new Error(`DB read failed: ${txErr.message}`);
+
+    // Continue the trace started by /api/p24/create: the notification, verify and the emails
+    // are logged under the donation's correlation ID
+    if (tx?.correlation_id) useCorrelationId(tx.correlation_id);
+
     // log webhook
-    await supabase.from('p24_events').insert({
+    await recordEvent(supabase, {
       event_type: 'webhook_status',
       session_id: sessionId || null,
       p24_order_id: orderId ? String(orderId) : null,
@@ -54,119 +62,42 @@ export default async function handler(req, res) {
     // If webhook is incomplete / not paid — acknowledge to P24 anyway
     if (!sessionId || !orderId) return res.status(200).send('OK');
 
-    const { data: tx, error: txErr } = await supabase
-      .from('p24_transactions')
-      .select('*')
-      .eq('session_id', sessionId)
-      .maybeSingle();
-
-    if (txErr) throw new Error(`DB read failed: ${txErr.message}`);
-    if (!tx) return res.status(200).send('OK');
-    if (tx.status === 'paid') return res.status(200).send('OK');
-
-    const amount = toInt(tx.amount_grosze);
-    const currency = String(tx.currency || 'PLN').toUpperCase();
-    if (!amount) throw new Error(`Invalid amount_grosze in DB: ${tx.amount_grosze}`);
-
-    // SIGN uses CRC but CRC is NOT sent in request body
-    const signPayload = {
-      sessionId,
-      orderId,
-      amount,
-      currency,
-      crc: cfg.crc,
-    };
-    const sign = p24VerifySign(signPayload);
-
-    console.log('[P24 verify sign payload]', signPayload);
-    console.log('[P24 verify sign]', sign);
-
-    // ✅ VERIFY body MUST include merchantId
-    const verifyBody = {
-      merchantId: cfg.merchantId,
-      posId: cfg.posId,
-      sessionId,
-      amount,
-      currency,
-      orderId,
-      sign,
-    };
-
-    const verifyUrl = `${cfg.baseUrl}/transaction/verify`;
-    console.log('[P24 verify] url=', verifyUrl, 'proxyBase=', process.env.P24_PROXY_BASE || '');
-
-    // ✅ REST API: verify is PUT
-    const verifyResp = await p24PostJson({
-      url: verifyUrl,
-      posId: cfg.posId,
-      apiKey: cfg.apiKey,
-      body: verifyBody,
-      method: 'PUT',
-    });
-
-    const paidAt = new Date().toISOString();
-
-    const { data: updatedRows, error: updErr } = await supabase
-      .from('p24_transactions')
-      .update({
-        status: 'paid',
-        paid_at: paidAt,
+    // Forged / tampered notifications never reach transaction/verify
+    async function reject(reason, details) {
+      log.warn('[P24 status] rejected notification', { reason, sessionId });
+      await recordEvent(supabase, {
+        event_type: 'suspicious_notification',
+        session_id: sessionId,
         p24_order_id: String(orderId),
-        verify_payload: { request: verifyBody, response: verifyResp },
-      })
-      .eq('session_id', sessionId)
-      .neq('status', 'paid')
-      .select('*');
-
-    if (updErr) throw new Error(`DB update failed: ${updErr.message}`);
-
-    const updated = updatedRows?.[0] || null;
+        payload_json: { reason, ...details, notification: payload },
+      });
+      return res.status(400).send('Invalid notification');
+    }
 
-    await supabase.from('p24_events').insert({
-      event_type: 'verify',
-      session_id: sessionId,
-      p24_order_id: String(orderId),
-      payload_json: { request: verifyBody, response: verifyResp },
-    });
+    const check = p24CheckNotification(payload, cfg);
+    if (!check.ok) return reject(check.reason);
 
-    if (updated?.email && !updated.thankyou_email_sent_at) {
-      try {
-        await sendThankYouEmail({
-          to: updated.email,
-          amountGrosze: updated.amount_grosze,
-          currency: updated.currency,
-          publicRef: updated.public_ref,
-          p24OrderId: updated.p24_order_id,
-          paidAtIso: paidAt,
-        });
-
-        await supabase
-          .from('p24_transactions')
-          .update({
-            thankyou_email_sent_at: new Date().toISOString(),
-            thankyou_email_error: null,
-          })
-          .eq('session_id', sessionId)
-          .is('thankyou_email_sent_at', null);
-      } catch (e) {
-        console.error('Email error:', e);
-        await supabase
-          .from('p24_transactions')
-          .update({ thankyou_email_error: String(e?.message || e) })
-          .eq('session_id', sessionId);
-      }
+    if (!tx) return res.status(200).send('OK');
+    if (PAID_STATUSES.includes(tx.status)) return res.status(200).send('OK');
+
+    const expectedCurrency = String(tx.currency || 'PLN').toUpperCase();
+    if (check.notification.amount !== Number(tx.amount_grosze)
+      || check.notification.currency.toUpperCase() !== expectedCurrency) {
+      return reject('amount_mismatch', {
+        expected: { amount: Number(tx.amount_grosze), currency: expectedCurrency },
+        received: { amount: check.notification.amount, currency: check.notification.currency },
+      });
     }
 
+    await completeTransaction({ supabase, cfg, req, tx, orderId });
+
     return res.status(200).send('OK');
   } catch (err) {
-    console.error(err);
-
-    if (err?.p24_raw_start) {
-      console.error('P24 raw start:', err.p24_raw_start);
-    }
+    // p24_code and p24_raw_start are part of the logged error
+    log.error('Request failed', { err });
 
     try {
-      await supabase.from('p24_events').insert({
+      await recordEvent(supabase, {
         event_type: 'error',
         payload_json: {
           message: String(err?.message || err),
@@ -0,0 +1,36 @@
+-- Recurring (monthly) donations charged with a saved P24 card reference.
+-- Statuses: pending | active | past_due | failed | cancelled (see api/_lib/subscriptions.js)
+
+create table if not exists public.p24_subscriptions (
+  id uuid primary key default gen_random_uuid(),
+  status text not null default 'pending',
+  amount_grosze integer not null check (amount_grosze > 0),
+  currency text not null default 'PLN',
+  email text not null,
+  interval_months integer not null default 1,
+  card_ref_id text,
+  card_mask text,
+  next_charge_at timestamptz,
+  last_charge_at timestamptz,
+  failed_attempts integer not null default 0,
+  cancel_token text not null,
+  consents_json jsonb,
+  consents_version text,
+  meta_json jsonb,
+  created_at timestamptz not null default now(),
+  activated_at timestamptz,
+  cancelled_at timestamptz
+);
+
+create index if not exists p24_subscriptions_due_idx
+  on public.p24_subscriptions (next_charge_at)
+  where status in ('active', 'past_due');
+
+alter table public.p24_transactions
+  add column if not exists subscription_id uuid references public.p24_subscriptions (id);
+
+create index if not exists p24_transactions_subscription_idx
+  on public.p24_transactions (subscription_id);
+
+-- Service role only (same as p24_transactions)
+alter table public.p24_subscriptions enable row level security;
@@ -0,0 +1,11 @@
+-- Refunds (api/p24/refund.js). Individual refund requests/results live in p24_events
+-- (refund_requested / refund_completed / refund_rejected, payload_json->>'refunds_uuid').
+-- New transaction statuses: partially_refunded | refunded
+
+alter table public.p24_transactions
+  add column if not exists refunded_grosze integer not null default 0,
+  add column if not exists refunded_at timestamptz;
+
+create index if not exists p24_events_refunds_uuid_idx
+  on public.p24_events ((payload_json->>'refunds_uuid'))
+  where event_type in ('refund_requested', 'refund_completed', 'refund_rejected');
@@ -0,0 +1,22 @@
+-- Fundraising campaigns with goals (api/campaigns, api/_lib/campaigns.js)
+
+create table if not exists public.campaigns (
+  slug text primary key check (slug ~ '^[a-z0-9]+(-[a-z0-9]+)*$'),
+  title_pl text not null,
+  title_en text,
+  goal_grosze integer not null check (goal_grosze > 0),
+  currency text not null default 'PLN',
+  starts_at timestamptz,
+  ends_at timestamptz,
+  is_active boolean not null default true,
+  created_at timestamptz not null default now()
+);
+
+alter table public.p24_transactions
+  add column if not exists campaign_slug text references public.campaigns (slug);
+
+create index if not exists p24_transactions_campaign_idx
+  on public.p24_transactions (campaign_slug)
+  where campaign_slug is not null;
+
+alter table public.campaigns enable row level security;
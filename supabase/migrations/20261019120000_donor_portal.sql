@@ -0,0 +1,34 @@
+-- Donor self-service portal (api/donor, api/_lib/donors.js).
+-- Passwordless: one-time login links and sessions are stored only as SHA-256 hashes.
+
+create table if not exists public.donor_login_tokens (
+  token_hash text primary key,
+  email text not null,
+  expires_at timestamptz not null,
+  used_at timestamptz,
+  created_at timestamptz not null default now()
+);
+
+create index if not exists donor_login_tokens_email_idx
+  on public.donor_login_tokens (email, created_at);
+
+create table if not exists public.donor_sessions (
+  token_hash text primary key,
+  email text not null,
+  expires_at timestamptz not null,
+  revoked_at timestamptz,
+  created_at timestamptz not null default now()
+);
+
+-- Consents managed by the donor after the donation (email lowercased)
+create table if not exists public.donors (
+  email text primary key check (email = lower(email)),
+  consents_json jsonb not null default '{}'::jsonb,
+  consents_updated_at timestamptz,
+  created_at timestamptz not null default now()
+);
+
+-- Service role only
+alter table public.donor_login_tokens enable row level security;
+alter table public.donor_sessions enable row level security;
+alter table public.donors enable row level security;
@@ -0,0 +1,15 @@
+-- Editable transactional email templates (api/_lib/templates.js).
+-- Empty columns fall back to the defaults in api/_lib/email-templates.js.
+-- Keys: layout, thank_you, certificate, donor_login; preview with /api/admin/email-preview.
+
+create table if not exists public.email_templates (
+  key text not null,
+  lang text not null check (lang in ('pl', 'en')),
+  subject text,
+  text_body text,
+  html_body text,
+  updated_at timestamptz not null default now(),
+  primary key (key, lang)
+);
+
+alter table public.email_templates enable row level security;
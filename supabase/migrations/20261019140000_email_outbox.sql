@@ -0,0 +1,36 @@
+-- Durable email outbox (api/_lib/outbox.js): every transactional email is stored rendered,
+-- sent right away and retried with backoff by /api/email/outbox (Vercel Cron).
+-- After EMAIL_MAX_ATTEMPTS failures the row is "dead" until an admin resends it.
+
+create table if not exists public.email_outbox (
+  id uuid primary key default gen_random_uuid(),
+  kind text not null,
+  to_email text not null,
+  lang text,
+  subject text not null,
+  text_body text not null,
+  html_body text,
+  status text not null default 'pending'
+    check (status in ('pending', 'sending', 'sent', 'failed', 'dead')),
+  attempts integer not null default 0,
+  next_attempt_at timestamptz not null default now(),
+  last_error text,
+  transport text,
+  provider_id text,
+  session_id text,
+  expires_at timestamptz,
+  created_at timestamptz not null default now(),
+  sent_at timestamptz
+);
+
+create index if not exists email_outbox_due_idx
+  on public.email_outbox (next_attempt_at)
+  where status in ('pending', 'sending', 'failed');
+
+create index if not exists email_outbox_status_idx
+  on public.email_outbox (status, created_at desc);
+
+create index if not exists email_outbox_session_idx
+  on public.email_outbox (session_id);
+
+alter table public.email_outbox enable row level security;
@@ -0,0 +1,10 @@
+-- Idempotency-Key of /api/p24/create (api/_lib/idempotency.js): a repeated request with the
+-- same key returns the original payment instead of registering a second one.
+-- Failed and expired attempts release the key, so the donor can retry with it.
+
+alter table public.p24_transactions
+  add column if not exists idempotency_key text;
+
+create unique index if not exists p24_transactions_idempotency_key_idx
+  on public.p24_transactions (idempotency_key)
+  where idempotency_key is not null and status not in ('failed', 'expired');
@@ -0,0 +1,42 @@
+-- Fixed-window rate limits for public endpoints (api/_lib/antibot.js).
+-- Buckets hold hashed identifiers only (e.g. "create:ip:<hmac>"), never raw IPs or emails.
+
+create table if not exists public.rate_limits (
+  bucket text not null,
+  window_start timestamptz not null,
+  hits integer not null default 0,
+  primary key (bucket, window_start)
+);
+
+create index if not exists rate_limits_window_idx
+  on public.rate_limits (window_start);
+
+alter table public.rate_limits enable row level security;
+
+-- Counts one hit in the current window and returns the number of hits so far (atomic).
+-- About 1% of calls also remove windows older than a day.
+create or replace function public.rate_limit_hit(p_bucket text, p_window_seconds integer)
+returns integer
+language plpgsql
+as $$
+declare
+  v_hits integer;
+begin
+  insert into public.rate_limits as r (bucket, window_start, hits)
+  values (
+    p_bucket,
+    to_timestamp(floor(extract(epoch from now()) / p_window_seconds) * p_window_seconds),
+    1
+  )
+  on conflict (bucket, window_start) do update set hits = r.hits + 1
+  returning hits into v_hits;
+
+  if random() < 0.01 then
+    delete from public.rate_limits where window_start < now() - interval '1 day';
+  end if;
+
+  return v_hits;
+end;
+$$;
+
+revoke execute on function public.rate_limit_hit(text, integer) from public, anon, authenticated;
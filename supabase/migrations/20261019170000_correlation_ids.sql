@@ -0,0 +1,15 @@
+-- Correlation IDs (api/_lib/log.js): one ID follows a donation from /api/p24/create through
+-- the P24 notification to the emails, in the logs and in these tables.
+
+alter table public.p24_transactions
+  add column if not exists correlation_id text;
+
+alter table public.p24_events
+  add column if not exists correlation_id text;
+
+alter table public.email_outbox
+  add column if not exists correlation_id text;
+
+create index if not exists p24_events_correlation_id_idx
+  on public.p24_events (correlation_id)
+  where correlation_id is not null;
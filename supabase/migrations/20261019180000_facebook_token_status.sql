@@ -0,0 +1,23 @@
+-- State of the Facebook page access token (api/_lib/facebook.js): what /api/fb-callback saved,
+-- what the daily /api/fb-token-check found and when /api/facebook-news last reached the Graph API.
+-- A single row (id = 1); the token itself stays in secret_config.
+
+create table if not exists public.facebook_token_status (
+  id smallint primary key default 1 check (id = 1),
+  token_saved_at timestamptz,
+  token_type text,
+  expires_at timestamptz,
+  data_access_expires_at timestamptz,
+  scopes text[] not null default '{}',
+  last_check_at timestamptz,
+  last_check_status text,
+  last_check_error text,
+  last_success_at timestamptz,
+  last_error_at timestamptz,
+  last_error text,
+  last_alert_at timestamptz,
+  last_alert_reason text,
+  updated_at timestamptz not null default now()
+);
+
+alter table public.facebook_token_status enable row level security;
@@ -0,0 +1,21 @@
+-- Glossary of the news translations (api/_lib/translate.js), edited with /api/admin/glossary.
+-- translation set: the term is always translated that way; translation empty: the term is protected
+-- and kept as written. lang '*' applies to every language, a row for the language itself wins.
+
+create table if not exists public.translation_glossary (
+  term text not null check (length(btrim(term)) > 0),
+  lang text not null default '*' check (lang = '*' or lang ~ '^[a-z]{2}$'),
+  translation text,
+  note text,
+  updated_at timestamptz not null default now(),
+  primary key (term, lang)
+);
+
+alter table public.translation_glossary enable row level security;
+
+insert into public.translation_glossary (term, lang, translation, note) values
+  ('Cappella Marialis', '*', null, 'Choir name'),
+  ('Msza Es-dur', 'en', 'Mass in E-flat major', null),
+  ('Msza Es-dur', 'de', 'Messe in Es-Dur', null),
+  ('Msza Es-dur', 'it', 'Messa in mi bemolle maggiore', null)
+on conflict (term, lang) do nothing;
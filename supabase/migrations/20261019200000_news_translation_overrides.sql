@@ -0,0 +1,26 @@
+-- Manual translations of news posts (api/_lib/translation-overrides.js), edited with
+-- /api/admin/translations. They replace the machine translation of the post with the same
+-- content_hash (normalized Polish title + body) when it is served; empty title/body keep the
+-- machine translation of that field. source_title / source_body: the Polish text that was translated.
+-- orphaned_at: the post (post_link) now has a different Polish text, so the override no longer applies.
+
+create table if not exists public.news_translation_overrides (
+  content_hash text not null check (content_hash ~ '^[0-9a-f]{64}$'),
+  lang text not null check (lang ~ '^[a-z]{2}$' and lang <> 'pl'),
+  title text,
+  body text,
+  note text,
+  post_link text,
+  source_title text,
+  source_body text,
+  orphaned_at timestamptz,
+  created_at timestamptz not null default now(),
+  updated_at timestamptz not null default now(),
+  primary key (content_hash, lang),
+  check (title is not null or body is not null)
+);
+
+create index if not exists news_translation_overrides_post_link_idx
+  on public.news_translation_overrides (post_link);
+
+alter table public.news_translation_overrides enable row level security;
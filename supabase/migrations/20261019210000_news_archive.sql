@@ -0,0 +1,36 @@
+-- News archive (api/_lib/news-archive.js): every post fetched from the Facebook page, one row per
+-- Graph post id, written by /api/facebook-news and the backfill (/api/admin/news-backfill).
+-- content_hash: hash of the normalized Polish title + body, as in the facebook_cache posts.
+-- news_post_translations: machine translations; content_hash is the Polish text they were made
+-- from, translator the provider + glossary version. Manual translations stay in
+-- news_translation_overrides.
+
+create table if not exists public.news_posts (
+  id text primary key,
+  content_hash text not null,
+  title text not null default '',
+  body text not null default '',
+  published_at timestamptz not null,
+  link text,
+  image text,
+  first_seen_at timestamptz not null default now(),
+  updated_at timestamptz not null default now()
+);
+
+-- /api/news-archive pages by (published_at desc, id desc)
+create index if not exists news_posts_published_idx
+  on public.news_posts (published_at desc, id desc);
+
+create table if not exists public.news_post_translations (
+  post_id text not null references public.news_posts (id) on delete cascade,
+  lang text not null check (lang ~ '^[a-z]{2}$' and lang <> 'pl'),
+  title text not null default '',
+  body text not null default '',
+  content_hash text not null,
+  translator text,
+  translated_at timestamptz not null default now(),
+  primary key (post_id, lang)
+);
+
+alter table public.news_posts enable row level security;
+alter table public.news_post_translations enable row level security;
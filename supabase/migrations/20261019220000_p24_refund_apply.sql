@@ -0,0 +1,66 @@
+-- Atomic refund notifications (api/_lib/refunds.js applyRefundNotification).
+-- A refund is settled at most once: the unique index rejects a second refund_completed /
+-- refund_rejected event for the same refunds_uuid, and p24_apply_refund records that event and
+-- adds the amount to the transaction in one database transaction.
+
+create unique index if not exists p24_events_refund_settled_uuid_key
+  on public.p24_events ((payload_json->>'refunds_uuid'))
+  where event_type in ('refund_completed', 'refund_rejected');
+
+-- Records the settlement of one refund and, when completed, adds p_amount to refunded_grosze.
+-- Returns { found: false } for an unknown transaction (nothing recorded), { duplicate: true } when
+-- the refund was already settled, else { rejected: true } or { refunded_grosze: <new total> }.
+create or replace function public.p24_apply_refund(
+  p_session_id text,
+  p_order_id text,
+  p_refunds_uuid text,
+  p_amount integer,
+  p_completed boolean,
+  p_payload jsonb,
+  p_correlation_id text
+)
+returns jsonb
+language plpgsql
+as $$
+declare
+  v_refunded integer;
+begin
+  -- Row lock: notifications of one transaction are applied one after another
+  perform 1 from public.p24_transactions where session_id = p_session_id for update;
+  if not found then
+    return jsonb_build_object('found', false);
+  end if;
+
+  insert into public.p24_events (event_type, session_id, p24_order_id, payload_json, correlation_id)
+  values (
+    case when p_completed then 'refund_completed' else 'refund_rejected' end,
+    p_session_id,
+    p_order_id,
+    jsonb_build_object('refunds_uuid', p_refunds_uuid, 'amount', p_amount, 'notification', p_payload),
+    p_correlation_id
+  )
+  on conflict ((payload_json->>'refunds_uuid'))
+    where event_type in ('refund_completed', 'refund_rejected')
+    do nothing;
+
+  if not found then
+    return jsonb_build_object('found', true, 'duplicate', true);
+  end if;
+
+  if not p_completed then
+    return jsonb_build_object('found', true, 'rejected', true);
+  end if;
+
+  update public.p24_transactions
+     set refunded_grosze = refunded_grosze + p_amount,
+         refunded_at = now(),
+         status = case when refunded_grosze + p_amount >= amount_grosze then 'refunded' else 'partially_refunded' end
+   where session_id = p_session_id
+  returning refunded_grosze into v_refunded;
+
+  return jsonb_build_object('found', true, 'refunded_grosze', v_refunded);
+end;
+$$;
+
+revoke execute on function public.p24_apply_refund(text, text, text, integer, boolean, jsonb, text)
+  from public, anon, authenticated;